@@ -7,6 +7,7 @@
  *   PORT                – server port (default 4000)
  *   DATABASE_URL        – Postgres / Mongo connection string
  *   JWT_SECRET          – signing key for auth tokens
+ *   RECURRING_SCHEDULER – "off" disables the recurring-rule scheduler
  */
 
 const express = require('express');
@@ -14,6 +15,7 @@ const cors = require('cors');
 const morgan = require('morgan');
 const requireAuth = require('./middlewares/requireAuth');
 require('dotenv').config();
+const recurringScheduler = require('./services/recurringScheduler');   // reads env at load
 
 const authRoutes         = require('./routes/auth');
 const receiptRoutes      = require('./routes/receipts');
@@ -23,6 +25,15 @@ const shoppingRoutes     = require('./routes/shopping');
 const incomeRoutes       = require('./routes/income');
 const savingsRoutes      = require('./routes/savings');
 const chatRoutes         = require('./routes/chat');
+const householdRoutes    = require('./routes/households');
+const categoryRoutes     = require('./routes/categories');
+const recurringRoutes    = require('./routes/recurring');
+const statementRoutes    = require('./routes/statements');
+const ruleRoutes         = require('./routes/rules');
+const merchantRoutes     = require('./routes/merchants');
+const trashRoutes        = require('./routes/trash');
+const auditRoutes        = require('./routes/audit');
+const accountRoutes      = require('./routes/accounts');
 
 const app = express();
 
@@ -40,6 +51,15 @@ app.use('/api/v1/income',     requireAuth, incomeRoutes); // income entries
 app.use('/api/v1/savings',    requireAuth, savingsRoutes);
 app.use('/api/v1/shopping',     shoppingRoutes);
 app.use('/api/v1/chat',       requireAuth, chatRoutes);
+app.use('/api/v1/households', requireAuth, householdRoutes); // shared ledgers
+app.use('/api/v1/categories', requireAuth, categoryRoutes);  // built-in + custom categories
+app.use('/api/v1/recurring',  requireAuth, recurringRoutes); // recurring expenses & income
+app.use('/api/v1/statements', requireAuth, statementRoutes); // bank statement import
+app.use('/api/v1/rules',      requireAuth, ruleRoutes);      // categorization rules
+app.use('/api/v1/merchants',  requireAuth, merchantRoutes);  // per-ledger merchant table
+app.use('/api/v1/trash',      requireAuth, trashRoutes);     // soft-deleted data & undo
+app.use('/api/v1/audit',      requireAuth, auditRoutes);     // change history
+app.use('/api/v1/accounts',   requireAuth, accountRoutes);   // bank / cash / wallet / card balances
 
 // Health check
 app.get('/api/v1/health', (req, res) => {
@@ -48,8 +68,9 @@ app.get('/api/v1/health', (req, res) => {
 
 // ───── Server bootstrap ─────────────────────────────────────────
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () =>
-  console.log(`👛 Personal Finance API listening on port ${PORT}`)
-);
+app.listen(PORT, () => {
+  console.log(`👛 Personal Finance API listening on port ${PORT}`);
+  recurringScheduler.start();
+});
 
 module.exports = app;
@@ -1,9 +1,113 @@
+/**
+ * requireAuth – verifies the Bearer credential
+ * --------------------------------------------
+ * Accepts either
+ *   • a JWT access token – its session must still be active; sets
+ *     req.userId, req.sessionId and req.scopes = null (full access), or
+ *   • a personal access token (vylo_pat_…) – looked up by hash; sets
+ *     req.userId, req.tokenId and req.scopes = the token's scopes.
+ * Tokens whose session was revoked (logout, DELETE /auth/sessions/:id,
+ * refresh-token reuse) are rejected even though the JWT has not expired.
+ */
 const jwt = require('jsonwebtoken');
-module.exports = function requireAuth(req, res, next) {
+const { createHash } = require('crypto');
+const { MongoClient, ObjectId } = require('mongodb');
+
+const PAT_PREFIX = 'vylo_pat_';
+// only bump lastUsedAt once per minute per session / token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017');
+let sessions;
+let accessTokens;
+
+(async () => {
+  await client.connect();
+  const db = client.db(process.env.MONGO_DB || 'pf_dev');
+  sessions = db.collection('sessions');
+  accessTokens = db.collection('personal_access_tokens');
+})().catch(console.error);
+
+/**
+ * Fire-and-forget lastUsedAt bump; a failed write must not fail the request.
+ * @param {import('mongodb').Collection} collection
+ * @param {ObjectId} _id
+ */
+function touch(collection, _id) {
+  const now = new Date();
+  collection.updateOne(
+    { _id, lastUsedAt: { $not: { $gt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } } },
+    { $set: { lastUsedAt: now } }
+  ).catch(err => console.warn('Failed to update lastUsedAt:', err.message));
+}
+
+/**
+ * Resolves a personal access token.
+ * @returns {Promise<boolean>} true when req was authenticated.
+ */
+async function authenticatePat(req, token) {
+  const tokenHash = createHash('sha256').update(token).digest('hex');
+  const pat = await accessTokens.findOne({
+    tokenHash,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (!pat) return false;
+
+  touch(accessTokens, pat._id);
+  req.userId = pat.userId.toString();
+  req.tokenId = pat._id.toString();
+  req.scopes = pat.scopes;
+  return true;
+}
+
+/**
+ * Resolves a JWT access token and checks its session.
+ * @returns {Promise<boolean|string>} true when authenticated, else an error message.
+ */
+async function authenticateJwt(req, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.typ || !decoded.sid) throw new Error('not an access token');
+  } catch { return 'invalid token'; }
+
+  const sessionId = new ObjectId(decoded.sid);
+  const session = await sessions.findOne(
+    { _id: sessionId, revokedAt: null },
+    { projection: { _id: 1 } }
+  );
+  if (!session) return 'session revoked';
+
+  touch(sessions, sessionId);
+  req.userId = decoded.sub;
+  req.sessionId = decoded.sid;
+  req.scopes = null;
+  return true;
+}
+
+module.exports = async function requireAuth(req, res, next) {
+  // several routers are mounted behind requireAuth *and* call router.use(requireAuth)
+  if (req.userId) return next();
+
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ error: 'token missing' });
+
   try {
-    req.userId = jwt.verify(token, process.env.JWT_SECRET).sub;
+    if (!sessions) return res.status(500).json({ error: 'Database not available' });
+
+    if (token.startsWith(PAT_PREFIX)) {
+      if (!(await authenticatePat(req, token))) return res.status(401).json({ error: 'invalid token' });
+      return next();
+    }
+
+    const result = await authenticateJwt(req, token);
+    if (result !== true) return res.status(401).json({ error: result });
     next();
-  } catch { return res.status(401).json({ error: 'invalid token' }); }
+  } catch (err) {
+    console.error('Authentication failed:', err);
+    return res.status(500).json({ error: 'authentication failed' });
+  }
 };
+
+module.exports.PAT_PREFIX = PAT_PREFIX;
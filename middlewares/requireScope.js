@@ -0,0 +1,76 @@
+/**
+ * Scope checks for personal access tokens
+ * ---------------------------------------
+ * requireAuth sets req.scopes to the token's scopes for personal access
+ * tokens and to null for regular logins (which may do everything).
+ * Routers declare what they need after requireAuth, e.g.
+ *
+ *   router.use(scopeByMethod('entries'));   // GET → entries:read, others → entries:write
+ *   router.use(requireScope('chat'));
+ */
+
+const SCOPES = [
+  'entries:read',  'entries:write',
+  'budgets:read',  'budgets:write',
+  'income:read',   'income:write',
+  'categories:read', 'categories:write',
+  'recurring:read',  'recurring:write',
+  'rules:read',      'rules:write',
+  'merchants:read',  'merchants:write',
+  'accounts:read',   'accounts:write',
+  'savings:read',
+  'audit:read',
+  'households:read', 'households:write',
+  'receipts',
+  'shopping',
+  'chat'
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Requires every listed scope.
+ * @param {...string} required - Scope names from SCOPES.
+ * @returns {import('express').RequestHandler}
+ */
+function requireScope(...required) {
+  return function checkScope(req, res, next) {
+    if (!req.scopes) return next();   // session login – full access
+    const missing = required.filter((scope) => !req.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'insufficient scope', required: missing });
+    }
+    next();
+  };
+}
+
+/**
+ * Requires `<resource>:read` for safe methods and `<resource>:write` otherwise.
+ * @param {string} resource - e.g. 'entries', 'budgets', 'income'
+ * @returns {import('express').RequestHandler}
+ */
+function scopeByMethod(resource) {
+  const read = requireScope(`${resource}:read`);
+  const write = requireScope(`${resource}:write`);
+  return function checkMethodScope(req, res, next) {
+    return READ_METHODS.includes(req.method) ? read(req, res, next) : write(req, res, next);
+  };
+}
+
+/**
+ * Rejects personal access tokens – for account management that must be done
+ * from a signed-in app (sessions, MFA, tokens themselves, deletion…).
+ */
+function requireSession(req, res, next) {
+  if (req.scopes) {
+    return res.status(403).json({ error: 'not allowed with a personal access token' });
+  }
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  requireScope,
+  scopeByMethod,
+  requireSession
+};
@@ -0,0 +1,61 @@
+/**
+ * resolveLedger – picks the ledger a request operates on
+ * ------------------------------------------------------
+ * Financial collections (user_entries, user_budgets, user_income,
+ * budget_reassignments) are keyed by `userId`, which holds the *ledger*
+ * id: the user's own id for the personal ledger, or a household id.
+ *
+ * Send `X-Household-Id: <id>` to work on a shared household ledger.
+ * Sets req.ledgerId (ObjectId) and req.ledgerRole (owner | member | viewer).
+ * Viewers may only read. Must run after requireAuth.
+ */
+const { MongoClient, ObjectId } = require('mongodb');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const WRITE_ROLES = ['owner', 'member'];
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017');
+let households;
+
+(async () => {
+  await client.connect();
+  households = client.db(process.env.MONGO_DB || 'pf_dev').collection('households');
+})().catch(console.error);
+
+module.exports = async function resolveLedger(req, res, next) {
+  if (req.ledgerId) return next();
+
+  const householdId = req.get('x-household-id');
+  if (!householdId) {
+    req.ledgerId = new ObjectId(req.userId);
+    req.ledgerRole = 'owner';
+    return next();
+  }
+
+  if (!ObjectId.isValid(householdId)) {
+    return res.status(400).json({ error: 'invalid X-Household-Id' });
+  }
+
+  try {
+    if (!households) return res.status(500).json({ error: 'Database not available' });
+
+    const userId = new ObjectId(req.userId);
+    const household = await households.findOne(
+      { _id: new ObjectId(householdId), 'members.userId': userId },
+      { projection: { members: 1 } }
+    );
+    if (!household) return res.status(404).json({ error: 'household not found' });
+
+    const { role } = household.members.find((m) => m.userId.equals(userId));
+    if (!READ_METHODS.includes(req.method) && !WRITE_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'viewers cannot modify the household ledger' });
+    }
+
+    req.ledgerId = household._id;
+    req.ledgerRole = role;
+    next();
+  } catch (err) {
+    console.error('Failed to resolve household ledger:', err);
+    res.status(500).json({ error: 'failed to resolve household' });
+  }
+};
@@ -15,6 +15,7 @@ Given the raw OCR text of ONE bill, receipt or invoice, output JSON that lists
 
 If ≥ 80 % of the bill belongs to one category → return ONE entry.
 Otherwise return one entry per distinct category / line item.
+Also return \`merchant\` – the shop / restaurant name printed on the bill.
 
 CATEGORY CODES  →  KEYWORD  (for the \`name\` field)
 ────────────────────────────────────────────────────
@@ -63,6 +64,7 @@ Return **only** valid JSON, no markdown.
       "confidence": 0.00
     }
   ],
+  "merchant": "store name from bill",
   "confidence_overall": 0.00,
   "reason": "<≤ 25 words why choices were made>"
 }
@@ -80,6 +82,7 @@ EXAMPLE
       "confidence":0.97
     }
   ],
+  "merchant":"Hotel Amer Palace",
   "confidence_overall":0.97,
   "reason":"All items are restaurant food"
 }
@@ -0,0 +1,525 @@
+/**
+ * /api/v1/accounts – bank, cash, wallet and credit card accounts
+ * --------------------------------------------------------------
+ * Accounts with opening balances, transfers between them and reconciliation
+ * against a statement balance. Entries and income belong to the account
+ * named in their `account` field (income per month or per source in
+ * `accounts`); see services/accountStore.js for how balances are computed.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const { isValidDate } = require('../services/entrySchema');
+const accountStore = require('../services/accountStore');
+const auditLog = require('../services/auditLog');
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let accountsColl;
+let transfersColl;
+let reconciliationsColl;
+let entriesColl;
+let userIncome;
+let rulesColl;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    accountsColl = db.collection('accounts');
+    transfersColl = db.collection('account_transfers');
+    reconciliationsColl = db.collection('account_reconciliations');
+    entriesColl = db.collection('entries');
+    userIncome = db.collection('user_income');
+    rulesColl = db.collection('recurring_rules');
+    auditColl = db.collection('audit_log');
+    await accountStore.ensureIndexes({ accounts: accountsColl, transfers: transfersColl, reconciliations: reconciliationsColl });
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('accounts'));
+router.use(resolveLedger);   // accounts are shared on a household ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+const CREATE_FIELDS = ['name', 'type', 'openingBalance', 'openingDate', 'creditLimit'];
+const EDITABLE_FIELDS = [...CREATE_FIELDS, 'archived'];
+const MAX_TRANSFER_NOTES_LENGTH = 200;
+// default window of GET /:id/transactions
+const LEDGER_DAYS = 90;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Collections the balance computation reads.
+ * @returns {object}
+ */
+function balanceColls() {
+  return { entries: entriesColl, income: userIncome, transfers: transfersColl, reconciliations: reconciliationsColl };
+}
+
+/**
+ * Loads an account of the current ledger by id.
+ * @param {import('express').Request} req
+ * @param {string} [id] - Defaults to req.params.id.
+ * @returns {Promise<object|null>}
+ */
+async function findAccount(req, id = req.params.id) {
+  if (typeof id !== 'string' || !ObjectId.isValid(id)) return null;
+  return accountsColl.findOne({ _id: new ObjectId(id), userId: req.ledgerId });
+}
+
+/**
+ * Appends audit records for accounts and transfers.
+ * @param {import('express').Request} req
+ * @param {{entity: string, action: string, before?: object, after?: object}[]} changes
+ */
+async function auditAccounts(req, changes) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), changes.map(change => ({
+    entityId: (change.after || change.before)._id.toString(),
+    ...change
+  })));
+}
+
+/**
+ * Validates the account fields of a POST or PATCH body.
+ * @param {object} body
+ * @param {object} [opts]
+ * @param {boolean} [opts.partial] - Only validate the fields present (PATCH).
+ * @param {string} [opts.type] - Stored type, for creditLimit checks on PATCH.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateAccount(body, { partial = false, type } = {}) {
+  const { name, openingBalance, openingDate, creditLimit, archived } = body;
+  const has = key => body[key] !== undefined;
+
+  const unknown = Object.keys(body).filter(key => !(partial ? EDITABLE_FIELDS : CREATE_FIELDS).includes(key));
+  if (unknown.length > 0) return `unknown fields: ${unknown.join(', ')}`;
+
+  if ((!partial || has('name')) &&
+      (typeof name !== 'string' || !accountStore.accountKey(name) || name.length > accountStore.MAX_NAME_LENGTH)) {
+    return `name must be a non-empty string (max ${accountStore.MAX_NAME_LENGTH} chars)`;
+  }
+  if ((!partial || has('type')) && !accountStore.ACCOUNT_TYPES.includes(body.type)) {
+    return `type must be one of: ${accountStore.ACCOUNT_TYPES.join(', ')}`;
+  }
+  if (has('openingBalance') && (typeof openingBalance !== 'number' || !Number.isFinite(openingBalance))) {
+    return 'openingBalance must be a number';
+  }
+  if (has('openingDate') && !isValidDate(openingDate)) {
+    return 'openingDate must be a valid YYYY-MM-DD date';
+  }
+  // PATCH may send `creditLimit: null` to remove it
+  if (has('creditLimit') && !(partial && creditLimit === null)) {
+    if ((body.type || type) !== 'credit_card') return 'creditLimit is only allowed for credit_card accounts';
+    if (typeof creditLimit !== 'number' || !Number.isFinite(creditLimit) || creditLimit <= 0) {
+      return 'creditLimit must be a positive number';
+    }
+  }
+  if (has('archived') && typeof archived !== 'boolean') return 'archived must be a boolean';
+  return null;
+}
+
+/**
+ * Points entries, linked income (whole months and single sources) and
+ * recurring templates named after an account at its new name.
+ * @param {import('mongodb').ObjectId} userId
+ * @param {string} oldName
+ * @param {string} newName
+ */
+async function renameLinks(userId, oldName, newName) {
+  const pattern = accountStore.namePattern(oldName);
+  await entriesColl.updateMany({ userId, account: pattern }, { $set: { account: newName } });
+  await rulesColl.updateMany({ userId, 'template.account': pattern }, { $set: { 'template.account': newName } });
+
+  const incomeDoc = await userIncome.findOne({ userId }, { projection: { income: 1 } });
+  const links = Object.entries(incomeDoc?.income || {}).flatMap(([month, record]) => [
+    [`income.${month}.account`, record?.account],
+    ...Object.entries(record?.accounts || {}).map(([source, name]) => [`income.${month}.accounts.${source}`, name])
+  ]);
+  const renamed = links.filter(([, name]) => typeof name === 'string' && pattern.test(name));
+  if (renamed.length > 0) {
+    await userIncome.updateOne({ userId }, { $set: Object.fromEntries(renamed.map(([path]) => [path, newName])) });
+  }
+}
+
+// GET / – accounts of the current ledger with their balances
+// Query: asOf=YYYY-MM-DD (default today), includeArchived=true
+// Returns: { asOf, total, accounts: [{ id, name, type, openingBalance, openingDate, balance,
+//            availableCredit? (credit cards with a creditLimit), lastReconciled?, … }] }
+router.get('/', async (req, res) => {
+  const { asOf = today(), includeArchived } = req.query;
+  if (!isValidDate(asOf)) return res.status(400).json({ error: 'asOf must be a valid YYYY-MM-DD date' });
+
+  try {
+    const userId = req.ledgerId;
+    const accounts = await accountsColl
+      .find({ userId, ...(includeArchived !== 'true' && { archived: false }) })
+      .sort({ createdAt: 1 })
+      .toArray();
+    const balances = await accountStore.computeBalances(balanceColls(), userId, accounts, asOf);
+    const total = accounts.reduce((sum, doc) => sum + balances.get(doc._id.toString()).balance, 0);
+
+    res.json({
+      asOf,
+      total: Math.round(total * 100) / 100,
+      accounts: accounts.map(doc => accountStore.toAccountResponse(doc, balances.get(doc._id.toString())))
+    });
+  } catch (err) {
+    console.error('Failed to fetch accounts:', err);
+    res.status(500).json({ error: 'failed to fetch accounts' });
+  }
+});
+
+// POST / – create an account
+// Expects: { name: string, type: "bank" | "cash" | "wallet" | "credit_card",
+//            openingBalance?: number (default 0; negative for an outstanding card balance),
+//            openingDate?: "YYYY-MM-DD" (default today), creditLimit?: number (credit cards) }
+// Entries and income already naming the account count towards it from openingDate on.
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const invalid = validateAccount(body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const userId = req.ledgerId;
+    const now = new Date();
+    const account = {
+      userId,
+      name: accountStore.displayName(body.name),
+      key: accountStore.accountKey(body.name),
+      type: body.type,
+      openingBalance: body.openingBalance ?? 0,
+      openingDate: body.openingDate || today(),
+      ...(body.creditLimit !== undefined && { creditLimit: body.creditLimit }),
+      archived: false,
+      createdBy: new ObjectId(req.userId),
+      createdAt: now,
+      updatedAt: now
+    };
+    const { insertedId } = await accountsColl.insertOne(account);
+    account._id = insertedId;
+    await auditAccounts(req, [{ entity: 'account', action: 'create', after: account }]);
+
+    const balances = await accountStore.computeBalances(balanceColls(), userId, [account], today());
+    res.status(201).json({ account: accountStore.toAccountResponse(account, balances.get(insertedId.toString())) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'an account with this name already exists' });
+    console.error('Failed to create account:', err);
+    res.status(500).json({ error: 'failed to create account' });
+  }
+});
+
+// GET /transfers – transfers between accounts, newest first
+// Query (all optional): from/to (YYYY-MM-DD), account=<account id> (either side)
+router.get('/transfers', async (req, res) => {
+  const { from, to, account } = req.query;
+  if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates' });
+  }
+  if (account !== undefined && (typeof account !== 'string' || !ObjectId.isValid(account))) {
+    return res.status(400).json({ error: 'account must be an account id' });
+  }
+
+  try {
+    const filter = { userId: req.ledgerId };
+    if (from || to) filter.date = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    if (account) {
+      const accountId = new ObjectId(account);
+      filter.$or = [{ fromAccountId: accountId }, { toAccountId: accountId }];
+    }
+    const transfers = await transfersColl.find(filter).sort({ date: -1, createdAt: -1 }).toArray();
+    res.json({ transfers: transfers.map(accountStore.toTransferResponse) });
+  } catch (err) {
+    console.error('Failed to fetch transfers:', err);
+    res.status(500).json({ error: 'failed to fetch transfers' });
+  }
+});
+
+// POST /transfers – move money between two accounts
+// Expects: { from: "<account id>", to: "<account id>", amount: number, date?: "YYYY-MM-DD" (default today),
+//            notes?: string }
+// Paying a credit card bill is a transfer from the bank account to the card.
+// Transfers change balances only; they are not spending or income.
+router.post('/transfers', async (req, res) => {
+  const { from, to, amount, date = today(), notes } = req.body || {};
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  if (!isValidDate(date)) return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_TRANSFER_NOTES_LENGTH)) {
+    return res.status(400).json({ error: `notes must be a string (max ${MAX_TRANSFER_NOTES_LENGTH} chars)` });
+  }
+  if (from === to) return res.status(400).json({ error: 'from and to must be different accounts' });
+
+  try {
+    const userId = req.ledgerId;
+    const [source, target] = await Promise.all([findAccount(req, from), findAccount(req, to)]);
+    if (!source) return res.status(404).json({ error: 'from account not found' });
+    if (!target) return res.status(404).json({ error: 'to account not found' });
+    const notOpen = [source, target].find(account => date < account.openingDate);
+    if (notOpen) {
+      return res.status(400).json({ error: `${notOpen.name} opens on ${notOpen.openingDate}; date must not be earlier` });
+    }
+
+    const transfer = {
+      userId,
+      fromAccountId: source._id,
+      toAccountId: target._id,
+      amount,
+      date,
+      ...(notes && notes.trim() && { notes: notes.trim() }),
+      createdBy: new ObjectId(req.userId),
+      createdAt: new Date()
+    };
+    const { insertedId } = await transfersColl.insertOne(transfer);
+    transfer._id = insertedId;
+    await auditAccounts(req, [{ entity: 'transfer', action: 'create', after: transfer }]);
+
+    res.status(201).json({ transfer: accountStore.toTransferResponse(transfer) });
+  } catch (err) {
+    console.error('Failed to create transfer:', err);
+    res.status(500).json({ error: 'failed to create transfer' });
+  }
+});
+
+// DELETE /transfers/:id – remove a transfer
+router.delete('/transfers/:id', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'transfer not found' });
+
+  try {
+    const transfer = await transfersColl.findOneAndDelete({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+    if (!transfer) return res.status(404).json({ error: 'transfer not found' });
+    await auditAccounts(req, [{ entity: 'transfer', action: 'delete', before: transfer }]);
+    res.json({ message: 'transfer deleted' });
+  } catch (err) {
+    console.error('Failed to delete transfer:', err);
+    res.status(500).json({ error: 'failed to delete transfer' });
+  }
+});
+
+// GET /:id – one account with what makes up its balance and its recent reconciliations
+// Query: asOf=YYYY-MM-DD (default today)
+router.get('/:id', async (req, res) => {
+  const { asOf = today() } = req.query;
+  if (!isValidDate(asOf)) return res.status(400).json({ error: 'asOf must be a valid YYYY-MM-DD date' });
+
+  try {
+    const userId = req.ledgerId;
+    const account = await findAccount(req);
+    if (!account) return res.status(404).json({ error: 'account not found' });
+
+    const balance = (await accountStore.computeBalances(balanceColls(), userId, [account], asOf)).get(account._id.toString());
+    const reconciliations = await reconciliationsColl
+      .find({ userId, accountId: account._id })
+      .sort({ date: -1, createdAt: -1 })
+      .limit(10)
+      .toArray();
+
+    res.json({
+      asOf,
+      account: accountStore.toAccountResponse(account, balance),
+      breakdown: balance,
+      reconciliations: reconciliations.map(accountStore.toReconciliationResponse)
+    });
+  } catch (err) {
+    console.error('Failed to fetch account:', err);
+    res.status(500).json({ error: 'failed to fetch account' });
+  }
+});
+
+// GET /:id/transactions – running balance of an account
+// Query: from/to (YYYY-MM-DD; default the last 90 days up to today)
+// Returns: { openingBalance (at the start of from), closingBalance,
+//            transactions: [{ date, type, amount (signed), description, balance, … }] }
+// type is expense | income | transfer_in | transfer_out | adjustment.
+router.get('/:id/transactions', async (req, res) => {
+  const { to = today() } = req.query;
+  if (!isValidDate(to)) return res.status(400).json({ error: 'to must be a valid YYYY-MM-DD date' });
+  const [year, month, day] = to.split('-').map(Number);
+  const { from = new Date(Date.UTC(year, month - 1, day - LEDGER_DAYS + 1)).toISOString().slice(0, 10) } = req.query;
+  if (!isValidDate(from)) return res.status(400).json({ error: 'from must be a valid YYYY-MM-DD date' });
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+
+  try {
+    const userId = req.ledgerId;
+    const account = await findAccount(req);
+    if (!account) return res.status(404).json({ error: 'account not found' });
+
+    const accounts = await accountsColl.find({ userId }, { projection: { name: 1 } }).toArray();
+    const ledger = await accountStore.accountLedger(balanceColls(), userId, account, accounts, { from, to });
+    res.json({ account: accountStore.toAccountResponse(account), from, to, ...ledger });
+  } catch (err) {
+    console.error('Failed to fetch account transactions:', err);
+    res.status(500).json({ error: 'failed to fetch account transactions' });
+  }
+});
+
+// GET /:id/reconciliations – statement checks of an account, newest first
+router.get('/:id/reconciliations', async (req, res) => {
+  try {
+    const userId = req.ledgerId;
+    const account = await findAccount(req);
+    if (!account) return res.status(404).json({ error: 'account not found' });
+
+    const reconciliations = await reconciliationsColl
+      .find({ userId, accountId: account._id })
+      .sort({ date: -1, createdAt: -1 })
+      .toArray();
+    res.json({ reconciliations: reconciliations.map(accountStore.toReconciliationResponse) });
+  } catch (err) {
+    console.error('Failed to fetch reconciliations:', err);
+    res.status(500).json({ error: 'failed to fetch reconciliations' });
+  }
+});
+
+// POST /:id/reconcile – compare the computed balance with a statement balance
+// Expects: { balance: number, date?: "YYYY-MM-DD" (default today), adjust?: boolean }
+// Returns the computed balance at the end of `date` and the difference (statement − computed).
+// With adjust: true a non-zero difference is booked as an adjustment on that date, so the
+// balance matches the statement from then on; without it the difference is only recorded.
+router.post('/:id/reconcile', async (req, res) => {
+  const { balance, date = today(), adjust = false } = req.body || {};
+  if (typeof balance !== 'number' || !Number.isFinite(balance)) {
+    return res.status(400).json({ error: 'balance must be a number' });
+  }
+  if (!isValidDate(date)) return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+  if (typeof adjust !== 'boolean') return res.status(400).json({ error: 'adjust must be a boolean' });
+
+  try {
+    const userId = req.ledgerId;
+    const account = await findAccount(req);
+    if (!account) return res.status(404).json({ error: 'account not found' });
+    if (date < account.openingDate) {
+      return res.status(400).json({ error: `the account opens on ${account.openingDate}; date must not be earlier` });
+    }
+
+    const computed = (await accountStore.computeBalances(balanceColls(), userId, [account], date))
+      .get(account._id.toString()).balance;
+    const difference = Math.round((balance - computed) * 100) / 100;
+    const reconciliation = {
+      userId,
+      accountId: account._id,
+      date,
+      statementBalance: balance,
+      computedBalance: computed,
+      difference,
+      adjustment: adjust ? difference : 0,
+      createdBy: new ObjectId(req.userId),
+      createdAt: new Date()
+    };
+    const { insertedId } = await reconciliationsColl.insertOne(reconciliation);
+    reconciliation._id = insertedId;
+
+    // an older statement checked later does not replace the latest one
+    const lastReconciled = { date, statementBalance: balance, difference };
+    const updated = await accountsColl.findOneAndUpdate(
+      { _id: account._id, userId, $or: [{ lastReconciled: { $exists: false } }, { 'lastReconciled.date': { $lte: date } }] },
+      { $set: { lastReconciled, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (updated) await auditAccounts(req, [{ entity: 'account', action: 'update', before: account, after: updated }]);
+
+    res.status(201).json({
+      reconciliation: accountStore.toReconciliationResponse(reconciliation),
+      reconciled: difference === 0 || adjust
+    });
+  } catch (err) {
+    console.error('Failed to reconcile account:', err);
+    res.status(500).json({ error: 'failed to reconcile account' });
+  }
+});
+
+// PATCH /:id – edit an account
+// Expects any of: { name, type, openingBalance, openingDate, creditLimit: number | null, archived: boolean }
+// A rename carries over to the entries, income and recurring rules naming the account.
+router.patch('/:id', async (req, res) => {
+  const body = req.body || {};
+  if (Object.keys(body).length === 0) {
+    return res.status(400).json({ error: `at least one of ${EDITABLE_FIELDS.join(', ')} is required` });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const current = await findAccount(req);
+    if (!current) return res.status(404).json({ error: 'account not found' });
+
+    const invalid = validateAccount(body, { partial: true, type: current.type });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const type = body.type || current.type;
+    if (type !== 'credit_card' && current.creditLimit !== undefined && body.creditLimit !== null) {
+      return res.status(400).json({ error: 'creditLimit is only allowed for credit_card accounts; send creditLimit: null' });
+    }
+
+    const { creditLimit, name, ...changes } = body;
+    if (name !== undefined) Object.assign(changes, { name: accountStore.displayName(name), key: accountStore.accountKey(name) });
+    if (creditLimit !== undefined && creditLimit !== null) changes.creditLimit = creditLimit;
+    const updated = await accountsColl.findOneAndUpdate(
+      { _id: current._id, userId },
+      {
+        $set: { ...changes, updatedAt: new Date() },
+        ...(creditLimit === null && { $unset: { creditLimit: '' } })
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'account not found' });
+    await auditAccounts(req, [{ entity: 'account', action: 'update', before: current, after: updated }]);
+    if (updated.name !== current.name) await renameLinks(userId, current.name, updated.name);
+
+    const balances = await accountStore.computeBalances(balanceColls(), userId, [updated], today());
+    res.json({ account: accountStore.toAccountResponse(updated, balances.get(updated._id.toString())) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'an account with this name already exists' });
+    console.error('Failed to update account:', err);
+    res.status(500).json({ error: 'failed to update account' });
+  }
+});
+
+// DELETE /:id – remove an account and its reconciliations
+// Accounts with transfers can't be deleted (delete the transfers or archive the account).
+// Entries and income keep the name as a plain label.
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.ledgerId;
+    const account = await findAccount(req);
+    if (!account) return res.status(404).json({ error: 'account not found' });
+
+    const transfer = await transfersColl.findOne(
+      { userId, $or: [{ fromAccountId: account._id }, { toAccountId: account._id }] },
+      { projection: { _id: 1 } }
+    );
+    if (transfer) {
+      return res.status(409).json({ error: 'account has transfers; delete them first or archive the account' });
+    }
+
+    await accountsColl.deleteOne({ _id: account._id, userId });
+    await reconciliationsColl.deleteMany({ userId, accountId: account._id });
+    await auditAccounts(req, [{ entity: 'account', action: 'delete', before: account }]);
+    res.json({ message: 'account deleted' });
+  } catch (err) {
+    console.error('Failed to delete account:', err);
+    res.status(500).json({ error: 'failed to delete account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * /api/v1/audit – change history of the ledger
+ * --------------------------------------------
+ * Read-only view of the append-only `audit_log` collection that every
+ * mutating route writes to (see services/auditLog.js): who changed which
+ * entry, budget, income month, category, rule or merchant, when, from which
+ * channel, and the before/after values of the changed fields.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { requireScope } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const { isValidDate } = require('../services/entrySchema');
+const auditLog = require('../services/auditLog');
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    auditColl = db.collection('audit_log');
+    await auditLog.ensureIndexes(auditColl);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(requireScope('audit:read'));
+router.use(resolveLedger);   // the personal or the X-Household-Id ledger's history
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+// GET / – audit records, newest first
+// Query (all optional): entity, entityId, source, from/to (YYYY-MM-DD, inclusive),
+//   limit (1-500, default 100), cursor
+// Returns: { records, nextCursor } – pass nextCursor back as `cursor` for the next page.
+router.get('/', async (req, res) => {
+  const { entity, entityId, source, from, to, limit = '100', cursor } = req.query;
+
+  if (entity !== undefined && !auditLog.ENTITIES.includes(entity)) {
+    return res.status(400).json({ error: `entity must be one of: ${auditLog.ENTITIES.join(', ')}` });
+  }
+  if (entityId !== undefined && (typeof entityId !== 'string' || !entityId)) {
+    return res.status(400).json({ error: 'entityId must be a non-empty string' });
+  }
+  if (source !== undefined && !auditLog.SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${auditLog.SOURCES.join(', ')}` });
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      return res.status(400).json({ error: `${name} must be a valid YYYY-MM-DD date` });
+    }
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > auditLog.MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${auditLog.MAX_PAGE_SIZE}` });
+  }
+  if (cursor !== undefined && (typeof cursor !== 'string' || !ObjectId.isValid(cursor))) {
+    return res.status(400).json({ error: 'invalid cursor' });
+  }
+
+  try {
+    const page = await auditLog.findPage(
+      auditColl,
+      req.ledgerId,
+      { entity, entityId, source, from, to },
+      { limit: pageSize, before: cursor ? new ObjectId(cursor) : undefined }
+    );
+    res.json(page);
+  } catch (err) {
+    console.error('Failed to fetch audit log:', err);
+    res.status(500).json({ error: 'failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
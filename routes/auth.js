@@ -1,28 +1,97 @@
 /**
- * /api/v1/auth  –  signup, login, token refresh
+ * /api/v1/auth  –  signup, login, token refresh, logout, sessions,
+ *                  password reset, email verification, TOTP MFA
  * -------------------------------------------------
  * ENV VARS NEEDED
  *   MONGO_URI        mongodb://localhost:27017
  *   MONGO_DB         pf_dev            (database name)
  *   JWT_SECRET       super-secret-key
+ *   APP_URL          http://localhost:3000   (base for links sent by mail)
  *
  * TOKENS
  *   access : 15 min  (sent as Authorization: Bearer <token>)
  *   refresh:  7 days (stored client-side – e.g. Secure Http-Only cookie)
+ *
+ * SESSIONS
+ *   Every signup/login opens a document in `sessions` (user-agent, IP,
+ *   created / last-used). Both tokens carry its id as `sid`; requireAuth
+ *   rejects access tokens whose session has been revoked.
+ *
+ * REFRESH ROTATION
+ *   Every refresh token carries a `jti` that is stored in `refresh_tokens`
+ *   together with its session. Each /refresh call marks the presented token
+ *   as used and issues a new one for the same session. Presenting a token
+ *   that was already used or revoked is treated as theft: the whole session
+ *   is revoked and the client must log in again.
+ *
+ * ONE-TIME TOKENS
+ *   Password-reset and email-verification links carry a random token. Only
+ *   its SHA-256 hash is stored in `one_time_tokens`; each token expires and
+ *   can be redeemed exactly once.
+ *
+ * TWO-FACTOR (TOTP)
+ *   /mfa/setup returns an otpauth URI plus recovery codes, /mfa/verify
+ *   confirms the first code and switches MFA on. From then on /login answers
+ *   with a single-use 5-minute `challengeToken` instead of tokens; /login/mfa
+ *   exchanges it plus a TOTP or recovery code for the usual access/refresh
+ *   pair. Spent challenges are recorded by jti in `one_time_tokens`.
+ *
+ * PERSONAL ACCESS TOKENS
+ *   Long-lived `vylo_pat_…` tokens for scripts, limited to the scopes listed
+ *   in middlewares/requireScope.js. Only their SHA-256 hash is stored in
+ *   `personal_access_tokens`; the plain token is shown once on creation.
+ *   Account management below (sessions, MFA, tokens, export, deletion)
+ *   requires a real login and rejects these tokens.
+ *
+ * BRUTE-FORCE PROTECTION
+ *   Failed logins are counted per email and per IP in `login_attempts`
+ *   (so counters survive restarts). After a few failures every further
+ *   attempt is delayed exponentially; past the hard limit the key is locked
+ *   for LOCKOUT_MS. Blocked requests get 429 + Retry-After. Signups are
+ *   counted per IP regardless of outcome.
  */
 
 const express     = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt      = require('bcryptjs');
 const jwt         = require('jsonwebtoken');
+const { randomUUID, randomBytes, createHash } = require('crypto');
+const { sendMail } = require('../services/mailer');
+const totp        = require('../services/totp');
+const { exportUserData, deleteUserData } = require('../services/userData');
 
 const router      = express.Router();
 const ACCESS_TTL  = '15m';
 const REFRESH_TTL = '7d';
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const RESET_TTL_MS   = 60 * 60 * 1000;          // 1 hour
+const VERIFY_TTL_MS  = 24 * 60 * 60 * 1000;     // 24 hours
+const MFA_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_PAT_TTL_DAYS    = 365;
+
+const LOCKOUT_MS        = 15 * 60 * 1000;       // hard lockout / max backoff
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;       // counters forget after 1h of quiet
+// backoffAfter: failures before delays start; lockAfter: failures before a full lockout
+const THROTTLE_POLICIES = {
+  email:  { backoffAfter: 3,  lockAfter: 10 },
+  ip:     { backoffAfter: 20, lockAfter: 100 },  // IPs are shared behind NAT / carrier-grade NAT
+  signup: { backoffAfter: 5,  lockAfter: 20 }
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES  = 72;                 // bcrypt ignores anything beyond this
+const APP_URL     = process.env.APP_URL || 'http://localhost:3000';
 
 /* ─────────── Mongo singleton ─────────── */
 const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017');
-let users;   // will be set once the connection opens
+let users;          // will be set once the connection opens
+let refreshTokens;
+let sessions;
+let oneTimeTokens;
+let loginAttempts;
+let accessTokens;
 
 (async () => {
   await client.connect();
@@ -30,17 +99,370 @@ let users;   // will be set once the connection opens
   users = db.collection('users');
   // ensure email is unique
   await users.createIndex({ email: 1 }, { unique: true });
+
+  refreshTokens = db.collection('refresh_tokens');
+  await refreshTokens.createIndex({ jti: 1 }, { unique: true });
+  await refreshTokens.createIndex({ sessionId: 1 });
+  await refreshTokens.createIndex({ userId: 1 });
+  // expired tokens are useless for reuse detection once the JWT itself is dead
+  await refreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  sessions = db.collection('sessions');
+  await sessions.createIndex({ userId: 1, lastUsedAt: -1 });
+
+  oneTimeTokens = db.collection('one_time_tokens');
+  await oneTimeTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await oneTimeTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  loginAttempts = db.collection('login_attempts');
+  await loginAttempts.createIndex({ key: 1 }, { unique: true });
+  await loginAttempts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  accessTokens = db.collection('personal_access_tokens');
+  await accessTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await accessTokens.createIndex({ userId: 1 });
   console.log('↳ Users collection ready');
 })().catch(console.error);
 
 /* ─────────── helpers ─────────── */
-function generateTokens(userId) {
-  const payload = { sub: userId.toString() };
+
+/**
+ * Opens a new session for a signup/login request.
+ * @param {ObjectId} userId - The user signing in.
+ * @param {import('express').Request} req - Used for user-agent and IP.
+ * @returns {Promise<ObjectId>} The new session id.
+ */
+async function createSession(userId, req) {
+  const now = new Date();
+  const { insertedId } = await sessions.insertOne({
+    userId: new ObjectId(userId),
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+    createdAt: now,
+    lastUsedAt: now,
+    revokedAt: null
+  });
+  return insertedId;
+}
+
+/**
+ * Signs an access/refresh pair for a session and records the refresh token's jti.
+ * @param {ObjectId|string} userId - Owner of the tokens.
+ * @param {ObjectId} sessionId - Session the tokens belong to.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+async function generateTokens(userId, sessionId) {
+  const payload = { sub: userId.toString(), sid: sessionId.toString() };
+  const jti = randomUUID();
   const accessToken  = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TTL });
-  const refreshToken = jwt.sign({ ...payload, typ: 'refresh' }, process.env.JWT_SECRET, { expiresIn: REFRESH_TTL });
+  const refreshToken = jwt.sign({ ...payload, typ: 'refresh' }, process.env.JWT_SECRET, { expiresIn: REFRESH_TTL, jwtid: jti });
+
+  const now = new Date();
+  await refreshTokens.insertOne({
+    jti,
+    sessionId,
+    userId: new ObjectId(userId),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TTL_MS),
+    usedAt: null,
+    revokedAt: null
+  });
+
   return { accessToken, refreshToken };
 }
 
+/**
+ * Revokes every still-active session matching the filter, plus their refresh tokens.
+ * @param {object} filter - e.g. { _id: sessionId } or { userId }
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+async function revokeSessions(filter) {
+  const revokedAt = new Date();
+  const active = await sessions.find({ ...filter, revokedAt: null }, { projection: { _id: 1 } }).toArray();
+  if (active.length === 0) return 0;
+
+  const ids = active.map(s => s._id);
+  await sessions.updateMany({ _id: { $in: ids } }, { $set: { revokedAt } });
+  await refreshTokens.updateMany(
+    { sessionId: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt } }
+  );
+  return ids.length;
+}
+
+/**
+ * Public shape of a session document.
+ * @param {object} session - Document from `sessions`.
+ * @param {string} [currentSessionId] - Session of the caller, flagged as `current`.
+ */
+function toSessionResponse(session, currentSessionId) {
+  return {
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === currentSessionId
+  };
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a single-use token, replacing any unredeemed token of the same purpose.
+ * @param {ObjectId} userId - Owner of the token.
+ * @param {'password_reset'|'email_verify'} purpose - What the token may be redeemed for.
+ * @param {number} ttlMs - Lifetime in milliseconds.
+ * @returns {Promise<string>} The plain token (only ever sent by mail).
+ */
+async function createOneTimeToken(userId, purpose, ttlMs) {
+  await oneTimeTokens.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = randomBytes(32).toString('hex');
+  const now = new Date();
+  await oneTimeTokens.insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    purpose,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + ttlMs),
+    usedAt: null
+  });
+  return token;
+}
+
+/**
+ * Atomically redeems a single-use token.
+ * @param {string} token - Plain token from the mail link.
+ * @param {string} purpose - Expected purpose.
+ * @returns {Promise<object|null>} The token document, or null if invalid, expired or already used.
+ */
+async function redeemOneTimeToken(token, purpose) {
+  return oneTimeTokens.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+}
+
+/**
+ * Mails an email-verification link to the user.
+ * @param {{_id: ObjectId, email: string}} user
+ */
+async function sendVerificationMail(user) {
+  const token = await createOneTimeToken(user._id, 'email_verify', VERIFY_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Vylo email address',
+    text: `Welcome to Vylo!\n\nConfirm your email address by opening the link below (valid for 24 hours):\n${APP_URL}/verify-email?token=${token}\n`
+  });
+}
+
+/**
+ * Records an MFA challenge as exchanged so it cannot be replayed.
+ * @param {{jti: string, sub: string, exp: number}} challenge - Decoded challenge token.
+ * @returns {Promise<boolean>} false when the challenge had already been used.
+ */
+async function spendChallenge({ jti, sub, exp }) {
+  const now = new Date();
+  try {
+    await oneTimeTokens.insertOne({
+      tokenHash: hashToken(jti),
+      userId: new ObjectId(sub),
+      purpose: 'mfa_challenge',
+      createdAt: now,
+      expiresAt: new Date(exp * 1000),   // kept until the JWT itself expires
+      usedAt: now
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Generates fresh MFA recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} Plain codes for the user, hashes for storage.
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashToken) };
+}
+
+/**
+ * Checks a TOTP code against the user's active secret and records the step
+ * so the same code cannot be replayed.
+ * @param {object} user - User document with `mfa.secret`.
+ * @param {string} code - Code typed by the user.
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotpCode(user, code) {
+  const lastUsedStep = user.mfa.lastUsedStep ?? -1;
+  const step = totp.verifyCode(user.mfa.secret, code, { afterStep: lastUsedStep });
+  if (step === null) return false;
+
+  // guard against two concurrent requests using the same code
+  const { modifiedCount } = await users.updateOne(
+    { _id: user._id, 'mfa.lastUsedStep': user.mfa.lastUsedStep ?? null },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+  return modifiedCount === 1;
+}
+
+/**
+ * Burns one recovery code.
+ * @param {object} user - User document with `mfa.recoveryCodeHashes`.
+ * @param {string} recoveryCode - Code as printed to the user.
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(user, recoveryCode) {
+  const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+  const { modifiedCount } = await users.updateOne(
+    { _id: user._id, 'mfa.recoveryCodeHashes': hash },
+    { $pull: { 'mfa.recoveryCodeHashes': hash } }
+  );
+  return modifiedCount === 1;
+}
+
+/**
+ * Validates an email address and password for account creation / reset.
+ * @param {string} email
+ * @param {string} password
+ * @returns {string|null} Error message, or null when both are acceptable.
+ */
+function validateCredentials(email, password) {
+  if (typeof email !== 'string' || !EMAIL_RE.test(email) || email.length > 254) {
+    return 'invalid email address';
+  }
+  return validatePassword(password, email);
+}
+
+/**
+ * Password strength rules: length, letters + digits, not the email itself.
+ * @param {string} password
+ * @param {string} [email] - Rejected as (part of) the password when given.
+ * @returns {string|null} Error message, or null when the password is acceptable.
+ */
+function validatePassword(password, email) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return `password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  }
+  if (!/[a-z]/i.test(password) || !/\d/.test(password)) {
+    return 'password must contain letters and digits';
+  }
+  const localPart = email?.split('@')[0]?.toLowerCase();
+  if (localPart && localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+    return 'password must not contain your email address';
+  }
+  return null;
+}
+
+/**
+ * Seconds until every given throttle key accepts attempts again.
+ * @param {string[]} keys - e.g. ['email:a@b.c', 'ip:1.2.3.4']
+ * @returns {Promise<number>} 0 when no key is blocked.
+ */
+async function getRetryAfter(keys) {
+  const now = Date.now();
+  const blocked = await loginAttempts
+    .find({ key: { $in: keys }, lockedUntil: { $gt: new Date(now) } })
+    .toArray();
+  return blocked.reduce(
+    (max, doc) => Math.max(max, Math.ceil((doc.lockedUntil.getTime() - now) / 1000)),
+    0
+  );
+}
+
+/**
+ * Counts one failed attempt and, past the policy threshold, blocks the key
+ * for an exponentially growing delay (1s, 2s, 4s … capped at LOCKOUT_MS).
+ * @param {string} key - Throttle key.
+ * @param {{backoffAfter: number, lockAfter: number}} policy
+ */
+async function recordFailedAttempt(key, policy) {
+  const now = new Date();
+  const increment = () => loginAttempts.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  let doc;
+  try {
+    doc = await increment();
+  } catch (err) {
+    // two first failures upserting at once: the loser retries as a plain update
+    if (err.code !== 11000) throw err;
+    doc = await increment();
+  }
+
+  let lockedUntil = null;
+  if (doc.failures >= policy.lockAfter) {
+    lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+  } else if (doc.failures >= policy.backoffAfter) {
+    const delay = Math.min(1000 * 2 ** (doc.failures - policy.backoffAfter), LOCKOUT_MS);
+    lockedUntil = new Date(now.getTime() + delay);
+  }
+
+  await loginAttempts.updateOne(
+    { key },
+    {
+      $set: {
+        lockedUntil,
+        expiresAt: new Date(Math.max(now.getTime() + ATTEMPT_WINDOW_MS, lockedUntil?.getTime() || 0))
+      }
+    }
+  );
+}
+
+/**
+ * Sends 429 with Retry-After when any of the keys is currently blocked.
+ * @returns {Promise<boolean>} true when the response has been sent.
+ */
+async function rejectIfThrottled(res, keys) {
+  const retryAfter = await getRetryAfter(keys);
+  if (retryAfter === 0) return false;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'too many attempts, try again later', retryAfter });
+  return true;
+}
+
+/**
+ * Public shape of a personal access token (never includes the token itself).
+ * @param {object} pat - Document from `personal_access_tokens`.
+ */
+function toTokenResponse(pat) {
+  return {
+    id: pat._id,
+    name: pat.name,
+    prefix: pat.prefix,
+    scopes: pat.scopes,
+    createdAt: pat.createdAt,
+    lastUsedAt: pat.lastUsedAt,
+    expiresAt: pat.expiresAt
+  };
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const emailKey = (email) => `email:${normalizeEmail(email)}`;
+const ipKey    = (req) => `ip:${req.ip}`;
+
+/**
+ * Finds a user by email. Signup stores addresses normalized; accounts created
+ * before that keep the address exactly as it was typed.
+ * @param {string} email
+ * @returns {Promise<object|null>}
+ */
+async function findUserByEmail(email) {
+  return await users.findOne({ email: normalizeEmail(email) }) ||
+    (typeof email === 'string' ? users.findOne({ email }) : null);
+}
+
 /* ─────────── ROUTES ─────────── */
 
 /**
@@ -49,13 +471,26 @@ function generateTokens(userId) {
  */
 router.post('/signup', async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+    const { password } = req.body || {};
+    if (!req.body?.email || !password) return res.status(400).json({ error: 'email and password required' });
+    const email = normalizeEmail(req.body.email);
+
+    const signupKey = `signup:${req.ip}`;
+    if (await rejectIfThrottled(res, [signupKey])) return;
+    await recordFailedAttempt(signupKey, THROTTLE_POLICIES.signup);
+
+    const invalid = validateCredentials(email, password);
+    if (invalid) return res.status(400).json({ error: invalid });
 
     const hash = await bcrypt.hash(password, 10);
-    const { insertedId } = await users.insertOne({ email, passwordHash: hash, createdAt: new Date() });
+    const { insertedId } = await users.insertOne({ email, passwordHash: hash, emailVerified: false, createdAt: new Date() });
+
+    // a mail outage must not fail the signup – the user can ask for a new link
+    sendVerificationMail({ _id: insertedId, email })
+      .catch((e) => console.error('Failed to send verification mail:', e));
 
-    const tokens = generateTokens(insertedId);
+    const sessionId = await createSession(insertedId, req);
+    const tokens = await generateTokens(insertedId, sessionId);
     res.status(201).json({ userId: insertedId, ...tokens });
   } catch (err) {
     if (err.code === 11000) return res.status(409).json({ error: 'email already registered' });
@@ -73,14 +508,91 @@ router.post('/login', async (req, res) => {
     const { email, password } = req.body || {};
     if (!email || !password) return res.status(400).json({ error: 'email and password required' });
 
-    const user = await users.findOne({ email });
-    if (!user) return res.status(401).json({ error: 'invalid credentials' });
+    const keys = [emailKey(email), ipKey(req)];
+    if (await rejectIfThrottled(res, keys)) return;
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ error: 'invalid credentials' });
+    const user = await findUserByEmail(email);
+    const ok = user && await bcrypt.compare(password, user.passwordHash);
+    if (!ok) {
+      await Promise.all([
+        recordFailedAttempt(keys[0], THROTTLE_POLICIES.email),
+        recordFailedAttempt(keys[1], THROTTLE_POLICIES.ip)
+      ]);
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+    if (user.mfa?.enabled) {
+      // the email counter also guards the second factor: it is only cleared by /login/mfa,
+      // or re-entering the password would reset the TOTP guess count
+      const challengeToken = jwt.sign(
+        { sub: user._id.toString(), typ: 'mfa_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: MFA_CHALLENGE_TTL, jwtid: randomUUID() }
+      );
+      return res.json({ userId: user._id, mfaRequired: true, challengeToken });
+    }
+
+    // the per-IP counter is left alone: one good password must not unlock an IP spraying others
+    await loginAttempts.deleteOne({ key: keys[0] });
 
-    const tokens = generateTokens(user._id);
-    res.json({ userId: user._id, ...tokens });
+    const sessionId = await createSession(user._id, req);
+    const tokens = await generateTokens(user._id, sessionId);
+    res.json({ userId: user._id, emailVerified: user.emailVerified === true, ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'login failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/login/mfa
+ * { "challengeToken": "...", "code": "123456" }   or   { "challengeToken": "...", "recoveryCode": "abcd-ef01" }
+ * Second login step for accounts with MFA enabled.
+ */
+router.post('/login/mfa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'challengeToken and code or recoveryCode required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.typ !== 'mfa_challenge' || !decoded.jti) throw new Error('not a challenge token');
+  } catch (err) {
+    return res.status(401).json({ error: 'invalid or expired challenge token' });
+  }
+
+  try {
+    const user = await users.findOne({ _id: new ObjectId(decoded.sub) });
+    const spent = await oneTimeTokens.findOne({ tokenHash: hashToken(decoded.jti), purpose: 'mfa_challenge' });
+    if (!user?.mfa?.enabled || spent) return res.status(401).json({ error: 'invalid or expired challenge token' });
+
+    // a 6-digit code is only 10^6 guesses – share the email counter with the password step
+    const key = emailKey(user.email);
+    if (await rejectIfThrottled(res, [key, ipKey(req)])) return;
+
+    const ok = code
+      ? await consumeTotpCode(user, code)
+      : await consumeRecoveryCode(user, recoveryCode);
+    if (!ok) {
+      await Promise.all([
+        recordFailedAttempt(key, THROTTLE_POLICIES.email),
+        recordFailedAttempt(ipKey(req), THROTTLE_POLICIES.ip)
+      ]);
+      return res.status(401).json({ error: 'invalid code' });
+    }
+    // a concurrent request with the same challenge may have won the race
+    if (!await spendChallenge(decoded)) return res.status(401).json({ error: 'invalid or expired challenge token' });
+    await loginAttempts.deleteOne({ key });
+
+    const sessionId = await createSession(user._id, req);
+    const tokens = await generateTokens(user._id, sessionId);
+    res.json({
+      userId: user._id,
+      emailVerified: user.emailVerified === true,
+      ...(recoveryCode && !code ? { recoveryCodesRemaining: user.mfa.recoveryCodeHashes.length - 1 } : {}),
+      ...tokens
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'login failed' });
@@ -90,49 +602,478 @@ router.post('/login', async (req, res) => {
 /**
  * POST /api/v1/auth/refresh
  * { "refreshToken": "..." }
+ * Rotates the refresh token: the presented one is spent, a new pair is returned.
  */
 router.post('/refresh', async (req, res) => {
   const { refreshToken } = req.body || {};
   if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
 
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    if (decoded.typ !== 'refresh' || !decoded.jti || !decoded.sid) throw new Error('not a refresh token');
+  } catch (err) {
+    return res.status(401).json({ error: 'invalid or expired refresh token' });
+  }
+  const sessionId = new ObjectId(decoded.sid);
+
   try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    if (decoded.typ !== 'refresh') throw new Error('not a refresh token');
+    // Atomically spend the token so two concurrent refreshes can't both succeed
+    const stored = await refreshTokens.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null, revokedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
 
-    // Optionally: check a token blacklist or jti here
+    if (!stored) {
+      // Unknown, already rotated or revoked → assume the session is compromised
+      await revokeSessions({ _id: sessionId });
+      console.warn(`Refresh token reuse detected for user ${decoded.sub}, session ${decoded.sid} revoked`);
+      return res.status(401).json({ error: 'refresh token reuse detected, please log in again' });
+    }
 
-    const tokens = generateTokens(decoded.sub);
+    await sessions.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date() } });
+    const tokens = await generateTokens(stored.userId, sessionId);
     res.json(tokens);
   } catch (err) {
-    return res.status(401).json({ error: 'invalid or expired refresh token' });
+    console.error(err);
+    res.status(500).json({ error: 'refresh failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/forgot-password
+ * { "email": "..." }
+ * Mails a password-reset link (valid for 1 hour). Always answers 202 so the
+ * endpoint cannot be used to probe which emails are registered.
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'email required' });
+
+  try {
+    const user = await findUserByEmail(email);
+    if (user) {
+      const token = await createOneTimeToken(user._id, 'password_reset', RESET_TTL_MS);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Vylo password',
+        text: `Someone asked to reset the password of your Vylo account.\n\nOpen the link below to choose a new password (valid for 1 hour):\n${APP_URL}/reset-password?token=${token}\n\nIf this wasn't you, you can ignore this mail.\n`
+      });
+    }
+    res.status(202).json({ message: 'if the email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'password reset failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/reset-password
+ * { "token": "...", "password": "..." }
+ * Sets a new password and signs the user out of every device.
+ * Returns 204 No Content.
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) return res.status(400).json({ error: 'token and password required' });
+
+  try {
+    const weak = validatePassword(password);
+    if (weak) return res.status(400).json({ error: weak });
+
+    const redeemed = await redeemOneTimeToken(token, 'password_reset');
+    if (!redeemed) return res.status(400).json({ error: 'invalid or expired reset token' });
+
+    const hash = await bcrypt.hash(password, 10);
+    // the mail reached the inbox, so the address is proven as well
+    await users.updateOne(
+      { _id: redeemed.userId },
+      { $set: { passwordHash: hash, emailVerified: true, passwordChangedAt: new Date() } }
+    );
+    await revokeSessions({ userId: redeemed.userId });
+    // a reset means the old password may be known – scripts must get new tokens too
+    await accessTokens.updateMany(
+      { userId: redeemed.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // whoever holds the inbox owns the account – lift any lockout on it
+    const owner = await users.findOne({ _id: redeemed.userId }, { projection: { email: 1 } });
+    if (owner) await loginAttempts.deleteOne({ key: emailKey(owner.email) });
+
+    return res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'password reset failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/verify-email
+ * { "token": "..." }
+ * Marks the email address of the token's owner as verified.
+ */
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: 'token required' });
+
+  try {
+    const redeemed = await redeemOneTimeToken(token, 'email_verify');
+    if (!redeemed) return res.status(400).json({ error: 'invalid or expired verification token' });
+
+    await users.updateOne({ _id: redeemed.userId }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+    res.json({ message: 'email verified' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'email verification failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/logout
+ * { "refreshToken": "..." }
+ * Revokes the session of the presented token (this device only).
+ * Returns 204 No Content.
+ */
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+  let decoded;
+  try {
+    // expired tokens may still be logged out – only the signature matters here
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+    if (decoded.typ !== 'refresh' || !decoded.sid) throw new Error('not a refresh token');
+  } catch (err) {
+    return res.status(401).json({ error: 'invalid refresh token' });
+  }
+
+  try {
+    await revokeSessions({ _id: new ObjectId(decoded.sid) });
+    return res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'logout failed' });
+  }
+});
+
+const requireAuth = require('../middlewares/requireAuth');   // adjust path
+const { SCOPES, requireSession } = require('../middlewares/requireScope');
+
+/**
+ * POST /api/v1/auth/logout-all
+ * Header: Authorization: Bearer <accessToken>
+ * Revokes every session of the authenticated user (all devices).
+ * Returns { revoked: <count> }.
+ */
+router.post('/logout-all', requireAuth, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ userId: new ObjectId(req.userId) });
+    res.json({ revoked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'logout failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/resend-verification
+ * Header: Authorization: Bearer <accessToken>
+ * Sends a fresh verification link; earlier links stop working.
+ */
+router.post('/resend-verification', requireAuth, requireSession, async (req, res) => {
+  try {
+    const user = await users.findOne({ _id: new ObjectId(req.userId) });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    if (user.emailVerified) return res.status(409).json({ error: 'email already verified' });
+
+    await sendVerificationMail(user);
+    res.status(202).json({ message: 'verification mail sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to send verification mail' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/mfa/setup
+ * Header: Authorization: Bearer <accessToken>
+ * Starts MFA enrolment. Returns { secret, otpauthUri, recoveryCodes }.
+ * Nothing changes for login until /mfa/verify confirms a code.
+ */
+router.post('/mfa/setup', requireAuth, requireSession, async (req, res) => {
+  try {
+    const user = await users.findOne({ _id: new ObjectId(req.userId) });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    if (user.mfa?.enabled) return res.status(409).json({ error: 'MFA already enabled' });
+
+    const secret = totp.generateSecret();
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { mfa: { enabled: false, pendingSecret: secret, pendingRecoveryCodeHashes: hashes } } }
+    );
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email),
+      recoveryCodes: codes
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'MFA setup failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/mfa/verify
+ * Header: Authorization: Bearer <accessToken>
+ * { "code": "123456" }
+ * Confirms enrolment with a first code from the authenticator and enables MFA.
+ */
+router.post('/mfa/verify', requireAuth, requireSession, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: 'code required' });
+
+  try {
+    const user = await users.findOne({ _id: new ObjectId(req.userId) });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    if (user.mfa?.enabled) return res.status(409).json({ error: 'MFA already enabled' });
+    if (!user.mfa?.pendingSecret) return res.status(400).json({ error: 'call /mfa/setup first' });
+
+    const step = totp.verifyCode(user.mfa.pendingSecret, code);
+    if (step === null) return res.status(401).json({ error: 'invalid code' });
+
+    await users.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          mfa: {
+            enabled: true,
+            secret: user.mfa.pendingSecret,
+            recoveryCodeHashes: user.mfa.pendingRecoveryCodeHashes,
+            lastUsedStep: step,
+            enabledAt: new Date()
+          }
+        }
+      }
+    );
+    res.json({ message: 'MFA enabled' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'MFA verification failed' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/mfa/disable
+ * Header: Authorization: Bearer <accessToken>
+ * { "password": "...", "code": "123456" }
+ * Turns MFA off; requires both the password and a current code.
+ */
+router.post('/mfa/disable', requireAuth, requireSession, async (req, res) => {
+  const { password, code } = req.body || {};
+  if (!password || !code) return res.status(400).json({ error: 'password and code required' });
+
+  try {
+    const user = await users.findOne({ _id: new ObjectId(req.userId) });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    if (!user.mfa?.enabled) return res.status(409).json({ error: 'MFA is not enabled' });
+
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok || !(await consumeTotpCode(user, code))) {
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+
+    await users.updateOne({ _id: user._id }, { $unset: { mfa: '' } });
+    res.json({ message: 'MFA disabled' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to disable MFA' });
+  }
+});
+
+/**
+ * GET /api/v1/auth/sessions
+ * Header: Authorization: Bearer <accessToken>
+ * Lists the active sessions (devices) of the authenticated user, most recent first.
+ */
+router.get('/sessions', requireAuth, requireSession, async (req, res) => {
+  try {
+    const list = await sessions
+      .find({ userId: new ObjectId(req.userId), revokedAt: null })
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+    res.json({ sessions: list.map(s => toSessionResponse(s, req.sessionId)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to list sessions' });
+  }
+});
+
+/**
+ * DELETE /api/v1/auth/sessions/:id
+ * Header: Authorization: Bearer <accessToken>
+ * Signs out one device. Its access token stops working immediately.
+ * Returns 204 No Content.
+ */
+router.delete('/sessions/:id', requireAuth, requireSession, async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'invalid session id' });
+  }
+  try {
+    const revoked = await revokeSessions({
+      _id: new ObjectId(req.params.id),
+      userId: new ObjectId(req.userId)
+    });
+    if (revoked === 0) return res.status(404).json({ error: 'session not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'failed to revoke session' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/tokens
+ * Header: Authorization: Bearer <accessToken>
+ * { "name": "nightly import", "scopes": ["entries:read", "entries:write"], "expiresInDays": 90 }
+ * Creates a personal access token. The `token` field is only returned here.
+ */
+router.post('/tokens', requireAuth, requireSession, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'name (string, max 100 chars) required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'scopes array required', validScopes: SCOPES });
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `unknown scopes: ${unknown.join(', ')}`, validScopes: SCOPES });
+  }
+  if (expiresInDays !== undefined &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_PAT_TTL_DAYS)) {
+    return res.status(400).json({ error: `expiresInDays must be an integer between 1 and ${MAX_PAT_TTL_DAYS}` });
+  }
+
+  try {
+    const token = `${requireAuth.PAT_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const pat = {
+      userId: new ObjectId(req.userId),
+      name,
+      prefix: token.slice(0, requireAuth.PAT_PREFIX.length + 4),
+      tokenHash: hashToken(token),
+      scopes: [...new Set(scopes)],
+      createdAt: now,
+      lastUsedAt: null,
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      revokedAt: null
+    };
+    const { insertedId } = await accessTokens.insertOne(pat);
+
+    res.status(201).json({ ...toTokenResponse({ ...pat, _id: insertedId }), token });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to create token' });
+  }
+});
+
+/**
+ * GET /api/v1/auth/tokens
+ * Header: Authorization: Bearer <accessToken>
+ * Lists the user's active personal access tokens.
+ */
+router.get('/tokens', requireAuth, requireSession, async (req, res) => {
+  try {
+    const list = await accessTokens
+      .find({ userId: new ObjectId(req.userId), revokedAt: null })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json({ tokens: list.map(toTokenResponse) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'failed to list tokens' });
+  }
+});
+
+/**
+ * DELETE /api/v1/auth/tokens/:id
+ * Header: Authorization: Bearer <accessToken>
+ * Revokes a personal access token. Returns 204 No Content.
+ */
+router.delete('/tokens/:id', requireAuth, requireSession, async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'invalid token id' });
+  }
+  try {
+    const { modifiedCount } = await accessTokens.updateOne(
+      { _id: new ObjectId(req.params.id), userId: new ObjectId(req.userId), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (modifiedCount === 0) return res.status(404).json({ error: 'token not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'failed to revoke token' });
+  }
+});
+
+/**
+ * GET /api/v1/auth/export
+ * Header: Authorization: Bearer <accessToken>
+ * Returns one JSON archive of everything stored for the user
+ * (credentials, token hashes and MFA secrets excluded).
+ */
+router.get('/export', requireAuth, requireSession, async (req, res) => {
+  try {
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    const archive = await exportUserData(db, new ObjectId(req.userId));
+    if (!archive.user) return res.status(404).json({ error: 'user not found' });
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="vylo-export-${day}.json"`);
+    res.json(archive);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'export failed' });
   }
 });
 
 /* -----------------------------------------------------------
  * DELETE /api/v1/auth/delete
  * Header: Authorization: Bearer <accessToken>
- * Deletes the authenticated user and all their data.
+ * { "password": "..." }
+ * Deletes the authenticated user and all their data (every collection
+ * registered in services/userData.js). The password must be re-entered.
  * Returns 204 No Content.
  * ----------------------------------------------------------- */
-const requireAuth = require('../middlewares/requireAuth');   // adjust path
+router.delete('/delete', requireAuth, requireSession, async (req, res) => {
+  const { password } = req.body || {};
+  if (!password) return res.status(400).json({ error: 'password required' });
 
-router.delete('/delete', requireAuth, async (req, res) => {
   try {
     const userId = new ObjectId(req.userId);
 
-    // 1) delete user doc
-    await users.deleteOne({ _id: userId });
+    const user = await users.findOne({ _id: userId });
+    if (!user) return res.status(404).json({ error: 'user not found' });
 
-    // 2) cascade: drop related docs (ignore errors if coll missing)
-    const db = client.db(process.env.MONGO_DB || 'pf_dev');
-    const collections = ['receipts', 'transactions', 'budgets', 'insights'];
+    const keys = [emailKey(user.email), ipKey(req)];
+    if (await rejectIfThrottled(res, keys)) return;
 
-    await Promise.all(
-      collections.map((name) =>
-        db.collection(name).deleteMany({ userId })
-          .catch((e) => console.warn(`${name} not found:`, e.message))
-      )
-    );
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) {
+      await recordFailedAttempt(keys[0], THROTTLE_POLICIES.email);
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    const deleted = await deleteUserData(db, userId);
+    await loginAttempts.deleteOne({ key: keys[0] });
+    console.log(`↳ Deleted user ${userId}:`, deleted);
 
     return res.status(204).end();        // success, no body
   } catch (err) {
@@ -5,14 +5,22 @@ const express = require('express');
 const router  = express.Router();
 const { MongoClient, ObjectId } = require('mongodb');
 const requireAuth = require('../middlewares/requireAuth');
-const categories = require('../data/categories.json');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const trashStore = require('../services/trashStore');
+const auditLog = require('../services/auditLog');
+const entryStore = require('../services/entryStore');
+const categoryService = require('../services/categoryService');
 
 const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 });
 let userBudgets;
-let userEntries;
+let entriesColl;
+let userCategories;
+let trashColl;
+let auditColl;
 let dbReady = false;
 
 // MongoDB setup
@@ -21,13 +29,18 @@ async function initDb() {
     await client.connect();
     const db = client.db(process.env.MONGO_DB || 'pf_dev');
     userBudgets = db.collection('user_budgets');
-    userEntries = db.collection('user_entries');
+    entriesColl = db.collection('entries');
+    userCategories = db.collection('user_categories');
+    trashColl = db.collection('trash');
+    auditColl = db.collection('audit_log');
     dbReady = true;
   }
 }
 initDb();
 
 router.use(requireAuth);
+router.use(scopeByMethod('budgets'));
+router.use(resolveLedger);   // req.ledgerId: the user's own ledger or the X-Household-Id one
 
 // Middleware to ensure DB is ready before handling requests
 router.use(async (req, res, next) => {
@@ -40,10 +53,24 @@ router.use(async (req, res, next) => {
   next();
 });
 
+/**
+ * Appends an audit record for a month's budget.
+ * @param {import('express').Request} req
+ * @param {string} month
+ * @param {string} action
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+async function auditBudget(req, month, action, before, after) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), [
+    { entity: 'budget', entityId: month, action, before, after }
+  ]);
+}
+
 // GET / – get all monthly budgets for the authenticated user
 router.get('/', async (req, res) => {
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     const budgetDoc = await userBudgets.findOne({ userId });
     // budgets: { "2024-01": { total, categories }, ... }
     res.json({ budgets: budgetDoc?.budgets || {} });
@@ -68,13 +95,15 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: 'month (YYYY-MM), total (number), and categories (object) are required' });
   }
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     // Set or update the budget for the given month
-    await userBudgets.updateOne(
+    const previous = await userBudgets.findOneAndUpdate(
       { userId },
       { $set: { [`budgets.${month}`]: { total, categories } } },
-      { upsert: true }
+      { upsert: true, returnDocument: 'before', projection: { [`budgets.${month}`]: 1 } }
     );
+    const before = previous?.budgets?.[month] || null;
+    await auditBudget(req, month, before ? 'update' : 'create', before, { total, categories });
     res.status(201).json({ message: 'budget for month set/updated' });
   } catch (err) {
     console.error('Failed to set/update budgets:', err);
@@ -89,7 +118,7 @@ router.get('/:month', async (req, res) => {
     return res.status(400).json({ error: 'month must be in YYYY-MM format' });
   }
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     // Project only the requested month for speed
     const budgetDoc = await userBudgets.findOne(
       { userId },
@@ -109,7 +138,7 @@ router.get('/:month/remaining', async (req, res) => {
     return res.status(400).json({ error: 'month must be in YYYY-MM format' });
   }
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
 
     // Get budget for this month
     const budgetDoc = await userBudgets.findOne({ userId });
@@ -119,34 +148,30 @@ router.get('/:month/remaining', async (req, res) => {
       return res.status(404).json({ error: 'No budget set for this month' });
     }
 
-    // Get expenses for this month
-    const entriesDoc = await userEntries.findOne({ userId });
-    const monthlyEntries = entriesDoc?.[month] || {};
+    // Get expenses for this month, already summed per category code by Mongo
+    const spentByCode = await entryStore.sumByCode(entriesColl, userId, entryStore.monthRange(month));
+    // custom sub-categories count against their parent's envelope too
+    const parents = categoryService.parentMap(
+      await categoryService.getCategories(userCategories, userId, { includeArchived: true })
+    );
 
     // Calculate total expenses by category
     const expensesByCategory = {};
     let miscellaneousExpenses = 0;
 
-    Object.values(monthlyEntries).forEach(dayData => {
-      if (dayData.entries) {
-        dayData.entries.forEach(entry => {
-          const categoryCode = entry.code;
-          const amount = entry.amount || 0;
-
-          // Check for exact match first
-          if (monthlyBudget.categories[categoryCode]) {
-            expensesByCategory[categoryCode] = (expensesByCategory[categoryCode] || 0) + amount;
-          } else {
-            // Check if this is a child category and parent has budget
-            const parentCategory = categories.find(cat => cat.code === categoryCode)?.parent;
-            if (parentCategory && monthlyBudget.categories[parentCategory]) {
-              expensesByCategory[parentCategory] = (expensesByCategory[parentCategory] || 0) + amount;
-            } else {
-              // Goes to miscellaneous
-              miscellaneousExpenses += amount;
-            }
-          }
-        });
+    Object.entries(spentByCode).forEach(([categoryCode, amount]) => {
+      // Check for exact match first
+      if (monthlyBudget.categories[categoryCode]) {
+        expensesByCategory[categoryCode] = (expensesByCategory[categoryCode] || 0) + amount;
+      } else {
+        // Check if this is a child category and parent has budget
+        const parentCategory = parents[categoryCode];
+        if (parentCategory && monthlyBudget.categories[parentCategory]) {
+          expensesByCategory[parentCategory] = (expensesByCategory[parentCategory] || 0) + amount;
+        } else {
+          // Goes to miscellaneous
+          miscellaneousExpenses += amount;
+        }
       }
     });
 
@@ -197,13 +222,13 @@ router.post('/:month/reassign', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
 
     // Create/update budget reassignments collection
     const db = client.db(process.env.MONGO_DB || 'pf_dev');
     const reassignments = db.collection('budget_reassignments');
 
-    await reassignments.updateOne(
+    const previous = await reassignments.findOneAndUpdate(
       { userId, month, entryId },
       {
         $set: {
@@ -216,8 +241,12 @@ router.post('/:month/reassign', async (req, res) => {
           reassignedAt: new Date()
         }
       },
-      { upsert: true }
+      { upsert: true, returnDocument: 'before' }
     );
+    const reassignment = ({ fromCategory: from, toCategory: to, amount: moved }) => ({
+      reassignments: { [entryId]: { fromCategory: from, toCategory: to, amount: moved } }
+    });
+    await auditBudget(req, month, 'update', previous ? reassignment(previous) : {}, reassignment(req.body));
 
     res.status(201).json({ message: 'expense reassigned successfully' });
   } catch (err) {
@@ -227,6 +256,7 @@ router.post('/:month/reassign', async (req, res) => {
 });
 
 // DELETE /:month – delete budget for a specific month
+// The budget goes to the trash; the response's undoToken restores it (POST /trash/undo).
 router.delete('/:month', async (req, res) => {
   const { month } = req.params;
   if (!month || !/^\d{4}-\d{2}$/.test(month)) {
@@ -234,22 +264,30 @@ router.delete('/:month', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
 
-    const result = await userBudgets.updateOne(
-      { userId },
-      { $unset: { [`budgets.${month}`]: "" } }
-    );
-
-    if (result.matchedCount === 0) {
+    const budgetDoc = await userBudgets.findOne({ userId }, { projection: { [`budgets.${month}`]: 1 } });
+    if (!budgetDoc) {
       return res.status(404).json({ error: 'No budget records found for user' });
     }
-
-    if (result.modifiedCount === 0) {
+    const value = budgetDoc.budgets?.[month];
+    if (!value) {
       return res.status(404).json({ error: 'No budget found for this month' });
     }
 
-    res.json({ message: 'budget deleted successfully' });
+    const trash = await trashStore.moveToTrash(trashColl, userId, {
+      kind: 'budget',
+      label: `budget for ${month}`,
+      payload: { month, value },
+      deletedBy: new ObjectId(req.userId)
+    });
+    await userBudgets.updateOne(
+      { userId },
+      { $unset: { [`budgets.${month}`]: "" } }
+    );
+    await auditBudget(req, month, 'delete', value, null);
+
+    res.json({ message: 'budget deleted successfully', ...trash });
   } catch (err) {
     console.error('Failed to delete monthly budget:', err);
     res.status(500).json({ error: 'failed to delete monthly budget' });
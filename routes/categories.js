@@ -0,0 +1,262 @@
+/**
+ * /api/v1/categories – built-in & custom categories
+ * -------------------------------------------------
+ * Built-ins (data/categories.json) are read-only. Custom categories belong to
+ * the current ledger, may sit under a top-level parent, carry an icon and a
+ * colour, and are archived instead of deleted.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const categoryService = require('../services/categoryService');
+const auditLog = require('../services/auditLog');
+const builtinCategories = require('../data/categories.json');
+
+const BUILTIN_CODES = new Set(builtinCategories.map(cat => cat.code));
+const CODE_RE = /^[A-Z][A-Z0-9]{1,9}(-[A-Z0-9]{1,10})?$/;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let userCategories;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    userCategories = db.collection('user_categories');
+    auditColl = db.collection('audit_log');
+    await categoryService.ensureIndexes(userCategories);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('categories'));
+router.use(resolveLedger);   // custom categories are shared on a household ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * Appends an audit record for a custom category.
+ * @param {import('express').Request} req
+ * @param {string} code
+ * @param {string} action
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+async function auditCategory(req, code, action, before, after) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), [
+    { entity: 'category', entityId: code, action, before, after }
+  ]);
+}
+
+/**
+ * Validates the optional presentation / hierarchy fields.
+ * @param {object} body
+ * @param {object[]} existing - Current merged category list of the ledger.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateCategoryFields({ name, parent, icon, color }, existing) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 60)) {
+    return 'name must be a non-empty string (max 60 chars)';
+  }
+  if (icon !== undefined && icon !== null && (typeof icon !== 'string' || icon.length > 32)) {
+    return 'icon must be a short string (emoji or icon name)';
+  }
+  if (color !== undefined && color !== null && (typeof color !== 'string' || !COLOR_RE.test(color))) {
+    return 'color must be a hex colour like #22AA88';
+  }
+  if (parent !== undefined && parent !== null) {
+    // only one level of nesting, as in the built-in taxonomy
+    const parentCat = existing.find(cat => cat.code === parent && !cat.archived);
+    if (!parentCat || parentCat.parent) {
+      return `parent must be an active top-level category code: ${parent}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Derives an unused code such as "FOD-SNACKS" or "CUS-PETS" from the name.
+ * @param {string} name
+ * @param {string|null} parent
+ * @param {object[]} existing - Merged list including archived categories.
+ * @returns {string}
+ */
+function generateCode(name, parent, existing) {
+  const taken = new Set(existing.map(cat => cat.code));
+  const slug = name.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8) || 'CAT';
+  const base = `${parent || 'CUS'}-${slug}`;
+  let code = base;
+  for (let i = 2; taken.has(code); i++) code = `${base.slice(0, 20 - String(i).length)}${i}`;
+  return code;
+}
+
+// GET / – built-in and custom categories of the current ledger
+// Query: includeArchived=true to also list archived custom categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await categoryService.getCategories(userCategories, req.ledgerId, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+    res.json({ categories });
+  } catch (err) {
+    console.error('Failed to fetch categories:', err);
+    res.status(500).json({ error: 'failed to fetch categories' });
+  }
+});
+
+// POST / – create a custom category
+// Expects: { name: string, parent?: "FOD" | null, code?: "FOD-SNACKS", icon?: string, color?: "#RRGGBB" }
+router.post('/', async (req, res) => {
+  const { name, parent = null, code, icon = null, color = null } = req.body || {};
+  if (!name) return res.status(400).json({ error: 'name is required' });
+
+  try {
+    const userId = req.ledgerId;
+    const existing = await categoryService.getCategories(userCategories, userId, { includeArchived: true });
+
+    const invalid = validateCategoryFields({ name, parent, icon, color }, existing);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (code !== undefined) {
+      if (typeof code !== 'string' || !CODE_RE.test(code)) {
+        return res.status(400).json({ error: 'code must look like ABC or ABC-DEF (uppercase letters and digits)' });
+      }
+      if (BUILTIN_CODES.has(code) || existing.some(cat => cat.code === code)) {
+        return res.status(409).json({ error: `category code already exists: ${code}` });
+      }
+    }
+
+    const now = new Date();
+    const category = {
+      userId,
+      code: code || generateCode(name, parent, existing),
+      name: name.trim(),
+      parent,
+      icon,
+      color,
+      archived: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    await userCategories.insertOne(category);
+    await auditCategory(req, category.code, 'create', null, category);
+
+    const { _id, userId: _ledger, ...response } = category;
+    res.status(201).json({ category: { ...response, is_builtin: false } });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'category code already exists' });
+    console.error('Failed to create category:', err);
+    res.status(500).json({ error: 'failed to create category' });
+  }
+});
+
+// PATCH /:code – rename / re-parent / restyle a custom category
+// Expects any of: { name, parent, icon, color }
+router.patch('/:code', async (req, res) => {
+  const { code } = req.params;
+  if (BUILTIN_CODES.has(code)) {
+    return res.status(403).json({ error: 'built-in categories cannot be modified' });
+  }
+
+  const changes = {};
+  ['name', 'parent', 'icon', 'color'].forEach(key => {
+    if (req.body?.[key] !== undefined) changes[key] = req.body[key];
+  });
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'at least one of name, parent, icon, color is required' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const existing = await categoryService.getCategories(userCategories, userId, { includeArchived: true });
+
+    const invalid = validateCategoryFields(changes, existing);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (changes.parent === code) return res.status(400).json({ error: 'a category cannot be its own parent' });
+    if (changes.parent && existing.some(cat => cat.parent === code)) {
+      return res.status(400).json({ error: 'a category with sub-categories cannot be moved under a parent' });
+    }
+    if (changes.name) changes.name = changes.name.trim();
+
+    const now = new Date();
+    const before = await userCategories.findOneAndUpdate(
+      { userId, code },
+      { $set: { ...changes, updatedAt: now } },
+      { returnDocument: 'before', projection: { _id: 0, userId: 0 } }
+    );
+    if (!before) return res.status(404).json({ error: 'category not found' });
+    const updated = { ...before, ...changes, updatedAt: now };
+    await auditCategory(req, code, 'update', before, updated);
+
+    res.json({ category: { ...updated, is_builtin: false } });
+  } catch (err) {
+    console.error('Failed to update category:', err);
+    res.status(500).json({ error: 'failed to update category' });
+  }
+});
+
+/**
+ * Sets the archived flag of a custom category.
+ * @param {boolean} archived
+ * @returns {import('express').RequestHandler}
+ */
+function setArchived(archived) {
+  return async (req, res) => {
+    const { code } = req.params;
+    if (BUILTIN_CODES.has(code)) {
+      return res.status(403).json({ error: 'built-in categories cannot be archived' });
+    }
+    try {
+      const userId = req.ledgerId;
+
+      // archiving a parent would orphan its active children in pickers
+      if (archived) {
+        const activeChild = await userCategories.findOne({ userId, parent: code, archived: { $ne: true } });
+        if (activeChild) {
+          return res.status(409).json({ error: `archive sub-category ${activeChild.code} first` });
+        }
+      }
+
+      const before = await userCategories.findOneAndUpdate(
+        { userId, code },
+        { $set: { archived, updatedAt: new Date() } },
+        { returnDocument: 'before' }
+      );
+      if (!before) return res.status(404).json({ error: 'category not found' });
+      await auditCategory(req, code, 'update', before, { ...before, archived });
+      res.json({ message: archived ? 'category archived' : 'category restored' });
+    } catch (err) {
+      console.error('Failed to change category archive state:', err);
+      res.status(500).json({ error: 'failed to update category' });
+    }
+  };
+}
+
+// POST /:code/archive – hide a custom category from pickers and new entries
+router.post('/:code/archive', setArchived(true));
+
+// POST /:code/restore – bring an archived custom category back
+router.post('/:code/restore', setArchived(false));
+
+module.exports = router;
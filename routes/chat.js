@@ -4,8 +4,52 @@
 const express = require('express');
 const axios = require('axios');
 const router = express.Router();
+const { requireScope } = require('../middlewares/requireScope');
 const { extractIntent, generateResponse, generateMultiResponse } = require('../services/chatService');
 
+// The caller's token is forwarded to the entries/budgets/… endpoints below,
+// so a personal access token also needs the scopes of whatever it asks for.
+router.use(requireScope('chat'));
+
+/**
+ * Custom categories of the caller's ledger, or [] when they can't be read
+ * (e.g. a token without categories:read) – the built-ins still work then.
+ * @param {string} baseUrl
+ * @param {object} headers - Forwarded auth / household headers.
+ * @returns {Promise<object[]>}
+ */
+async function fetchCustomCategories(baseUrl, headers) {
+  try {
+    const { data } = await axios.get(`${baseUrl}/api/v1/categories`, { headers });
+    return (data.categories || []).filter(cat => !cat.is_builtin);
+  } catch (err) {
+    console.error('Failed to fetch custom categories for chat:', err.response?.data || err.message);
+    return [];
+  }
+}
+
+/**
+ * Every entry matching the filters, following nextCursor across pages so a
+ * busy month is not cut off at the first page.
+ * @param {string} baseUrl
+ * @param {object} headers - Forwarded auth / household headers.
+ * @param {object} params - GET /entries filters.
+ * @returns {Promise<{entries: object[]}>}
+ */
+async function fetchAllEntries(baseUrl, headers, params) {
+  const entries = [];
+  let cursor;
+  do {
+    const { data } = await axios.get(`${baseUrl}/api/v1/entries`, {
+      params: { ...params, limit: 500, cursor },
+      headers
+    });
+    entries.push(...data.entries);
+    cursor = data.nextCursor;
+  } while (cursor);
+  return { entries };
+}
+
 // POST / - Handle chat messages
 router.post('/', async (req, res) => {
   try {
@@ -17,8 +61,17 @@ router.post('/', async (req, res) => {
 
     console.log(`Chat request received: "${message}"`);
 
-    // 1. Extract intent(s) using LLM
-    const intentData = await extractIntent(message);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const authHeader = { Authorization: req.headers.authorization };
+    // keep working on the same household ledger as the chat request
+    if (req.get('x-household-id')) authHeader['X-Household-Id'] = req.get('x-household-id');
+    // the audit log records these changes as made through chat, with the message
+    authHeader['X-Request-Source'] = 'chat';
+    authHeader['X-Source-Message'] = encodeURIComponent(message.slice(0, 500));
+
+    // 1. Extract intent(s) using LLM, telling it about the ledger's custom categories
+    const customCategories = await fetchCustomCategories(baseUrl, authHeader);
+    const intentData = await extractIntent(message, { customCategories });
     console.log(`Extracted ${intentData.intents.length} intent(s)`);
 
     // Check if we have any valid intents
@@ -31,9 +84,7 @@ router.post('/', async (req, res) => {
     }
 
     // 2. Call appropriate API endpoints based on intent(s)
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
     const results = [];
-    const authHeader = { Authorization: req.headers.authorization };
 
     // Process all intents in parallel
     try {
@@ -43,16 +94,17 @@ router.post('/', async (req, res) => {
 
           switch (intent.intent) {
             case 'getSpending': {
-              const { category, month } = intent.parameters;
+              const { category, month, paymentMethod, tag } = intent.parameters;
               // Enhanced handling of getSpending without category parameter
               // If no category is provided, we'll get all entries for that month
-              responseData = await axios.get(`${baseUrl}/api/v1/entries`, {
-                params: {
+              responseData = {
+                data: await fetchAllEntries(baseUrl, authHeader, {
                   category: category || undefined, // Only include if defined
-                  month
-                },
-                headers: authHeader
-              });
+                  month,
+                  paymentMethod: paymentMethod || undefined,
+                  tag: tag || undefined
+                })
+              };
               break;
             }
 
@@ -122,7 +174,9 @@ router.post('/', async (req, res) => {
               const { date, entries } = intent.parameters;
               responseData = await axios.post(
                 `${baseUrl}/api/v1/entries/add-user-entries`,
-                { date, entries },
+                // flag rather than block: the reply can point out a likely double entry;
+                // the ledger's categorization rules win over the model's codes
+                { date, entries, onDuplicate: 'flag', applyRules: 'override' },
                 { headers: authHeader }
               );
               break;
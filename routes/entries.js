@@ -1,17 +1,60 @@
 /**
- * /api/v1/categories – built-in & custom categories
+ * /api/v1/entries – expense entries
+ * ---------------------------------
+ * One document per entry in the `entries` collection (see services/entryStore.js).
+ * The legacy nested `user_entries` documents are converted by
+ * scripts/migrate-user-entries.js.
  */
 const express = require('express');
 const router  = express.Router();
 const { MongoClient, ObjectId } = require('mongodb');
+const { randomUUID } = require('crypto');
 const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const {
+  EDITABLE_FIELDS,
+  isValidDate,
+  validateEntry,
+  buildEntry,
+  splitsTotalError,
+  normalizeSplits,
+  normalizeTags,
+  primarySplitCode,
+  PAYMENT_METHODS
+} = require('../services/entrySchema');
+const entryStore = require('../services/entryStore');
+const categoryService = require('../services/categoryService');
+const entryImport = require('../services/entryImport');
+const { parseCsv, toCsvLine } = require('../services/csv');
+const { parseSms } = require('../services/smsParser');
+const duplicateDetector = require('../services/duplicateDetector');
+const categorizationRules = require('../services/categorizationRules');
+const merchantStore = require('../services/merchantStore');
+const accountStore = require('../services/accountStore');
+const trashStore = require('../services/trashStore');
+const auditLog = require('../services/auditLog');
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_SMS_MESSAGES = 200;
+const MAX_MERGE_ENTRIES = 50;
+const EXPORT_COLUMNS = [
+  'date', 'code', 'category', 'parent', 'amount', 'item', 'splitItem', 'merchant', 'name', 'notes',
+  'tags', 'paymentMethod', 'account', 'id'
+];
 
 // MongoDB setup (reuse connection if already established)
 const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 });
-let userEntries;
+let entriesColl;
+let userCategories;
+let rulesColl;
+let merchantsColl;
+let accountsColl;
+let trashColl;
+let auditColl;
 let dbReady = false;
 
 async function initDb() {
@@ -19,9 +62,16 @@ async function initDb() {
     try {
       await client.connect();
       const db = client.db(process.env.MONGO_DB || 'pf_dev');
-      userEntries = db.collection('user_entries');
+      entriesColl = db.collection('entries');
+      userCategories = db.collection('user_categories');
+      rulesColl = db.collection('categorization_rules');
+      merchantsColl = db.collection('merchants');
+      accountsColl = db.collection('accounts');
+      trashColl = db.collection('trash');
+      auditColl = db.collection('audit_log');
+      await entryStore.ensureIndexes(entriesColl);
       dbReady = true;
-      console.log('MongoDB connected for user_entries');
+      console.log('MongoDB connected for entries');
     } catch (err) {
       console.error('MongoDB connection error:', err);
       dbReady = false;
@@ -31,6 +81,8 @@ async function initDb() {
 initDb();
 
 router.use(requireAuth);
+router.use(scopeByMethod('entries'));
+router.use(resolveLedger);   // req.ledgerId: the user's own ledger or the X-Household-Id one
 
 // Middleware to ensure DB is ready before handling requests
 router.use(async (req, res, next) => {
@@ -43,135 +95,949 @@ router.use(async (req, res, next) => {
   next();
 });
 
-// GET / – get user entries filtered by category and month
-router.get('/', async (req, res) => {
-  const { category, month } = req.query;
+/**
+ * Reads a query parameter that may be repeated (?month=a&month=b) as an array.
+ * @returns {string[]}
+ */
+const asArray = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Parses the filter query parameters shared by GET / and GET /summary:
+ *   month=YYYY-MM (repeatable)   category=CODE (repeatable)
+ *   from=YYYY-MM-DD  to=YYYY-MM-DD  minAmount  maxAmount  q=<text in item/name>
+ *   tag=<tag> (repeatable)   paymentMethod=cash|upi|card|netbanking|wallet (repeatable)
+ *   account=<name> (repeatable, case-insensitive)
+ * Repeated values of one parameter match any of them.
+ * @param {object} query - req.query
+ * @returns {{filters?: object, error?: string}}
+ */
+function parseEntryFilters(query) {
+  const { from, to, minAmount, maxAmount, q } = query;
+  const categories = asArray(query.category);
+  const months = asArray(query.month);
+  const tags = asArray(query.tag);
+  const paymentMethods = asArray(query.paymentMethod);
+  const accounts = asArray(query.account);
 
-  // Parse categories (can be single or multiple)
-  let categories = [];
-  if (category) {
-    categories = Array.isArray(category) ? category : [category];
+  // Validate month parameter format (YYYY-MM)
+  const invalidMonth = months.find(m => !/^\d{4}-\d{2}$/.test(m));
+  if (invalidMonth) {
+    return { error: 'month parameters must be in YYYY-MM format' };
+  }
+  if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+    return { error: 'from and to must be valid YYYY-MM-DD dates' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    return { error: 'tag must be a non-empty string' };
+  }
+  const invalidMethod = paymentMethods.find(method => !PAYMENT_METHODS.includes(method));
+  if (invalidMethod !== undefined) {
+    return { error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+  if (accounts.some(account => typeof account !== 'string' || account.trim() === '')) {
+    return { error: 'account must be a non-empty string' };
   }
 
-  // Parse months (can be single or multiple)
-  let months = [];
-  if (month) {
-    months = Array.isArray(month) ? month : [month];
+  const amounts = {};
+  for (const [key, value] of Object.entries({ minAmount, maxAmount })) {
+    if (value === undefined) continue;
+    amounts[key] = Number(value);
+    if (value === '' || !Number.isFinite(amounts[key])) {
+      return { error: `${key} must be a number` };
+    }
+  }
 
-    // Validate month parameter format (YYYY-MM)
-    const invalidMonth = months.find(m => !/^\d{4}-\d{2}$/.test(m));
-    if (invalidMonth) {
-      return res.status(400).json({ error: 'month parameters must be in YYYY-MM format' });
+  return {
+    filters: {
+      from,
+      to,
+      months,
+      codes: categories,
+      tags: normalizeTags(tags),
+      paymentMethods,
+      accounts: accounts.map(account => account.trim()),
+      ...amounts,
+      search: typeof q === 'string' && q.trim() ? q.trim() : undefined
     }
+  };
+}
+
+/**
+ * Parses the day window of duplicate detection (0-30).
+ * @param {any} value - Query string or body value.
+ * @param {number} fallback - Used when value is undefined.
+ * @returns {{windowDays?: number, error?: string}}
+ */
+function parseWindowDays(value, fallback) {
+  if (value === undefined) return { windowDays: fallback };
+  const days = Number(value);
+  if (value === '' || !Number.isInteger(days) || days < 0 || days > duplicateDetector.MAX_WINDOW_DAYS) {
+    return { error: `windowDays must be an integer between 0 and ${duplicateDetector.MAX_WINDOW_DAYS}` };
   }
+  return { windowDays: days };
+}
 
-  // At least one filter must be provided
-  if (months.length === 0) {
-    return res.status(400).json({ error: 'at least one month parameter is required' });
+/**
+ * Parses the duplicate handling options of the insert endpoints:
+ *   onDuplicate=reject|flag|allow  windowDays=0-30
+ * @param {object} body - req.body
+ * @param {{onDuplicate: string, windowDays: number}} defaults
+ * @returns {{onDuplicate?: string, windowDays?: number, error?: string}}
+ */
+function parseDuplicateOptions(body, defaults) {
+  const { onDuplicate = defaults.onDuplicate, windowDays } = body || {};
+  if (!duplicateDetector.ON_DUPLICATE.includes(onDuplicate)) {
+    return { error: `onDuplicate must be one of: ${duplicateDetector.ON_DUPLICATE.join(', ')}` };
   }
+  return { onDuplicate, ...parseWindowDays(windowDays, defaults.windowDays) };
+}
 
-  try {
-    const userId = new ObjectId(req.userId);
-    const result = [];
-
-    // Process each requested month
-    for (const currentMonth of months) {
-      // Query entries for the specific user and month
-      const userMonthData = await userEntries.findOne(
-        { userId },
-        { projection: { [currentMonth]: 1, _id: 0 } }
-      );
+/**
+ * Appends audit records for entries changed by this request.
+ * @param {import('express').Request} req
+ * @param {{action: string, before?: object, after?: object}[]} changes - Entry documents.
+ * @param {string} [source] - Server-side channel, e.g. "import".
+ */
+async function auditEntries(req, changes, source) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req, source), changes.map(change => ({
+    entity: 'entry',
+    entityId: (change.after || change.before).id,
+    ...change
+  })));
+}
 
-      if (!userMonthData || !userMonthData[currentMonth]) {
-        continue; // Skip if no data for this month
-      }
+/**
+ * Soft-deletes entries: moves the documents into the trash, then removes them.
+ * @param {import('express').Request} req
+ * @param {object[]} docs - Entry documents of req.ledgerId.
+ * @param {string} label - Trash label, e.g. "entries for 2024-05".
+ * @returns {Promise<{deletedCount: number, trash: object}>} `trash` is the
+ *   moveToTrash() result for the response (trashId, undoToken, expiresAt).
+ */
+async function trashEntries(req, docs, label) {
+  const trash = await trashStore.moveToTrash(trashColl, req.ledgerId, {
+    kind: 'entries',
+    label,
+    payload: docs,
+    deletedBy: new ObjectId(req.userId)
+  });
+  const { deletedCount } = await entriesColl.deleteMany({ userId: req.ledgerId, _id: { $in: docs.map(doc => doc._id) } });
+  await auditEntries(req, docs.map(before => ({ action: 'delete', before })));
+  return { deletedCount, trash };
+}
 
-      const monthData = userMonthData[currentMonth];
+// GET / – list entries with filters, sorting and cursor pagination
+// Query (all optional): the filters of parseEntryFilters() plus
+//   sort=date|amount  order=asc|desc (default date desc)  limit (1-500, default 100)  cursor
+// Returns: { entries, nextCursor } – pass nextCursor back as `cursor` for the next page.
+router.get('/', async (req, res) => {
+  const { sort = 'date', order = 'desc', limit = '100', cursor } = req.query;
 
-      // Iterate through each day in the month data
-      Object.keys(monthData).forEach(day => {
-        if (monthData[day]?.entries) {
-          // Filter entries by the requested categories (or get all if no category filter)
-          let matchingEntries = monthData[day].entries;
+  const { filters, error } = parseEntryFilters(req.query);
+  if (error) return res.status(400).json({ error });
 
-          if (categories.length > 0) {
-            matchingEntries = matchingEntries.filter(entry =>
-              categories.includes(entry.code)
-            );
-          }
+  if (!entryStore.SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${entryStore.SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > entryStore.MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${entryStore.MAX_PAGE_SIZE}` });
+  }
+  const after = cursor ? entryStore.decodeCursor(cursor) : undefined;
+  if (after === null) {
+    return res.status(400).json({ error: 'invalid cursor' });
+  }
 
-          // Add matching entries with their date
-          matchingEntries.forEach(entry => {
-            result.push({
-              ...entry,
-              date: `${currentMonth}-${day}`
-            });
-          });
-        }
-      });
-    }
+  try {
+    const userId = req.ledgerId;
+    const page = await entryStore.findEntriesPage(
+      entriesColl,
+      userId,
+      filters,
+      { sort, order, limit: pageSize, after }
+    );
 
-    res.json({ entries: result });
+    res.json(page);
   } catch (err) {
     console.error('Failed to retrieve user entries:', err);
     res.status(500).json({ error: 'failed to retrieve user entries' });
   }
 });
 
+// GET /export – download entries as CSV or JSON
+// Query: format=csv|json (default csv) plus the filters of parseEntryFilters() (from, to, …)
+// Streams in date order; category names (built-in and custom) are resolved.
+// CSV has one row per allocation of a split entry (same id, allocation item in
+// splitItem) so POST /import can join them again; JSON keeps `splits`.
+router.get('/export', async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+  const { filters, error } = parseEntryFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const userId = req.ledgerId;
+  let started = false;
+  let cursor;
+  try {
+    const categories = await categoryService.getCategories(userCategories, userId, { includeArchived: true });
+    const names = categoryService.nameMap(categories);
+    const parents = categoryService.parentMap(categories);
+
+    const filename = `entries-${filters.from || 'start'}-${filters.to || 'today'}.${format}`;
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(format === 'csv' ? `${toCsvLine(EXPORT_COLUMNS)}\n` : '[');
+    started = true;
+
+    cursor = entriesColl
+      .find(entryStore.buildFilter(userId, filters))
+      .sort({ date: 1, createdAt: 1 });
+
+    let first = true;
+    const describe = (entry, code) => ({ ...entry, code, category: names[code] || code, parent: parents[code] || null });
+    for await (const doc of cursor) {
+      const entry = entryStore.toEntryResponse(doc);
+      const chunk = format === 'csv'
+        ? (entry.splits || [entry])
+          .filter(alloc => filters.codes.length === 0 || filters.codes.includes(alloc.code))
+          .map(alloc => describe({
+            ...entry,
+            amount: alloc.amount,
+            ...(entry.splits && { splitItem: alloc.item }),
+            tags: entry.tags?.join(' ')
+          }, alloc.code))
+          .map(row => `${toCsvLine(EXPORT_COLUMNS.map(column => row[column]))}\n`)
+          .join('')
+        : `${first ? '' : ','}\n${JSON.stringify(describe(entry, entry.code))}`;
+      first = false;
+      // respect back-pressure on large exports; stop if the client went away
+      if (!res.write(chunk) && !(await waitForDrain(res))) return;
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (err) {
+    console.error('Failed to export entries:', err);
+    if (!started) return res.status(500).json({ error: 'failed to export entries' });
+    res.destroy(err);   // headers are gone – abort so the client sees a truncated download
+  } finally {
+    await cursor?.close().catch(console.error);
+  }
+});
+
+/**
+ * Waits until the response can take more data.
+ * @param {import('express').Response} res
+ * @returns {Promise<boolean>} false when the connection closed or failed instead.
+ */
+function waitForDrain(res) {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const settle = (drained) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => settle(true);
+    const onClose = () => settle(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+// GET /summary – server-side spending aggregation
+// Query: the filters of parseEntryFilters() plus
+//   groupBy=category|parent|day|week|month|merchant|tag|paymentMethod|account (default category)
+// `parent` rolls child categories into their parent (FOD ← FOD-REST, FOD-DEL, FOD-GRO).
+// Entries without a tag / payment method / account group under key null; an entry
+// with several tags counts in each of their groups, but once in the top-level total.
+// Split entries count once per allocation in category and parent groups.
+// Returns: { groupBy, total, count, average, groups: [{ key, name?, total, count, average, min, max }] }
+router.get('/summary', async (req, res) => {
+  const { groupBy = 'category' } = req.query;
+  if (!entryStore.GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of: ${entryStore.GROUP_BY.join(', ')}` });
+  }
+
+  const { filters, error } = parseEntryFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const userId = req.ledgerId;
+    const storeGroupBy = groupBy === 'parent' ? 'category' : groupBy;
+    let groups = await entryStore.summarize(entriesColl, userId, filters, storeGroupBy);
+    const { total, count } = await entryStore.summaryTotals(entriesColl, userId, filters, storeGroupBy);
+
+    if (groupBy === 'category' || groupBy === 'parent') {
+      // archived custom categories still name (and roll up) their old entries
+      const categories = await categoryService.getCategories(userCategories, userId, { includeArchived: true });
+      const names = categoryService.nameMap(categories);
+      if (groupBy === 'parent') {
+        groups = rollUpToParents(groups, categoryService.parentMap(categories));
+      }
+      groups = groups
+        .map(group => ({ ...group, name: names[group.key] || group.key }))
+        .sort((a, b) => b.total - a.total);
+    }
+
+    res.json({
+      from: filters.from || null,
+      to: filters.to || null,
+      groupBy,
+      total,
+      count,
+      average: count > 0 ? total / count : 0,
+      groups
+    });
+  } catch (err) {
+    console.error('Failed to summarize entries:', err);
+    res.status(500).json({ error: 'failed to summarize entries' });
+  }
+});
+
+/**
+ * Merges per-category groups into their parent category.
+ * @param {object[]} groups - Output of entryStore.summarize(..., 'category').
+ * @param {Object<string, string|null>} parents - categoryService.parentMap() of the ledger.
+ * @returns {object[]}
+ */
+function rollUpToParents(groups, parents) {
+  const byParent = {};
+  groups.forEach(group => {
+    const key = parents[group.key] || group.key;
+    const acc = byParent[key];
+    byParent[key] = acc
+      ? {
+          key,
+          total: acc.total + group.total,
+          count: acc.count + group.count,
+          min: Math.min(acc.min, group.min),
+          max: Math.max(acc.max, group.max)
+        }
+      : { ...group, key };
+  });
+  return Object.values(byParent).map(group => ({ ...group, average: group.total / group.count }));
+}
+
+// GET /duplicates – clusters of entries that look like the same purchase
+// Query: the filters of parseEntryFilters() plus windowDays (0-30, default DUPLICATE_WINDOW_DAYS)
+// Entries pair up on the same amount, similar item/merchant text and dates at most
+// windowDays apart. Resolve a cluster with POST /merge or POST /duplicates/dismiss.
+// Returns: { windowDays, truncated, groups: [{ amount, entries }] }
+router.get('/duplicates', async (req, res) => {
+  const { filters, error } = parseEntryFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const { windowDays, error: windowError } = parseWindowDays(req.query.windowDays, duplicateDetector.DEFAULT_WINDOW_DAYS);
+  if (windowError) return res.status(400).json({ error: windowError });
+
+  try {
+    const { groups, truncated } = await duplicateDetector.findDuplicateGroups(
+      entriesColl,
+      req.ledgerId,
+      filters,
+      windowDays
+    );
+    res.json({
+      windowDays,
+      truncated,
+      groups: groups.map(group => ({ amount: group[0].amount, entries: group.map(entryStore.toEntryResponse) }))
+    });
+  } catch (err) {
+    console.error('Failed to find duplicate entries:', err);
+    res.status(500).json({ error: 'failed to find duplicate entries' });
+  }
+});
 
 // POST /add-user-entries – add purchase entries for the authenticated user
+// Expects: { date: "YYYY-MM-DD", entries: [{ code?, amount, item, merchant?, name?, notes?, tags?,
+//                                           paymentMethod?, account?, confidence? }],
+//            onDuplicate?: "reject" | "flag" | "allow" (default allow), windowDays?: 0-30,
+//            applyRules?: "missing" | "override" | "off" (default missing), learnRules?: boolean }
+// Categorization rules fill in a missing code (or replace every code with "override");
+// an entry without a code must match a rule. learnRules turns the hand-picked codes
+// into rules for their merchant / item. Merchants are normalized to the merchant table.
+// Entries matching a stored one (same amount, similar item, within windowDays) are
+// refused with 409 (reject) or stored with `possibleDuplicateOf` ids (flag).
+// Returns the stored entries with their server-generated ids.
 router.post('/add-user-entries', async (req, res) => {
-  const { entries, date } = req.body || {};
+  const { entries, date, applyRules = 'missing', learnRules = false } = req.body || {};
   if (!Array.isArray(entries) || entries.length === 0) {
     return res.status(400).json({ error: 'entries array required' });
   }
-  if (!date || typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return res.status(400).json({ error: 'date in YYYY-MM-DD format required' });
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'a valid date in YYYY-MM-DD format is required' });
+  }
+  const { onDuplicate, windowDays, error } = parseDuplicateOptions(req.body, {
+    onDuplicate: 'allow',
+    windowDays: duplicateDetector.DEFAULT_WINDOW_DAYS
+  });
+  if (error) return res.status(400).json({ error });
+  if (!categorizationRules.MODES.includes(applyRules)) {
+    return res.status(400).json({ error: `applyRules must be one of: ${categorizationRules.MODES.join(', ')}` });
   }
+  if (typeof learnRules !== 'boolean') {
+    return res.status(400).json({ error: 'learnRules must be a boolean' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const categories = await categoryService.getCategories(userCategories, userId);
+    const codes = categoryService.activeCodes(categories);
+    const rules = applyRules === 'off' ? [] : await categorizationRules.loadRules(rulesColl, userId);
+    const prepared = entries.map(entry => categorizationRules.applyRules(rules, entry, { mode: applyRules, codes }));
+
+    // Strict schema validation for each entry
+    for (const [index, { entry }] of prepared.entries()) {
+      const invalid = entry && typeof entry === 'object' && entry.code === undefined && !Array.isArray(entry.splits)
+        ? 'code is required when no categorization rule matches'
+        : validateEntry(entry, { codes });
+      if (invalid) {
+        return res.status(400).json({ error: `invalid entry at index ${index}: ${invalid}` });
+      }
+    }
+
+    // addedBy: several people may share a household ledger
+    const built = prepared.map(({ entry, rule }) => ({
+      ...buildEntry(entry, new ObjectId(req.userId)),
+      ...(rule && { ruleId: rule._id })
+    }));
+    await merchantStore.attachMerchants(merchantsColl, userId, built);
+    await accountStore.attachAccounts(accountsColl, userId, built);
+
+    let duplicates = [];
+    if (onDuplicate !== 'allow') {
+      const matches = await duplicateDetector.findMatches(
+        entriesColl,
+        userId,
+        built.map(entry => ({ date, entry })),
+        windowDays
+      );
+      duplicates = matches
+        .map((found, index) => ({ index, matches: found }))
+        .filter(({ matches: found }) => found.length > 0);
+
+      if (onDuplicate === 'reject' && duplicates.length > 0) {
+        return res.status(409).json({ error: 'possible duplicate entries', duplicates });
+      }
+      duplicates.forEach(({ index, matches: found }) => {
+        built[index].possibleDuplicateOf = found.map(match => match.id);
+      });
+    }
 
-  // Basic schema validation for each entry
-  for (const entry of entries) {
-    if (
-      typeof entry !== 'object' ||
-      typeof entry.code !== 'string' ||
-      typeof entry.amount !== 'number' ||
-      typeof entry.item !== 'string' ||
-      (entry.confidence !== undefined && typeof entry.confidence !== 'number')
-    ) {
-      return res.status(400).json({ error: 'invalid entry schema' });
+    const created = await entryStore.insertEntries(entriesColl, userId, date, built);
+    await auditEntries(req, created.map(after => ({ action: 'create', after })));
+    await categorizationRules.recordHits(rulesColl, prepared.map(({ rule }) => rule));
+    if (learnRules) {
+      // only codes the user picked; rule-assigned ones are already covered
+      for (const entry of built.filter(stored => !stored.ruleId && !stored.splits)) {
+        await categorizationRules.learnRule(rulesColl, userId, entry);
+      }
     }
+
+    res.status(201).json({
+      message: 'entries added',
+      entries: created,
+      ...(onDuplicate !== 'allow' && { duplicates })
+    });
+  } catch (err) {
+    console.error('Failed to add user entries:', err);
+    res.status(500).json({ error: 'failed to add user entries' });
   }
+});
+
+// POST /import – import entries from CSV
+// Expects: { csv: "<text with header row>",
+//            mapping?: { date, amount, item, code?, merchant?, name?, notes?, tags?, paymentMethod?, account?, id?, splitItem? } – header names or 0-based indexes,
+//            dateFormat?: "YYYY-MM-DD" | "DD/MM/YYYY" | "MM/DD/YYYY" | "DD-MM-YYYY" | "DD.MM.YYYY",
+//            delimiter?: ",", defaultCode?: "MIS", dryRun?: boolean,
+//            onDuplicate?: "reject" | "flag" | "allow" (default reject), windowDays?: 0-30 (default 0) }
+// Rows without a category go through the ledger's categorization rules, then defaultCode;
+// rows categorized by a rule carry its `ruleId`.
+// Rows matching a stored entry (same amount, similar item, within windowDays) or an
+// earlier row (same date, amount and item) are reported as duplicates: skipped
+// (reject), imported with `possibleDuplicateOf` ids (flag) or imported as is (allow).
+// Rows sharing an `id` (a split entry as written by GET /export) are imported as one
+// split entry; its result lists all its `rows` and counts once.
+// With dryRun nothing is written and every row is returned with its status.
+router.post('/import', async (req, res) => {
+  const {
+    csv,
+    mapping,
+    dateFormat = 'YYYY-MM-DD',
+    delimiter = ',',
+    defaultCode = 'MIS',
+    dryRun = false
+  } = req.body || {};
 
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return res.status(400).json({ error: 'csv text is required' });
+  }
+  if (!entryImport.DATE_FORMATS[dateFormat]) {
+    return res.status(400).json({ error: `dateFormat must be one of: ${Object.keys(entryImport.DATE_FORMATS).join(', ')}` });
+  }
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"') {
+    return res.status(400).json({ error: 'delimiter must be a single character' });
+  }
+
+  let rows;
   try {
-    const userId = new ObjectId(req.userId);
-    const [year, month, day] = date.split('-');
-    const yearMonth = `${year}-${month}`;
-
-    // Push new entries into the user's entries array for specific date
-    const result = await userEntries.updateOne(
-      { userId },
-      { $push: { [`${yearMonth}.${day}.entries`]: { $each: entries } } },
-      { upsert: true }
+    rows = parseCsv(csv, { delimiter });
+  } catch (err) {
+    return res.status(400).json({ error: `invalid CSV: ${err.message}` });
+  }
+  const [header, ...dataRows] = rows;
+  if (!header || dataRows.length === 0) {
+    return res.status(400).json({ error: 'csv needs a header row and at least one data row' });
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+  }
+
+  const { columns, error } = entryImport.resolveMapping(header, mapping);
+  if (error) return res.status(400).json({ error });
+  const duplicateOptions = parseDuplicateOptions(req.body, { onDuplicate: 'reject', windowDays: 0 });
+  if (duplicateOptions.error) return res.status(400).json({ error: duplicateOptions.error });
+  const { onDuplicate, windowDays } = duplicateOptions;
+
+  try {
+    const userId = req.ledgerId;
+    const categories = await categoryService.getCategories(userCategories, userId);
+    const codes = categoryService.activeCodes(categories);
+    if (!codes.has(defaultCode)) {
+      return res.status(400).json({ error: `unknown defaultCode: ${defaultCode}` });
+    }
+    const rules = await categorizationRules.loadRules(rulesColl, userId);
+    const rowOptions = {
+      dateFormat,
+      resolveCode: entryImport.categoryResolver(categories),
+      matchRule: entry => categorizationRules.matchRule(rules, entry, codes),
+      defaultCode,
+      codes
+    };
+
+    // row numbers are 1-based data rows, as shown by spreadsheets below the header
+    // rows sharing an id (one exported split entry) come back as one result
+    const matchedRules = [];
+    const parsedRows = dataRows.map((cells, index) => ({
+      row: index + 1,
+      ...entryImport.rowToEntry(cells, columns, rowOptions)
+    }));
+    const results = entryImport.mergeSplitRows(parsedRows, { codes })
+      .map(({ rule, sourceId, splitItem, ...result }) => {
+        matchedRules[result.row - 1] = rule || null;
+        return { ...result, ...(rule && { ruleId: rule._id.toString() }) };
+      });
+
+    // built up front so flagged rows can point at the id of an earlier row
+    const addedBy = new ObjectId(req.userId);
+    const valid = results.filter(result => !result.error);
+    const built = new Map(valid.map(result => [result, {
+      ...buildEntry(result.entry, addedBy),
+      ...(matchedRules[result.row - 1] && { ruleId: matchedRules[result.row - 1]._id })
+    }]));
+    const found = await duplicateDetector.findMatches(entriesColl, userId, valid, windowDays);
+    const matches = new Map(valid.map((result, index) => [result, found[index]]));
+    const seen = new Map();
+    results.forEach((result) => {
+      if (result.error) {
+        result.status = 'invalid';
+        return;
+      }
+      const key = entryStore.duplicateKey(result.date, result.entry);
+      const duplicateOf = matches.get(result).map(match => match.id);
+      if (seen.has(key)) duplicateOf.push(seen.get(key));
+      else seen.set(key, built.get(result).id);
+      result.status = duplicateOf.length > 0 ? 'duplicate' : 'new';
+      if (duplicateOf.length > 0) result.duplicateOf = duplicateOf;
+    });
+
+    const toImport = results.filter(result =>
+      result.status === 'new' || (result.status === 'duplicate' && onDuplicate !== 'reject'));
+    const counts = {
+      total: results.length,
+      new: results.filter(result => result.status === 'new').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      invalid: results.filter(result => result.status === 'invalid').length
+    };
+    const errors = results
+      .filter(result => result.status === 'invalid')
+      .map(({ row, error: rowError }) => ({ row, error: rowError }));
+
+    if (dryRun) {
+      return res.json({ dryRun: true, onDuplicate, ...counts, errors, rows: results });
+    }
+
+    // importId lets a whole import be found (and removed) later
+    const importId = randomUUID();
+    await merchantStore.attachMerchants(merchantsColl, userId, toImport.map(result => built.get(result)));
+    await accountStore.attachAccounts(accountsColl, userId, toImport.map(result => built.get(result)));
+    const dated = toImport.map(result => ({
+      date: result.date,
+      entry: {
+        ...built.get(result),
+        importId,
+        ...(onDuplicate === 'flag' && result.duplicateOf && { possibleDuplicateOf: result.duplicateOf })
+      }
+    }));
+    const imported = await entryStore.insertDatedEntries(entriesColl, userId, dated);
+    await auditEntries(req, dated.map(({ date, entry }) => ({ action: 'create', after: { ...entry, date } })), 'import');
+    await categorizationRules.recordHits(rulesColl, toImport.map(result => matchedRules[result.row - 1]));
+
+    res.status(201).json({ message: 'entries imported', importId, onDuplicate, ...counts, imported, errors });
+  } catch (err) {
+    console.error('Failed to import entries:', err);
+    res.status(500).json({ error: 'failed to import entries' });
+  }
+});
+
+// POST /from-sms – turn bank / UPI / card alert SMS into draft entries
+// Expects: { messages: "<sms>" | ["<sms>", …], receivedAt?: "YYYY-MM-DD" }
+// Nothing is stored: debits come back as `drafts` grouped by date, each group ready
+// to be sent to POST /add-user-entries. `results` has one item per message:
+//   status "draft" | "duplicate" (already in the ledger or repeated in the batch)
+//   | "income" (credits are reported, not drafted) | "ignored" (not a transaction)
+// Drafts are categorized by the ledger's rules, then built-in keywords.
+// Messages without a date fall back to receivedAt, then today.
+router.post('/from-sms', async (req, res) => {
+  const { receivedAt } = req.body || {};
+  const raw = req.body?.messages;
+  const messages = typeof raw === 'string' ? [raw] : raw;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: 'messages must be a string or a non-empty array of strings' });
+  }
+  if (messages.length > MAX_SMS_MESSAGES) {
+    return res.status(400).json({ error: `at most ${MAX_SMS_MESSAGES} messages can be parsed at once` });
+  }
+  if (receivedAt !== undefined && !isValidDate(receivedAt)) {
+    return res.status(400).json({ error: 'receivedAt must be a valid date in YYYY-MM-DD format' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const categories = await categoryService.getCategories(userCategories, userId);
+    const codes = categoryService.activeCodes(categories);
+    const rules = await categorizationRules.loadRules(rulesColl, userId);
+    const fallbackDate = receivedAt || new Date().toISOString().slice(0, 10);
+
+    const results = messages.map((text, index) => {
+      const { transaction, error } = parseSms(text);
+      if (error) return { index, status: 'ignored', error };
+
+      const date = transaction.date || fallbackDate;
+      if (transaction.direction === 'credit') return { index, status: 'income', ...transaction, date };
+
+      const { code, confidence } = categorizationRules.suggestCode(
+        rules,
+        { merchant: transaction.merchant, item: transaction.vpa },
+        codes
+      );
+      const notes = [
+        transaction.bank && `${transaction.bank} alert`,
+        transaction.account && `a/c ${transaction.account}`,
+        transaction.reference && `ref ${transaction.reference}`
+      ].filter(Boolean).join(', ');
+      const entry = {
+        code,
+        amount: transaction.amount,
+        item: (transaction.merchant || transaction.vpa || 'Card / UPI payment').slice(0, 80),
+        ...(transaction.merchant && { merchant: transaction.merchant.slice(0, 80) }),
+        ...(notes && { notes }),
+        ...(transaction.paymentMethod && { paymentMethod: transaction.paymentMethod }),
+        confidence
+      };
+      return { index, status: 'draft', ...transaction, date, entry };
+    });
+
+    // the same alert pasted twice, or arriving from both the bank and the UPI app
+    const drafted = results.filter(result => result.status === 'draft');
+    const existing = await entryStore.findExistingKeys(entriesColl, userId, drafted);
+    const seen = new Set();
+    drafted.forEach((result) => {
+      const key = entryStore.duplicateKey(result.date, result.entry);
+      const batchKey = result.reference ? `ref:${result.reference}` : `text:${String(messages[result.index]).trim()}`;
+      if (existing.has(key) || seen.has(batchKey)) result.status = 'duplicate';
+      seen.add(batchKey);
+    });
+
+    const byDate = new Map();
+    results
+      .filter(result => result.status === 'draft')
+      .forEach(({ date, entry }) => {
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(entry);
+      });
+    const drafts = [...byDate.keys()].sort().map(date => ({ date, entries: byDate.get(date) }));
+
+    res.json({ drafts, results });
+  } catch (err) {
+    console.error('Failed to parse SMS:', err);
+    res.status(500).json({ error: 'failed to parse SMS' });
+  }
+});
+
+/**
+ * Validates a list of entry ids from a request body.
+ * @param {any} ids
+ * @param {number} min
+ * @returns {string|null} Error message, or null when valid.
+ */
+function invalidIdList(ids, min) {
+  if (!Array.isArray(ids) || ids.length < min || ids.length > MAX_MERGE_ENTRIES ||
+      !ids.every(id => typeof id === 'string' && id !== '')) {
+    return `an array of ${min} to ${MAX_MERGE_ENTRIES} entry ids is required`;
+  }
+  if (new Set(ids).size !== ids.length) return 'entry ids must be unique';
+  return null;
+}
+
+// POST /merge – collapse duplicates into one entry
+// Expects: { keep: "<entry id>", remove: ["<entry id>", …] }
+// The kept entry takes over notes, tags, name, merchant, payment method and account it
+// lacks from the removed ones and records their ids in `mergedFrom`; the removed entries
+// go to the trash.
+router.post('/merge', async (req, res) => {
+  const { keep, remove } = req.body || {};
+  if (typeof keep !== 'string' || keep === '') {
+    return res.status(400).json({ error: 'keep entry id is required' });
+  }
+  const invalid = invalidIdList(remove, 1);
+  if (invalid) return res.status(400).json({ error: `remove: ${invalid}` });
+  if (remove.includes(keep)) {
+    return res.status(400).json({ error: 'keep must not be listed in remove' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const docs = await entriesColl.find({ userId, id: { $in: [keep, ...remove] } }).toArray();
+    const kept = docs.find(doc => doc.id === keep);
+    const removed = docs.filter(doc => doc.id !== keep);
+    if (!kept || removed.length !== remove.length) {
+      const found = new Set(docs.map(doc => doc.id));
+      return res.status(404).json({ error: 'entries not found', missing: [keep, ...remove].filter(id => !found.has(id)) });
+    }
+
+    const notes = [...new Set([kept, ...removed].map(doc => doc.notes).filter(Boolean))].join('\n');
+    const fillIn = {};
+    ['name', 'merchant', 'paymentMethod', 'account'].forEach((field) => {
+      const donor = removed.find(doc => doc[field]);
+      if (!kept[field] && donor) fillIn[field] = donor[field];
+    });
+    const tags = [...new Set([kept, ...removed].flatMap(doc => doc.tags || []))];
+    if (tags.length > (kept.tags?.length || 0)) fillIn.tags = tags;
+    const mergedFrom = removed.flatMap(doc => [doc.id, ...(doc.mergedFrom || [])]);
+
+    const entry = await entriesColl.findOneAndUpdate(
+      { userId, id: keep },
+      {
+        $set: {
+          ...(notes && { notes }),
+          ...fillIn,
+          updatedAt: new Date(),
+          updatedBy: new ObjectId(req.userId)
+        },
+        $addToSet: { mergedFrom: { $each: mergedFrom } },
+        $unset: { possibleDuplicateOf: '' }
+      },
+      { returnDocument: 'after' }
     );
+    if (!entry) return res.status(404).json({ error: 'entries not found', missing: [keep] });
 
-    if (result.acknowledged) {
-      res.status(201).json({ message: 'entries added' });
-    } else {
-      res.status(500).json({ error: 'failed to add user entries' });
+    await auditEntries(req, [{ action: 'merge', before: kept, after: entry }]);
+    const { deletedCount, trash } = await trashEntries(req, removed, `entries merged into "${kept.item}"`);
+    // other flagged entries may still point at the removed ones
+    await entriesColl.updateMany(
+      { userId, possibleDuplicateOf: { $in: remove } },
+      { $pull: { possibleDuplicateOf: { $in: remove } } }
+    );
+
+    res.json({ message: 'entries merged', entry: entryStore.toEntryResponse(entry), removed: deletedCount, ...trash });
+  } catch (err) {
+    console.error('Failed to merge entries:', err);
+    res.status(500).json({ error: 'failed to merge entries' });
+  }
+});
+
+// POST /duplicates/dismiss – mark entries as distinct purchases
+// Expects: { ids: ["<entry id>", "<entry id>", …] }
+// The entries are no longer reported together by GET /duplicates or matched
+// against each other, and their `possibleDuplicateOf` flags between them are cleared.
+router.post('/duplicates/dismiss', async (req, res) => {
+  const { ids } = req.body || {};
+  const invalid = invalidIdList(ids, 2);
+  if (invalid) return res.status(400).json({ error: `ids: ${invalid}` });
+
+  try {
+    const userId = req.ledgerId;
+    const docs = await entriesColl
+      .find({ userId, id: { $in: ids } }, { projection: { _id: 0, id: 1, notDuplicateOf: 1, possibleDuplicateOf: 1 } })
+      .toArray();
+    if (docs.length !== ids.length) {
+      return res.status(404).json({ error: 'entries not found' });
     }
+
+    await entriesColl.bulkWrite(ids.map((id) => {
+      const others = ids.filter(other => other !== id);
+      return {
+        updateOne: {
+          filter: { userId, id },
+          update: {
+            $addToSet: { notDuplicateOf: { $each: others } },
+            $pull: { possibleDuplicateOf: { $in: others } }
+          }
+        }
+      };
+    }));
+    await auditEntries(req, docs.map((before) => {
+      const others = ids.filter(other => other !== before.id);
+      const after = {
+        ...before,
+        notDuplicateOf: [...new Set([...(before.notDuplicateOf || []), ...others])],
+        ...(before.possibleDuplicateOf && {
+          possibleDuplicateOf: before.possibleDuplicateOf.filter(id => !others.includes(id))
+        })
+      };
+      return { action: 'update', before, after };
+    }));
+
+    res.json({ message: 'entries marked as distinct', ids });
   } catch (err) {
-    console.error('Failed to add user entries:', err);
-    res.status(500).json({ error: 'failed to add user entries' });
+    console.error('Failed to dismiss duplicate entries:', err);
+    res.status(500).json({ error: 'failed to dismiss duplicate entries' });
+  }
+});
+
+// PATCH /:date/:entryId - Edit an entry in place (or move it to another date)
+// Expects any of: { amount: number, code: string, item: string, merchant: string | null,
+//                   name: string, notes: string, tags: string[] | null, paymentMethod: string | null,
+//                   account: string | null, splits: [{ code, amount, item? }] | null,
+//                   date: "YYYY-MM-DD" }, plus learnRule?: boolean
+// A split entry's splits must keep adding up to its amount, so change both together;
+// `splits: null` turns it back into a plain entry with its current code.
+// A corrected code with learnRule: true becomes a rule for the entry's merchant / item.
+// Moving a recurring entry onto a date its rule already has an entry for is a 409.
+router.patch('/:date/:entryId', async (req, res) => {
+  const { date, entryId } = req.params;
+  const { date: targetDate, learnRule = false, ...changes } = req.body || {};
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+  }
+  if (targetDate !== undefined && !isValidDate(targetDate)) {
+    return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+  }
+
+  const fields = Object.keys(changes);
+  if (fields.length === 0 && targetDate === undefined) {
+    return res.status(400).json({ error: `at least one of ${EDITABLE_FIELDS.join(', ')}, date is required` });
+  }
+  if (typeof learnRule !== 'boolean') {
+    return res.status(400).json({ error: 'learnRule must be a boolean' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const categories = await categoryService.getCategories(userCategories, userId);
+
+    const invalid = validateEntry(changes, { partial: true, codes: categoryService.activeCodes(categories) });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const current = await entriesColl.findOne({ userId, date, id: entryId });
+    if (!current) {
+      return res.status(404).json({ error: 'Entry not found with the specified ID' });
+    }
+
+    const { splits, ...fieldChanges } = changes;
+    const unset = {};
+    if (['amount', 'code', 'splits'].some(field => changes[field] !== undefined)) {
+      const nextSplits = splits === undefined ? current.splits : splits;
+      if (nextSplits) {
+        const mismatch = splitsTotalError(nextSplits, changes.amount ?? current.amount);
+        if (mismatch) return res.status(400).json({ error: mismatch });
+        if (changes.code !== undefined && !nextSplits.some(alloc => alloc.code === changes.code)) {
+          return res.status(400).json({ error: 'code must be one of the split codes' });
+        }
+      }
+      if (splits) {
+        fieldChanges.splits = normalizeSplits(splits);
+        fieldChanges.code = changes.code || primarySplitCode(splits);
+      } else if (splits === null) {
+        unset.splits = '';
+      }
+    }
+    // a hand-picked code is no longer the rule's doing
+    if (changes.code !== undefined) unset.ruleId = '';
+    if (changes.merchant !== undefined) {
+      const [merchant] = await merchantStore.attachMerchants(merchantsColl, userId, [{ merchant: changes.merchant ?? '' }]);
+      delete fieldChanges.merchant;
+      if (merchant.merchant) Object.assign(fieldChanges, merchant);
+      else Object.assign(unset, { merchant: '', merchantId: '' });
+    }
+    if (changes.tags) fieldChanges.tags = normalizeTags(changes.tags);
+    if (changes.account) {
+      const [linked] = await accountStore.attachAccounts(accountsColl, userId, [{ account: changes.account.trim() }]);
+      fieldChanges.account = linked.account;
+    }
+    ['tags', 'paymentMethod', 'account'].forEach((field) => {
+      if (changes[field] === null || fieldChanges[field]?.length === 0) {
+        delete fieldChanges[field];
+        unset[field] = '';
+      }
+    });
+
+    // moving to another date is just another field on a per-entry document
+    const updated = await entriesColl.findOneAndUpdate(
+      { userId, date, id: entryId },
+      {
+        $set: {
+          ...fieldChanges,
+          ...(targetDate ? { date: targetDate } : {}),
+          updatedAt: new Date(),
+          updatedBy: new ObjectId(req.userId)
+        },
+        ...(Object.keys(unset).length > 0 && { $unset: unset })
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Entry not found with the specified ID' });
+    }
+    await auditEntries(req, [{ action: 'update', before: current, after: updated }]);
+    if (learnRule && changes.code !== undefined && !updated.splits) {
+      await categorizationRules.learnRule(rulesColl, userId, updated);
+    }
+
+    res.json({ message: 'entry updated successfully', entry: entryStore.toEntryResponse(updated) });
+  } catch (err) {
+    // unique (userId, recurringRuleId, date): the rule already has an occurrence on that day
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: `this recurring entry can't move to ${targetDate}: its rule already has an entry on that date`
+      });
+    }
+    console.error('Failed to update entry:', err);
+    res.status(500).json({ error: 'failed to update entry' });
   }
 });
 
 // DELETE /:date/:entryId - Delete a specific entry by ID
+// The entry goes to the trash; the response's undoToken restores it (POST /trash/undo).
 router.delete('/:date/:entryId', async (req, res) => {
   const { date, entryId } = req.params;
 
   // Validate date format (YYYY-MM-DD)
-  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
   }
 
   // Validate entryId format
@@ -180,25 +1046,15 @@ router.delete('/:date/:entryId', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
-    const [year, month, day] = date.split('-');
-    const yearMonth = `${year}-${month}`;
-
-    // Find and update the document to remove the specific entry
-    const result = await userEntries.updateOne(
-      { userId, [`${yearMonth}.${day}.entries`]: { $exists: true } },
-      { $pull: { [`${yearMonth}.${day}.entries`]: { id: entryId } } }
-    );
+    const userId = req.ledgerId;
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'No entries found for this date' });
-    }
-
-    if (result.modifiedCount === 0) {
+    const doc = await entriesColl.findOne({ userId, date, id: entryId });
+    if (!doc) {
       return res.status(404).json({ error: 'Entry not found with the specified ID' });
     }
 
-    res.json({ message: 'entry deleted successfully' });
+    const { trash } = await trashEntries(req, [doc], `entry "${doc.item}" (${doc.amount}) on ${date}`);
+    res.json({ message: 'entry deleted successfully', ...trash });
   } catch (err) {
     console.error('Failed to delete entry:', err);
     res.status(500).json({ error: 'failed to delete entry' });
@@ -206,17 +1062,17 @@ router.delete('/:date/:entryId', async (req, res) => {
 });
 
 // DELETE /:date - Delete all entries for a specific date
+// All of them go to the trash as one item, restorable with the response's undoToken.
 router.delete('/:date', async (req, res) => {
   const { date } = req.params;
 
   // Validate if it's a date (YYYY-MM-DD) or a month (YYYY-MM)
   let isFullDate = false;
-  let yearMonth, day;
+  let yearMonth;
 
   if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
     // It's a full date (YYYY-MM-DD)
     isFullDate = true;
-    [yearMonth, day] = [date.substring(0, 7), date.substring(8, 10)];
   } else if (/^\d{4}-\d{2}$/.test(date)) {
     // It's a month (YYYY-MM)
     yearMonth = date;
@@ -225,33 +1081,21 @@ router.delete('/:date', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
-    let result;
-
-    if (isFullDate) {
-      // Delete entries for specific day
-      result = await userEntries.updateOne(
-        { userId },
-        { $unset: { [`${yearMonth}.${day}`]: "" } }
-      );
-    } else {
-      // Delete entries for entire month
-      result = await userEntries.updateOne(
-        { userId },
-        { $unset: { [`${yearMonth}`]: "" } }
-      );
-    }
+    const userId = req.ledgerId;
+    const range = isFullDate ? { from: date, to: date } : entryStore.monthRange(yearMonth);
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'No entries found for user' });
-    }
+    const docs = await entriesColl.find(entryStore.buildFilter(userId, range)).toArray();
 
-    if (result.modifiedCount === 0) {
+    if (docs.length === 0) {
       return res.status(404).json({ error: `No entries found for ${isFullDate ? 'this date' : 'this month'}` });
     }
 
+    const label = `entries for ${isFullDate ? date : 'month ' + yearMonth}`;
+    const { deletedCount, trash } = await trashEntries(req, docs, label);
     res.json({
-      message: `entries for ${isFullDate ? date : 'month ' + yearMonth} deleted successfully`
+      message: `${label} deleted successfully`,
+      deleted: deletedCount,
+      ...trash
     });
   } catch (err) {
     console.error('Failed to delete entries:', err);
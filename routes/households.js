@@ -0,0 +1,398 @@
+/**
+ * /api/v1/households – shared ledgers for couples and families
+ * ------------------------------------------------------------
+ * A household owns its own ledger: entries, budgets and income stored under
+ * the household id instead of a user id (see middlewares/resolveLedger.js).
+ *
+ * ROLES
+ *   owner   manage members & invitations, rename/delete the household
+ *   member  read and write the household ledger
+ *   viewer  read-only
+ *
+ * INVITATIONS
+ *   The owner invites an email address with a role. The invitee receives a
+ *   single-use link (7 days) and accepts it while signed in with that email.
+ */
+const express = require('express');
+const router = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const { randomBytes, createHash } = require('crypto');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const { sendMail } = require('../services/mailer');
+const { deleteLedgerData } = require('../services/userData');
+
+const ROLES = ['owner', 'member', 'viewer'];
+const INVITE_ROLES = ['member', 'viewer'];
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let households;
+let invitations;
+let users;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    households = db.collection('households');
+    invitations = db.collection('household_invitations');
+    users = db.collection('users');
+    await households.createIndex({ 'members.userId': 1 });
+    await invitations.createIndex({ tokenHash: 1 }, { unique: true });
+    await invitations.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('households'));
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Loads a household the caller belongs to.
+ * @param {string} id - Household id from the URL.
+ * @param {ObjectId} userId - Caller.
+ * @returns {Promise<{household: object, role: string}|null>}
+ */
+async function findMembership(id, userId) {
+  if (!ObjectId.isValid(id)) return null;
+  const household = await households.findOne({ _id: new ObjectId(id), 'members.userId': userId });
+  if (!household) return null;
+  const { role } = household.members.find((m) => m.userId.equals(userId));
+  return { household, role };
+}
+
+// GET / – households the authenticated user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const userId = new ObjectId(req.userId);
+    const list = await households.find({ 'members.userId': userId }).sort({ createdAt: 1 }).toArray();
+    res.json({
+      households: list.map((h) => ({
+        id: h._id,
+        name: h.name,
+        role: h.members.find((m) => m.userId.equals(userId)).role,
+        members: h.members.length,
+        createdAt: h.createdAt
+      }))
+    });
+  } catch (err) {
+    console.error('Failed to list households:', err);
+    res.status(500).json({ error: 'failed to list households' });
+  }
+});
+
+// POST / – create a household; the caller becomes its owner
+// Expects: { name: string }
+router.post('/', async (req, res) => {
+  const { name } = req.body || {};
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'name (string, max 100 chars) is required' });
+  }
+  try {
+    const userId = new ObjectId(req.userId);
+    const now = new Date();
+    const household = {
+      name,
+      ownerId: userId,
+      members: [{ userId, role: 'owner', joinedAt: now }],
+      createdAt: now
+    };
+    const { insertedId } = await households.insertOne(household);
+    res.status(201).json({ household: { id: insertedId, ...household } });
+  } catch (err) {
+    console.error('Failed to create household:', err);
+    res.status(500).json({ error: 'failed to create household' });
+  }
+});
+
+// POST /invitations/accept – join a household with an invitation token
+// Expects: { token: string }
+router.post('/invitations/accept', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: 'token is required' });
+
+  try {
+    const userId = new ObjectId(req.userId);
+    const user = await users.findOne({ _id: userId }, { projection: { email: 1 } });
+
+    const invitation = await invitations.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!invitation) return res.status(400).json({ error: 'invalid or expired invitation' });
+    if (!user || user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({ error: 'invitation was sent to a different email address' });
+    }
+
+    const { modifiedCount } = await households.updateOne(
+      { _id: invitation.householdId, 'members.userId': { $ne: userId } },
+      { $push: { members: { userId, role: invitation.role, joinedAt: new Date() } } }
+    );
+    await invitations.updateOne({ _id: invitation._id }, { $set: { acceptedAt: new Date(), acceptedBy: userId } });
+
+    if (modifiedCount === 0) {
+      return res.status(409).json({ error: 'already a member of this household' });
+    }
+    res.json({ message: 'joined household', householdId: invitation.householdId, role: invitation.role });
+  } catch (err) {
+    console.error('Failed to accept invitation:', err);
+    res.status(500).json({ error: 'failed to accept invitation' });
+  }
+});
+
+// GET /:id – household details with members
+router.get('/:id', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, new ObjectId(req.userId));
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+
+    const { household, role } = membership;
+    const memberUsers = await users
+      .find({ _id: { $in: household.members.map((m) => m.userId) } }, { projection: { email: 1 } })
+      .toArray();
+    const emails = Object.fromEntries(memberUsers.map((u) => [u._id.toString(), u.email]));
+
+    res.json({
+      household: {
+        id: household._id,
+        name: household.name,
+        role,
+        createdAt: household.createdAt,
+        members: household.members.map((m) => ({
+          userId: m.userId,
+          email: emails[m.userId.toString()] || null,
+          role: m.role,
+          joinedAt: m.joinedAt
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Failed to fetch household:', err);
+    res.status(500).json({ error: 'failed to fetch household' });
+  }
+});
+
+// PATCH /:id – rename a household (owner only)
+// Expects: { name: string }
+router.patch('/:id', async (req, res) => {
+  const { name } = req.body || {};
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'name (string, max 100 chars) is required' });
+  }
+  try {
+    const membership = await findMembership(req.params.id, new ObjectId(req.userId));
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can rename the household' });
+
+    await households.updateOne({ _id: membership.household._id }, { $set: { name } });
+    res.json({ message: 'household updated' });
+  } catch (err) {
+    console.error('Failed to update household:', err);
+    res.status(500).json({ error: 'failed to update household' });
+  }
+});
+
+// DELETE /:id – delete a household and its whole ledger (owner only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, new ObjectId(req.userId));
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can delete the household' });
+
+    const householdId = membership.household._id;
+    await deleteLedgerData(client.db(process.env.MONGO_DB || 'pf_dev'), householdId);
+    await invitations.deleteMany({ householdId });
+    await households.deleteOne({ _id: householdId });
+
+    res.json({ message: 'household deleted successfully' });
+  } catch (err) {
+    console.error('Failed to delete household:', err);
+    res.status(500).json({ error: 'failed to delete household' });
+  }
+});
+
+// POST /:id/invitations – invite someone by email (owner only)
+// Expects: { email: string, role: "member" | "viewer" }
+router.post('/:id/invitations', async (req, res) => {
+  const { email, role = 'member' } = req.body || {};
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+  if (!INVITE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${INVITE_ROLES.join(', ')}` });
+  }
+
+  try {
+    const userId = new ObjectId(req.userId);
+    const membership = await findMembership(req.params.id, userId);
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can invite members' });
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const householdId = membership.household._id;
+
+    // replace any pending invitation for the same address
+    await invitations.deleteMany({ householdId, email: normalizedEmail, acceptedAt: null });
+
+    const token = randomBytes(32).toString('hex');
+    const now = new Date();
+    const { insertedId } = await invitations.insertOne({
+      householdId,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: userId,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + INVITE_TTL_MS),
+      acceptedAt: null
+    });
+
+    await sendMail({
+      to: normalizedEmail,
+      subject: `You're invited to the "${membership.household.name}" household on Vylo`,
+      text: `You've been invited to share the "${membership.household.name}" budget on Vylo as a ${role}.\n\nSign in (or sign up with this email) and open the link below to join (valid for 7 days):\n${APP_URL}/households/join?token=${token}\n`
+    });
+
+    res.status(201).json({ invitation: { id: insertedId, email: normalizedEmail, role, expiresAt: new Date(now.getTime() + INVITE_TTL_MS) } });
+  } catch (err) {
+    console.error('Failed to create invitation:', err);
+    res.status(500).json({ error: 'failed to create invitation' });
+  }
+});
+
+// GET /:id/invitations – pending invitations (owner only)
+router.get('/:id/invitations', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, new ObjectId(req.userId));
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can view invitations' });
+
+    const pending = await invitations
+      .find({ householdId: membership.household._id, acceptedAt: null, expiresAt: { $gt: new Date() } })
+      .project({ tokenHash: 0 })
+      .toArray();
+    res.json({ invitations: pending.map(({ _id, ...rest }) => ({ id: _id, ...rest })) });
+  } catch (err) {
+    console.error('Failed to list invitations:', err);
+    res.status(500).json({ error: 'failed to list invitations' });
+  }
+});
+
+// DELETE /:id/invitations/:invitationId – cancel a pending invitation (owner only)
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  if (!ObjectId.isValid(req.params.invitationId)) {
+    return res.status(400).json({ error: 'invalid invitation id' });
+  }
+  try {
+    const membership = await findMembership(req.params.id, new ObjectId(req.userId));
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can cancel invitations' });
+
+    const { deletedCount } = await invitations.deleteOne({
+      _id: new ObjectId(req.params.invitationId),
+      householdId: membership.household._id,
+      acceptedAt: null
+    });
+    if (deletedCount === 0) return res.status(404).json({ error: 'invitation not found' });
+    res.json({ message: 'invitation cancelled' });
+  } catch (err) {
+    console.error('Failed to cancel invitation:', err);
+    res.status(500).json({ error: 'failed to cancel invitation' });
+  }
+});
+
+// PATCH /:id/members/:userId – change a member's role (owner only)
+// Expects: { role: "owner" | "member" | "viewer" } – "owner" transfers ownership
+router.patch('/:id/members/:userId', async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (!ObjectId.isValid(req.params.userId)) {
+    return res.status(400).json({ error: 'invalid user id' });
+  }
+
+  try {
+    const userId = new ObjectId(req.userId);
+    const targetId = new ObjectId(req.params.userId);
+    const membership = await findMembership(req.params.id, userId);
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+    if (membership.role !== 'owner') return res.status(403).json({ error: 'only the owner can change roles' });
+    if (targetId.equals(userId)) return res.status(400).json({ error: 'transfer ownership to another member instead' });
+
+    const { household } = membership;
+    if (!household.members.some((m) => m.userId.equals(targetId))) {
+      return res.status(404).json({ error: 'member not found' });
+    }
+
+    const members = household.members.map((m) => {
+      if (m.userId.equals(targetId)) return { ...m, role };
+      // there is exactly one owner – handing it over demotes the current one
+      if (role === 'owner' && m.userId.equals(userId)) return { ...m, role: 'member' };
+      return m;
+    });
+    await households.updateOne(
+      { _id: household._id },
+      { $set: { members, ...(role === 'owner' ? { ownerId: targetId } : {}) } }
+    );
+    res.json({ message: 'member role updated' });
+  } catch (err) {
+    console.error('Failed to update member role:', err);
+    res.status(500).json({ error: 'failed to update member role' });
+  }
+});
+
+// DELETE /:id/members/:userId – remove a member (owner) or leave (yourself)
+router.delete('/:id/members/:userId', async (req, res) => {
+  if (!ObjectId.isValid(req.params.userId)) {
+    return res.status(400).json({ error: 'invalid user id' });
+  }
+  try {
+    const userId = new ObjectId(req.userId);
+    const targetId = new ObjectId(req.params.userId);
+    const membership = await findMembership(req.params.id, userId);
+    if (!membership) return res.status(404).json({ error: 'household not found' });
+
+    const leaving = targetId.equals(userId);
+    if (!leaving && membership.role !== 'owner') {
+      return res.status(403).json({ error: 'only the owner can remove members' });
+    }
+    if (leaving && membership.role === 'owner') {
+      return res.status(400).json({ error: 'the owner must transfer ownership or delete the household' });
+    }
+
+    const { modifiedCount } = await households.updateOne(
+      { _id: membership.household._id },
+      { $pull: { members: { userId: targetId } } }
+    );
+    if (modifiedCount === 0) return res.status(404).json({ error: 'member not found' });
+    res.json({ message: leaving ? 'left household' : 'member removed' });
+  } catch (err) {
+    console.error('Failed to remove member:', err);
+    res.status(500).json({ error: 'failed to remove member' });
+  }
+});
+
+module.exports = router;
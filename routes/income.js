@@ -5,12 +5,21 @@ const express = require('express');
 const router = express.Router();
 const { MongoClient, ObjectId } = require('mongodb');
 const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const trashStore = require('../services/trashStore');
+const accountStore = require('../services/accountStore');
+const incomeStore = require('../services/incomeStore');
+const auditLog = require('../services/auditLog');
 
 const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 });
 let userIncome;
+let trashColl;
+let accountsColl;
+let auditColl;
 let dbReady = false;
 
 // MongoDB setup
@@ -19,12 +28,17 @@ async function initDb() {
     await client.connect();
     const db = client.db(process.env.MONGO_DB || 'pf_dev');
     userIncome = db.collection('user_income');
+    trashColl = db.collection('trash');
+    accountsColl = db.collection('accounts');
+    auditColl = db.collection('audit_log');
     dbReady = true;
   }
 }
 initDb();
 
 router.use(requireAuth);
+router.use(scopeByMethod('income'));
+router.use(resolveLedger);   // req.ledgerId: the user's own ledger or the X-Household-Id one
 
 // Middleware to ensure DB is ready before handling requests
 router.use(async (req, res, next) => {
@@ -37,13 +51,89 @@ router.use(async (req, res, next) => {
   next();
 });
 
+/**
+ * Appends an audit record for a month's income.
+ * @param {import('express').Request} req
+ * @param {string} month
+ * @param {string} action
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+async function auditIncome(req, month, action, before, after) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), [
+    { entity: 'income', entityId: month, action, before, after }
+  ]);
+}
+
+/**
+ * Validates the account a month's income is paid into.
+ * @param {any} account
+ * @param {boolean} [nullable] - PUT may send null to unlink it.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function invalidAccount(account, nullable = false) {
+  if (account === undefined || (nullable && account === null)) return null;
+  if (typeof account !== 'string' || account.trim() === '' || account.length > accountStore.MAX_NAME_LENGTH) {
+    return `account must be a non-empty string (max ${accountStore.MAX_NAME_LENGTH} chars)`;
+  }
+  return null;
+}
+
+/**
+ * The account name as stored: the matching account's spelling, if any.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {string} account
+ * @returns {Promise<string>}
+ */
+async function linkedAccount(ledgerId, account) {
+  const [linked] = await accountStore.attachAccounts(accountsColl, ledgerId, [{ account: account.trim() }]);
+  return linked.account;
+}
+
+/**
+ * Validates the per-source accounts of a month.
+ * @param {any} accounts - { [sourceName]: accountName }
+ * @param {object} sources - The month's sources once the request is applied.
+ * @param {boolean} [nullable] - PUT may send null for a source to unlink it.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function invalidSourceAccounts(accounts, sources, nullable = false) {
+  if (accounts === undefined) return null;
+  if (typeof accounts !== 'object' || accounts === null || Array.isArray(accounts)) {
+    return 'accounts must be an object of source names to account names';
+  }
+  for (const [source, account] of Object.entries(accounts)) {
+    if (!Object.hasOwn(sources, source)) return `accounts: '${source}' is not a source of this month`;
+    const error = invalidAccount(account, nullable);
+    if (error) return `accounts.${source}: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * linkedAccount() for each source of a per-source account map; null values
+ * (unlink) are kept.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} accounts
+ * @returns {Promise<object>}
+ */
+async function linkedSourceAccounts(ledgerId, accounts) {
+  const items = Object.entries(accounts)
+    .filter(([, account]) => account !== null)
+    .map(([source, account]) => ({ source, account: account.trim() }));
+  await accountStore.attachAccounts(accountsColl, ledgerId, items);
+  return { ...accounts, ...Object.fromEntries(items.map(({ source, account }) => [source, account])) };
+}
+
 // GET / – get all monthly income records for the authenticated user
 router.get('/', async (req, res) => {
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     const incomeDoc = await userIncome.findOne({ userId });
     // income: { "2024-01": { total, sources: { salary: 50000, freelance: 10000 } }, ... }
-    res.json({ income: incomeDoc?.income || {} });
+    const income = Object.entries(incomeDoc?.income || {})
+      .map(([month, record]) => [month, incomeStore.toMonthResponse(record)]);
+    res.json({ income: Object.fromEntries(income) });
   } catch (err) {
     console.error('Failed to fetch income records:', err);
     res.status(500).json({ error: 'failed to fetch income records' });
@@ -51,9 +141,12 @@ router.get('/', async (req, res) => {
 });
 
 // POST / – set or update the income for a specific month for the authenticated user
-// Expects: { month: "YYYY-MM", total: number, sources?: { [sourceName]: number } }
+// Expects: { month: "YYYY-MM", total: number, sources?: { [sourceName]: number }, account?: string,
+//            accounts?: { [sourceName]: string } }
+// `account` names the account the income is paid into (see /api/v1/accounts);
+// `accounts` links single sources to another account.
 router.post('/', async (req, res) => {
-  const { month, total, sources } = req.body || {};
+  const { month, total, sources, account, accounts } = req.body || {};
 
   if (
     !month ||
@@ -67,6 +160,9 @@ router.post('/', async (req, res) => {
     });
   }
 
+  const accountError = invalidAccount(account);
+  if (accountError) return res.status(400).json({ error: accountError });
+
   // Validate and process sources if provided
   let finalSources = { main: total };
 
@@ -107,20 +203,27 @@ router.post('/', async (req, res) => {
     }
   }
 
+  const accountsError = invalidSourceAccounts(accounts, finalSources);
+  if (accountsError) return res.status(400).json({ error: accountsError });
+
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     const incomeData = {
       total,
       sources: finalSources,
+      ...(account !== undefined && { account: await linkedAccount(userId, account) }),
+      ...(accounts && Object.keys(accounts).length > 0 && { accounts: await linkedSourceAccounts(userId, accounts) }),
       updatedAt: new Date()
     };
 
     // Set or update the income for the given month
-    await userIncome.updateOne(
+    const previous = await userIncome.findOneAndUpdate(
       { userId },
       { $set: { [`income.${month}`]: incomeData } },
-      { upsert: true }
+      { upsert: true, returnDocument: 'before', projection: { [`income.${month}`]: 1 } }
     );
+    const before = incomeStore.toMonthResponse(previous?.income?.[month] || null);
+    await auditIncome(req, month, before ? 'update' : 'create', before, incomeData);
 
     res.status(201).json({
       message: 'income for month set/updated',
@@ -140,7 +243,7 @@ router.get('/:month', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     // Project only the requested month for speed
     const incomeDoc = await userIncome.findOne(
       { userId },
@@ -149,7 +252,7 @@ router.get('/:month', async (req, res) => {
 
     res.json({
       month,
-      income: incomeDoc?.income?.[month] || null
+      income: incomeStore.toMonthResponse(incomeDoc?.income?.[month] || null)
     });
   } catch (err) {
     console.error('Failed to fetch monthly income:', err);
@@ -158,21 +261,27 @@ router.get('/:month', async (req, res) => {
 });
 
 // PUT /:month – modify/update the income for a specific month
-// Expects: { total?: number, sources?: { [sourceName]: number } }
+// Expects: { total?: number, sources?: { [sourceName]: number }, account?: string | null,
+//            accounts?: { [sourceName]: string | null } }
+// `accounts` is merged into the stored source links (null unlinks a source);
+// links of sources that no longer exist are dropped.
 router.put('/:month', async (req, res) => {
   const { month } = req.params;
-  const { total, sources } = req.body || {};
+  const { total, sources, account, accounts } = req.body || {};
 
   if (!month || !/^\d{4}-\d{2}$/.test(month)) {
     return res.status(400).json({ error: 'month must be in YYYY-MM format' });
   }
 
-  if (!total && !sources) {
+  if (!total && !sources && account === undefined && accounts === undefined) {
     return res.status(400).json({
-      error: 'either total or sources must be provided for update'
+      error: 'either total, sources, account or accounts must be provided for update'
     });
   }
 
+  const accountError = invalidAccount(account, true);
+  if (accountError) return res.status(400).json({ error: accountError });
+
   // Validate total if provided
   if (total !== undefined && (typeof total !== 'number' || total < 0)) {
     return res.status(400).json({ error: 'total must be a non-negative number' });
@@ -194,7 +303,7 @@ router.put('/:month', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
 
     // Check if income record exists for this month
     const existingDoc = await userIncome.findOne(
@@ -206,7 +315,7 @@ router.put('/:month', async (req, res) => {
       return res.status(404).json({ error: 'No income record found for this month' });
     }
 
-    const existingIncome = existingDoc.income[month];
+    const existingIncome = incomeStore.toMonthResponse(existingDoc.income[month]);
     const updateFields = {};
 
     // Determine final total and sources
@@ -272,19 +381,47 @@ router.put('/:month', async (req, res) => {
       updateFields[`income.${month}.total`] = finalTotal;
     }
 
+    const accountsError = invalidSourceAccounts(accounts, finalSources, true);
+    if (accountsError) return res.status(400).json({ error: accountsError });
+
     updateFields[`income.${month}.sources`] = finalSources;
     updateFields[`income.${month}.updatedAt`] = new Date();
+    const { account: previousAccount, accounts: previousAccounts, ...unchanged } = existingIncome;
+    const finalAccount = account === undefined ? previousAccount : account && await linkedAccount(userId, account);
+    if (finalAccount) updateFields[`income.${month}.account`] = finalAccount;
+    const finalAccounts = Object.fromEntries(
+      Object.entries({ ...previousAccounts, ...(accounts && await linkedSourceAccounts(userId, accounts)) })
+        .filter(([source, name]) => name && Object.hasOwn(finalSources, source))
+    );
+    const linksSources = Object.keys(finalAccounts).length > 0;
+    if (linksSources) updateFields[`income.${month}.accounts`] = finalAccounts;
+    const unset = {
+      ...(account === null && { [`income.${month}.account`]: '' }),
+      ...(!linksSources && previousAccounts && { [`income.${month}.accounts`]: '' })
+    };
 
     await userIncome.updateOne(
       { userId },
-      { $set: updateFields }
+      {
+        $set: updateFields,
+        ...(Object.keys(unset).length > 0 && { $unset: unset })
+      }
     );
+    await auditIncome(req, month, 'update', existingIncome, {
+      ...unchanged,
+      total: finalTotal,
+      sources: finalSources,
+      ...(finalAccount && { account: finalAccount }),
+      ...(linksSources && { accounts: finalAccounts })
+    });
 
     res.json({
       message: 'income for month updated successfully',
       income: {
         total: finalTotal,
         sources: finalSources,
+        ...(finalAccount && { account: finalAccount }),
+        ...(linksSources && { accounts: finalAccounts }),
         updatedAt: new Date()
       }
     });
@@ -295,6 +432,7 @@ router.put('/:month', async (req, res) => {
 });
 
 // DELETE /:month – delete income record for a specific month
+// The record goes to the trash; the response's undoToken restores it (POST /trash/undo).
 router.delete('/:month', async (req, res) => {
   const { month } = req.params;
   if (!month || !/^\d{4}-\d{2}$/.test(month)) {
@@ -302,18 +440,30 @@ router.delete('/:month', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
+
+    const incomeDoc = await userIncome.findOne({ userId }, { projection: { [`income.${month}`]: 1 } });
+    if (!incomeDoc) {
+      return res.status(404).json({ error: 'No income records found for user' });
+    }
+    const value = incomeDoc.income?.[month];
+    if (!value) {
+      return res.status(404).json({ error: 'No income found for this month' });
+    }
 
-    const result = await userIncome.updateOne(
+    const trash = await trashStore.moveToTrash(trashColl, userId, {
+      kind: 'income',
+      label: `income for ${month}`,
+      payload: { month, value },
+      deletedBy: new ObjectId(req.userId)
+    });
+    await userIncome.updateOne(
       { userId },
       { $unset: { [`income.${month}`]: "" } }
     );
+    await auditIncome(req, month, 'delete', incomeStore.toMonthResponse(value), null);
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'No income records found for user' });
-    }
-
-    res.json({ message: 'income record deleted successfully' });
+    res.json({ message: 'income record deleted successfully', ...trash });
   } catch (err) {
     console.error('Failed to delete monthly income:', err);
     res.status(500).json({ error: 'failed to delete monthly income' });
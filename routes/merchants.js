@@ -0,0 +1,259 @@
+/**
+ * /api/v1/merchants – per-ledger merchant table
+ * ---------------------------------------------
+ * Merchants are created automatically when an entry names one; these
+ * endpoints let users rename them, add alternative spellings (aliases) and
+ * merge duplicates. Renames and merges are applied to existing entries.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const merchantStore = require('../services/merchantStore');
+const auditLog = require('../services/auditLog');
+
+const MAX_ALIASES = 50;
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let merchantsColl;
+let entriesColl;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    merchantsColl = db.collection('merchants');
+    entriesColl = db.collection('entries');
+    auditColl = db.collection('audit_log');
+    await merchantStore.ensureIndexes(merchantsColl);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('merchants'));
+router.use(resolveLedger);   // merchants are shared on a household ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * The merchant addressed by :id on the request's ledger.
+ * @param {import('express').Request} req
+ * @param {string} [id] - Defaults to req.params.id.
+ * @returns {Promise<object|null>}
+ */
+async function findMerchant(req, id = req.params.id) {
+  if (typeof id !== 'string' || !ObjectId.isValid(id)) return null;
+  return merchantsColl.findOne({ _id: new ObjectId(id), userId: req.ledgerId });
+}
+
+/**
+ * Appends audit records for merchants.
+ * @param {import('express').Request} req
+ * @param {{action: string, before?: object, after?: object}[]} changes - Merchant documents.
+ */
+async function auditMerchants(req, changes) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), changes.map(change => ({
+    entity: 'merchant',
+    entityId: (change.after || change.before)._id.toString(),
+    ...change
+  })));
+}
+
+/**
+ * Validates and normalizes an alias list.
+ * @param {any} aliases
+ * @returns {{keys?: string[], error?: string}}
+ */
+function parseAliases(aliases) {
+  if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES ||
+      !aliases.every(alias => typeof alias === 'string' && alias.length <= merchantStore.MAX_NAME_LENGTH)) {
+    return { error: `aliases must be an array of up to ${MAX_ALIASES} names` };
+  }
+  const keys = [...new Set(aliases.map(merchantStore.merchantKey).filter(Boolean))];
+  return { keys };
+}
+
+/**
+ * A merchant other than `exceptId` already answering to one of `keys`.
+ * @returns {Promise<object|null>}
+ */
+async function findConflict(ledgerId, keys, exceptId) {
+  if (keys.length === 0) return null;
+  return merchantsColl.findOne({
+    userId: ledgerId,
+    ...(exceptId && { _id: { $ne: exceptId } }),
+    $or: [{ key: { $in: keys } }, { aliases: { $in: keys } }]
+  });
+}
+
+// GET / – merchants of the current ledger
+// Query: q=<text in name> (optional)
+router.get('/', async (req, res) => {
+  const { q } = req.query;
+  try {
+    const filter = { userId: req.ledgerId };
+    if (typeof q === 'string' && q.trim()) {
+      filter.name = new RegExp(q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    const merchants = await merchantsColl.find(filter).sort({ name: 1 }).toArray();
+    res.json({ merchants: merchants.map(merchantStore.toMerchantResponse) });
+  } catch (err) {
+    console.error('Failed to fetch merchants:', err);
+    res.status(500).json({ error: 'failed to fetch merchants' });
+  }
+});
+
+// POST / – create a merchant
+// Expects: { name: string, aliases?: [string] }
+router.post('/', async (req, res) => {
+  const { name, aliases = [] } = req.body || {};
+  if (typeof name !== 'string' || !merchantStore.merchantKey(name) || name.length > merchantStore.MAX_NAME_LENGTH) {
+    return res.status(400).json({ error: `name must contain letters or digits (max ${merchantStore.MAX_NAME_LENGTH} chars)` });
+  }
+  const { keys, error } = parseAliases(aliases);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const userId = req.ledgerId;
+    const key = merchantStore.merchantKey(name);
+    const aliasKeys = keys.filter(alias => alias !== key);
+    const conflict = await findConflict(userId, [key, ...aliasKeys]);
+    if (conflict) return res.status(409).json({ error: `name or alias already used by merchant ${conflict.name}` });
+
+    const now = new Date();
+    const merchant = { userId, name: merchantStore.displayName(name), key, aliases: aliasKeys, createdAt: now, updatedAt: now };
+    const { insertedId } = await merchantsColl.insertOne(merchant);
+    await auditMerchants(req, [{ action: 'create', after: merchant }]);
+
+    res.status(201).json({ merchant: merchantStore.toMerchantResponse({ _id: insertedId, ...merchant }) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'merchant already exists' });
+    console.error('Failed to create merchant:', err);
+    res.status(500).json({ error: 'failed to create merchant' });
+  }
+});
+
+// PATCH /:id – rename a merchant and/or replace its aliases
+// Expects any of: { name: string, aliases: [string] }
+// A rename keeps the old spelling as an alias and updates existing entries.
+router.patch('/:id', async (req, res) => {
+  const { name, aliases } = req.body || {};
+  if (name === undefined && aliases === undefined) {
+    return res.status(400).json({ error: 'name or aliases is required' });
+  }
+  if (name !== undefined &&
+      (typeof name !== 'string' || !merchantStore.merchantKey(name) || name.length > merchantStore.MAX_NAME_LENGTH)) {
+    return res.status(400).json({ error: `name must contain letters or digits (max ${merchantStore.MAX_NAME_LENGTH} chars)` });
+  }
+  const parsed = aliases === undefined ? { keys: undefined } : parseAliases(aliases);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const userId = req.ledgerId;
+    const current = await findMerchant(req);
+    if (!current) return res.status(404).json({ error: 'merchant not found' });
+
+    const key = name === undefined ? current.key : merchantStore.merchantKey(name);
+    const aliasSet = new Set(parsed.keys || current.aliases);
+    if (key !== current.key) aliasSet.add(current.key);
+    aliasSet.delete(key);
+    const aliasKeys = [...aliasSet];
+
+    const conflict = await findConflict(userId, [key, ...aliasKeys], current._id);
+    if (conflict) return res.status(409).json({ error: `name or alias already used by merchant ${conflict.name}` });
+
+    const displayName = name === undefined ? current.name : merchantStore.displayName(name);
+    const updated = await merchantsColl.findOneAndUpdate(
+      { _id: current._id, userId },
+      { $set: { name: displayName, key, aliases: aliasKeys, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'merchant not found' });
+    await auditMerchants(req, [{ action: 'update', before: current, after: updated }]);
+    if (displayName !== current.name) {
+      await entriesColl.updateMany({ userId, merchantId: current._id }, { $set: { merchant: displayName } });
+    }
+
+    res.json({ merchant: merchantStore.toMerchantResponse(updated) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'merchant name already used' });
+    console.error('Failed to update merchant:', err);
+    res.status(500).json({ error: 'failed to update merchant' });
+  }
+});
+
+// POST /:id/merge – fold this merchant into another one
+// Expects: { into: "<merchant id>" }
+// Its name and aliases become aliases of `into`, and its entries move over.
+router.post('/:id/merge', async (req, res) => {
+  const { into } = req.body || {};
+  if (into === req.params.id) return res.status(400).json({ error: 'cannot merge a merchant into itself' });
+
+  try {
+    const userId = req.ledgerId;
+    const [source, target] = await Promise.all([findMerchant(req), findMerchant(req, into)]);
+    if (!source) return res.status(404).json({ error: 'merchant not found' });
+    if (!target) return res.status(404).json({ error: 'target merchant not found' });
+
+    const updated = await merchantsColl.findOneAndUpdate(
+      { _id: target._id, userId },
+      {
+        $addToSet: { aliases: { $each: [source.key, ...source.aliases].filter(key => key !== target.key) } },
+        $set: { updatedAt: new Date() }
+      },
+      { returnDocument: 'after' }
+    );
+    const { modifiedCount } = await entriesColl.updateMany(
+      { userId, merchantId: source._id },
+      { $set: { merchantId: target._id, merchant: target.name } }
+    );
+    await merchantsColl.deleteOne({ _id: source._id, userId });
+    await auditMerchants(req, [
+      { action: 'merge', before: target, after: updated },
+      { action: 'delete', before: source }
+    ]);
+
+    res.json({ merchant: merchantStore.toMerchantResponse(updated), entriesMoved: modifiedCount });
+  } catch (err) {
+    console.error('Failed to merge merchants:', err);
+    res.status(500).json({ error: 'failed to merge merchants' });
+  }
+});
+
+// DELETE /:id – remove a merchant; entries keep the name as plain text
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.ledgerId;
+    const merchant = await findMerchant(req);
+    if (!merchant) return res.status(404).json({ error: 'merchant not found' });
+
+    await merchantsColl.deleteOne({ _id: merchant._id, userId });
+    await auditMerchants(req, [{ action: 'delete', before: merchant }]);
+    await entriesColl.updateMany({ userId, merchantId: merchant._id }, { $unset: { merchantId: '' } });
+    res.json({ message: 'merchant deleted' });
+  } catch (err) {
+    console.error('Failed to delete merchant:', err);
+    res.status(500).json({ error: 'failed to delete merchant' });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,68 @@ const express  = require('express');
 const axios    = require('axios');
 const Together = require('together-ai');
 const { randomUUID } = require('crypto');
+const { MongoClient } = require('mongodb');
 const router   = express.Router();
 const requireAuth = require('../middlewares/requireAuth');
+const { requireScope } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const categoryService = require('../services/categoryService');
+const categorizationRules = require('../services/categorizationRules');
+const { MAX_SPLITS } = require('../services/entrySchema');
 
 const SYSTEM_PROMPT = require('../prompts/deepseekClassifierPrompt');
 const VISION_URL = `https://vision.googleapis.com/v1/images:annotate?key=${process.env.GOOGLE_VISION_KEY}`;
 const together = new Together({ apiKey: process.env.TOGETHER_API_KEY });
 
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let userCategories;
+let rulesColl;
+let dbReady = false;
+
+// MongoDB setup – only needed for the ledger's custom categories and rules
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    userCategories = db.collection('user_categories');
+    rulesColl = db.collection('categorization_rules');
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
 // Apply requireAuth to all routes in this router
 router.use(requireAuth);
+router.use(requireScope('receipts'));
+router.use(resolveLedger);   // custom categories and rules of the user's or household's ledger
+
+/**
+ * Classifier prompt extended with the ledger's custom categories.
+ * Falls back to the built-in prompt when they can't be loaded.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @returns {Promise<string>}
+ */
+async function buildClassifierPrompt(ledgerId) {
+  try {
+    await initDb();
+    const categories = await categoryService.getCategories(userCategories, ledgerId);
+    const custom = categoryService.describeCustomCategories(categories);
+    if (!custom) return SYSTEM_PROMPT;
+    return `${SYSTEM_PROMPT}
+CUSTOM CATEGORY CODES (valid in addition to the table above; use the
+category name as the keyword in \`name\`, and prefer a custom code over
+its parent when it fits better)
+────────────────────────────────────────────────────
+${custom}
+`;
+  } catch (err) {
+    console.error('Failed to load custom categories for classifier:', err);
+    return SYSTEM_PROMPT;
+  }
+}
 
 /**
  * Extracts text from Google Vision API response.
@@ -55,6 +108,119 @@ function extractAndParseJson(content) {
   }
 }
 
+/**
+ * The ledger's categorization rules and active codes, or null when they
+ * can't be loaded (classification then falls back to the LLM alone).
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @returns {Promise<{rules: object[], codes: Set<string>}|null>}
+ */
+async function loadLedgerRules(ledgerId) {
+  try {
+    await initDb();
+    const categories = await categoryService.getCategories(userCategories, ledgerId);
+    return {
+      rules: await categorizationRules.loadRules(rulesColl, ledgerId),
+      codes: categoryService.activeCodes(categories)
+    };
+  } catch (err) {
+    console.error('Failed to load categorization rules:', err);
+    return null;
+  }
+}
+
+// total lines by preference: explicit grand totals, then a plain "Total"
+const TOTAL_LINE_RES = [
+  /grand\s*total|net\s*payable|bill\s*amount|total\s*amount|amount\s*payable/i,
+  /(?<!sub\s?)\btotal\b(?!\s*(?:qty|quantity|items?)\b)/i
+];
+
+/**
+ * Grand total printed on a bill: the largest amount on the best kind of
+ * total line.
+ * @param {string} text - OCR text.
+ * @returns {number|null}
+ */
+function findBillTotal(text) {
+  const lines = text.split(/\r?\n/);
+  for (const re of TOTAL_LINE_RES) {
+    const amounts = lines
+      .filter(line => re.test(line))
+      .flatMap(line => line.match(/\d[\d,]*(?:\.\d{1,2})?/g) || [])
+      .map(value => Number(value.replace(/,/g, '')))
+      .filter(value => value > 0);
+    if (amounts.length > 0) return Math.max(...amounts);
+  }
+  return null;
+}
+
+/**
+ * Classifies a bill with the ledger's rules alone, so repeat merchants need
+ * no LLM call. The merchant (given, or the bill's first line) and the text
+ * are matched against the rules; the amount is the bill's total.
+ * @param {{rules: object[], codes: Set<string>}} ledgerRules - From loadLedgerRules().
+ * @param {string} text - OCR text.
+ * @param {string} [merchant]
+ * @returns {object|null} Classifier-shaped result, or null when no rule
+ *   matches or the total can't be read.
+ */
+function classifyByRules({ rules, codes }, text, merchant) {
+  const heading = merchant || text.split(/\r?\n/).map(line => line.trim()).find(Boolean);
+  const rule = categorizationRules.matchRule(rules, { item: text, merchant: heading }, codes);
+  if (!rule) return null;
+  const amount = findBillTotal(text);
+  if (!amount) return null;
+
+  const name = rule.merchant || heading;
+  return {
+    entries: [{ id: randomUUID(), code: rule.code, amount, item: name, merchant: name, confidence: 1 }],
+    merchant: name,
+    confidence_overall: 1,
+    reason: `matched categorization rule "${rule.pattern}"`,
+    ruleId: rule._id.toString()
+  };
+}
+
+/**
+ * One transaction for a whole bill: the classifier's per-category entries
+ * become the allocations of a split entry (one allocation per code).
+ * @param {{entries: object[], merchant?: string}} json - Classifier output.
+ * @returns {object|null} Entry for POST /entries/add-user-entries, or null
+ *   when the entries can't form one.
+ */
+function billTransaction({ entries, merchant }) {
+  const lines = entries.filter(entry =>
+    entry && typeof entry.code === 'string' && typeof entry.amount === 'number' && entry.amount > 0);
+  if (lines.length < 2 || lines.length !== entries.length) return null;
+
+  const byCode = new Map();
+  lines.forEach(({ code, amount, item }) => {
+    const split = byCode.get(code) || { code, amount: 0, items: [] };
+    split.amount = Math.round((split.amount + amount) * 100) / 100;
+    if (item) split.items.push(item);
+    byCode.set(code, split);
+  });
+  const splits = [...byCode.values()].map(({ code, amount, items }) => ({
+    code,
+    amount,
+    ...(items.length > 0 && { item: items.join(', ').slice(0, 120) })
+  }));
+  if (splits.length > MAX_SPLITS) return null;
+
+  const amount = Math.round(splits.reduce((sum, split) => sum + split.amount, 0) * 100) / 100;
+  const confidences = lines.map(line => line.confidence).filter(value => typeof value === 'number');
+  const transaction = {
+    amount,
+    item: (typeof merchant === 'string' && merchant.trim()) || lines[0].item || 'Receipt',
+    ...(typeof merchant === 'string' && merchant.trim() && { merchant: merchant.trim() }),
+    ...(lines[0].name && { name: lines[0].name }),
+    ...(confidences.length > 0 && { confidence: Math.min(...confidences) })
+  };
+  // a single category needs no split
+  return splits.length === 1
+    ? { ...transaction, code: splits[0].code }
+    : { ...transaction, splits };
+}
+
 /* POST /parse  – Google Vision */
 router.post('/parse', async (req, res) => {
   try {
@@ -68,20 +234,30 @@ router.post('/parse', async (req, res) => {
   }
 });
 
-/* POST /classify  – DeepSeek-R1 via Together */
+/* POST /classify  – ledger rules first, else DeepSeek-R1 via Together
+ * Expects: { text, merchant? }. Rule hits are counted when the entries are
+ * saved through add-user-entries, not here – a preview may never be saved. */
 router.post('/classify', async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, merchant } = req.body;
     if (!text) return res.status(400).json({ error: 'text missing' });
+    if (merchant !== undefined && (typeof merchant !== 'string' || !merchant.trim())) {
+      return res.status(400).json({ error: 'merchant must be a non-empty string' });
+    }
+
+    const ledgerRules = await loadLedgerRules(req.ledgerId);
+    const byRule = ledgerRules && classifyByRules(ledgerRules, String(text), merchant?.trim());
+    if (byRule) return res.json(byRule);
 
-    console.log('Classifying text:', text + '...' + SYSTEM_PROMPT);
+    const systemPrompt = await buildClassifierPrompt(req.ledgerId);
+    console.log('Classifying text:', text + '...' + systemPrompt);
 
     const completion = await together.chat.completions.create({
       model: 'deepseek-ai/DeepSeek-R1-Distill-Llama-70B-free',
       temperature: 0,
       max_tokens: 4096,
       messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'system', content: systemPrompt },
         { role: 'user',   content: text }
       ]
     });
@@ -98,10 +274,20 @@ router.post('/classify', async (req, res) => {
 
     // Generate unique IDs for each entry
     if (Array.isArray(json.entries)) {
+      const merchant = typeof json.merchant === 'string' && json.merchant.trim();
       json.entries = json.entries.map(entry => ({
         ...entry,
+        ...(merchant && !entry.merchant && { merchant }),
         id: randomUUID()
       }));
+      // the user's own rules beat the LLM for merchants / items they have seen before
+      if (ledgerRules) {
+        const { rules, codes } = ledgerRules;
+        json.entries = json.entries.map(entry => categorizationRules.applyRules(rules, entry, { mode: 'override', codes }).entry);
+      }
+      // a mixed bill is one purchase – offer it as a single split transaction
+      const transaction = billTransaction(json);
+      if (transaction) json.transaction = transaction;
     }
 
     res.json(json);
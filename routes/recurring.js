@@ -0,0 +1,343 @@
+/**
+ * /api/v1/recurring – recurring expenses & income
+ * -----------------------------------------------
+ * Rules (rent, subscriptions, salary, …) are turned into entries / income by
+ * services/recurringScheduler.js. Creating a rule materializes any
+ * occurrences already due right away; edits only affect future occurrences.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const { isValidDate, validateEntry } = require('../services/entrySchema');
+const categoryService = require('../services/categoryService');
+const recurringRules = require('../services/recurringRules');
+const auditLog = require('../services/auditLog');
+
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate', 'count'];
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let rulesColl;
+let entriesColl;
+let userIncome;
+let userCategories;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    rulesColl = db.collection('recurring_rules');
+    entriesColl = db.collection('entries');
+    userIncome = db.collection('user_income');
+    userCategories = db.collection('user_categories');
+    auditColl = db.collection('audit_log');
+    await recurringRules.ensureIndexes(rulesColl);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('recurring'));
+router.use(resolveLedger);   // rules belong to the personal or the X-Household-Id ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * Appends an audit record for a recurring rule.
+ * @param {import('express').Request} req
+ * @param {string} action
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+async function auditRule(req, action, before, after) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), [
+    { entity: 'recurring_rule', entityId: (after || before)._id.toString(), action, before, after }
+  ]);
+}
+
+/**
+ * Validates the template of a rule against its kind.
+ * @param {'expense'|'income'} kind
+ * @param {object} template
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @returns {Promise<string|null>} Error message, or null when valid.
+ */
+async function validateTemplate(kind, template, ledgerId) {
+  if (kind === 'income') return recurringRules.validateIncomeTemplate(template);
+
+  const categories = await categoryService.getCategories(userCategories, ledgerId);
+  const codes = categoryService.activeCodes(categories);
+  // the full check requires code/amount/item; the partial one rejects id/confidence
+  return validateEntry(template, { codes }) || validateEntry(template, { partial: true, codes });
+}
+
+/**
+ * Loads a rule of the current ledger from the :id param.
+ * @returns {Promise<object|null>}
+ */
+async function findRule(req) {
+  if (!ObjectId.isValid(req.params.id)) return null;
+  return rulesColl.findOne({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+}
+
+// GET / – list the ledger's recurring rules
+// Query: kind=expense|income (optional)
+router.get('/', async (req, res) => {
+  const { kind } = req.query;
+  if (kind !== undefined && !recurringRules.KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${recurringRules.KINDS.join(', ')}` });
+  }
+
+  try {
+    const filter = { userId: req.ledgerId };
+    if (kind) filter.kind = kind;
+    const rules = await rulesColl.find(filter).sort({ createdAt: 1 }).toArray();
+    res.json({ rules: rules.map(recurringRules.toRuleResponse) });
+  } catch (err) {
+    console.error('Failed to fetch recurring rules:', err);
+    res.status(500).json({ error: 'failed to fetch recurring rules' });
+  }
+});
+
+// POST / – create a recurring rule
+// Expects: { kind: "expense" | "income",
+//            template: { code, amount, item, name?, notes? } | { source, amount },
+//            frequency: "daily" | "weekly" | "monthly" | "yearly", interval?: number,
+//            startDate: "YYYY-MM-DD", endDate?: "YYYY-MM-DD", count?: number }
+router.post('/', async (req, res) => {
+  const { kind, template, frequency, interval = 1, startDate, endDate = null, count = null } = req.body || {};
+
+  if (!recurringRules.KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${recurringRules.KINDS.join(', ')}` });
+  }
+  const invalidSchedule = recurringRules.validateSchedule({ frequency, interval, startDate, endDate, count }, isValidDate);
+  if (invalidSchedule) return res.status(400).json({ error: invalidSchedule });
+
+  try {
+    const userId = req.ledgerId;
+    const invalidTemplate = await validateTemplate(kind, template, userId);
+    if (invalidTemplate) return res.status(400).json({ error: `invalid template: ${invalidTemplate}` });
+
+    const now = new Date();
+    const rule = {
+      userId,
+      kind,
+      template: kind === 'expense' ? { ...template, item: template.item.trim() } : template,
+      frequency,
+      interval,
+      startDate,
+      endDate,
+      count,
+      nextIndex: 0,
+      nextDate: startDate,
+      paused: false,
+      skipped: [],
+      createdBy: new ObjectId(req.userId),
+      createdAt: now,
+      updatedAt: now
+    };
+    const { insertedId } = await rulesColl.insertOne(rule);
+    rule._id = insertedId;
+    await auditRule(req, 'create', null, rule);
+
+    // back-fill occurrences that are already due (startDate in the past or today)
+    const materialized = await recurringRules.materializeRule(
+      { rules: rulesColl, entries: entriesColl, income: userIncome, audit: auditColl },
+      rule
+    );
+    const stored = await rulesColl.findOne({ _id: insertedId });
+
+    res.status(201).json({ rule: recurringRules.toRuleResponse(stored), materialized });
+  } catch (err) {
+    console.error('Failed to create recurring rule:', err);
+    res.status(500).json({ error: 'failed to create recurring rule' });
+  }
+});
+
+// GET /:id – one rule with its upcoming occurrences
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+    res.json({ rule: recurringRules.toRuleResponse(rule) });
+  } catch (err) {
+    console.error('Failed to fetch recurring rule:', err);
+    res.status(500).json({ error: 'failed to fetch recurring rule' });
+  }
+});
+
+// PATCH /:id – edit future occurrences
+// Expects any of: { template: {...partial template}, frequency, interval, startDate, endDate, count }
+// Already materialized entries / income are left untouched. Changing the
+// schedule re-anchors the rule at `startDate` (default: the next occurrence,
+// never before today); `count` then counts from the new anchor.
+router.patch('/:id', async (req, res) => {
+  const body = req.body || {};
+  const scheduleChanges = SCHEDULE_FIELDS.filter(key => body[key] !== undefined);
+  if (body.template === undefined && scheduleChanges.length === 0) {
+    return res.status(400).json({ error: `at least one of template, ${SCHEDULE_FIELDS.join(', ')} is required` });
+  }
+
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+
+    const changes = {};
+
+    if (body.template !== undefined) {
+      if (!body.template || typeof body.template !== 'object' || Array.isArray(body.template)) {
+        return res.status(400).json({ error: 'template must be an object' });
+      }
+      const template = { ...rule.template, ...body.template };
+      const invalidTemplate = await validateTemplate(rule.kind, template, req.ledgerId);
+      if (invalidTemplate) return res.status(400).json({ error: `invalid template: ${invalidTemplate}` });
+      changes.template = rule.kind === 'expense' ? { ...template, item: template.item.trim() } : template;
+    }
+
+    if (scheduleChanges.length > 0) {
+      const today = recurringRules.todayString();
+      const startDate = body.startDate ?? (rule.nextDate && rule.nextDate > today ? rule.nextDate : today);
+      if (startDate < today) {
+        return res.status(400).json({ error: 'startDate of an edited rule must not be in the past' });
+      }
+      // remaining occurrences when the count is kept but the anchor moves
+      const remaining = rule.count ? Math.max(rule.count - rule.nextIndex, 1) : null;
+      const schedule = {
+        frequency: body.frequency ?? rule.frequency,
+        interval: body.interval ?? rule.interval,
+        startDate,
+        endDate: body.endDate !== undefined ? body.endDate : rule.endDate,
+        count: body.count !== undefined ? body.count : remaining
+      };
+      const invalidSchedule = recurringRules.validateSchedule(schedule, isValidDate);
+      if (invalidSchedule) return res.status(400).json({ error: invalidSchedule });
+
+      Object.assign(changes, schedule, { nextIndex: 0, nextDate: recurringRules.dateAt(schedule, 0) });
+    }
+
+    // conditional on nextIndex so a concurrent scheduler run isn't lost
+    const updated = await rulesColl.findOneAndUpdate(
+      { _id: rule._id, nextIndex: rule.nextIndex },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ error: 'rule changed concurrently, please retry' });
+    await auditRule(req, 'update', rule, updated);
+
+    res.json({ rule: recurringRules.toRuleResponse(updated) });
+  } catch (err) {
+    console.error('Failed to update recurring rule:', err);
+    res.status(500).json({ error: 'failed to update recurring rule' });
+  }
+});
+
+// POST /:id/pause – stop materializing until resumed
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+
+    await rulesColl.updateOne({ _id: rule._id }, { $set: { paused: true, updatedAt: new Date() } });
+    await auditRule(req, 'update', rule, { ...rule, paused: true });
+    res.json({ rule: recurringRules.toRuleResponse({ ...rule, paused: true }) });
+  } catch (err) {
+    console.error('Failed to pause recurring rule:', err);
+    res.status(500).json({ error: 'failed to pause recurring rule' });
+  }
+});
+
+// POST /:id/resume – continue from today; occurrences missed while paused are not back-filled
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+    if (!rule.paused) return res.status(400).json({ error: 'recurring rule is not paused' });
+
+    const nextIndex = rule.nextDate
+      ? recurringRules.firstIndexOnOrAfter(rule, recurringRules.todayString(), rule.nextIndex)
+      : rule.nextIndex;
+    const updated = await rulesColl.findOneAndUpdate(
+      { _id: rule._id, nextIndex: rule.nextIndex },
+      {
+        $set: {
+          paused: false,
+          nextIndex,
+          nextDate: recurringRules.dateAt(rule, nextIndex),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ error: 'rule changed concurrently, please retry' });
+    await auditRule(req, 'update', rule, updated);
+
+    res.json({ rule: recurringRules.toRuleResponse(updated) });
+  } catch (err) {
+    console.error('Failed to resume recurring rule:', err);
+    res.status(500).json({ error: 'failed to resume recurring rule' });
+  }
+});
+
+// POST /:id/skip – skip the next occurrence (it still counts towards `count`)
+router.post('/:id/skip', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+    if (!rule.nextDate) return res.status(400).json({ error: 'recurring rule has no upcoming occurrence' });
+
+    const updated = await rulesColl.findOneAndUpdate(
+      { _id: rule._id, nextIndex: rule.nextIndex },
+      {
+        $set: {
+          nextIndex: rule.nextIndex + 1,
+          nextDate: recurringRules.dateAt(rule, rule.nextIndex + 1),
+          updatedAt: new Date()
+        },
+        $push: { skipped: rule.nextDate }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ error: 'rule changed concurrently, please retry' });
+    await auditRule(req, 'update', rule, updated);
+
+    res.json({ message: `skipped ${rule.nextDate}`, rule: recurringRules.toRuleResponse(updated) });
+  } catch (err) {
+    console.error('Failed to skip occurrence:', err);
+    res.status(500).json({ error: 'failed to skip occurrence' });
+  }
+});
+
+// DELETE /:id – delete a rule; entries and income it already created are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req);
+    if (!rule) return res.status(404).json({ error: 'recurring rule not found' });
+
+    await rulesColl.deleteOne({ _id: rule._id });
+    await auditRule(req, 'delete', rule, null);
+    res.json({ message: 'recurring rule deleted' });
+  } catch (err) {
+    console.error('Failed to delete recurring rule:', err);
+    res.status(500).json({ error: 'failed to delete recurring rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * /api/v1/rules – categorization rules
+ * ------------------------------------
+ * User-editable rules such as "item contains SWIGGY → FOD-DEL" that every
+ * insert path (add-user-entries, imports, receipt classify, chat, SMS and
+ * statement previews) applies before falling back to keywords or the LLM.
+ * See services/categorizationRules.js for matching and precedence.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const categoryService = require('../services/categoryService');
+const categorizationRules = require('../services/categorizationRules');
+const auditLog = require('../services/auditLog');
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let rulesColl;
+let userCategories;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    rulesColl = db.collection('categorization_rules');
+    userCategories = db.collection('user_categories');
+    auditColl = db.collection('audit_log');
+    await categorizationRules.ensureIndexes(rulesColl);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('rules'));
+router.use(resolveLedger);   // rules are shared on a household ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * Active category codes of the request's ledger.
+ * @param {import('express').Request} req
+ * @returns {Promise<Set<string>>}
+ */
+async function ledgerCodes(req) {
+  const categories = await categoryService.getCategories(userCategories, req.ledgerId);
+  return categoryService.activeCodes(categories);
+}
+
+/**
+ * Appends an audit record for a categorization rule.
+ * @param {import('express').Request} req
+ * @param {string} action
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+async function auditRule(req, action, before, after) {
+  await auditLog.record(auditColl, req.ledgerId, auditLog.requestContext(req), [
+    { entity: 'categorization_rule', entityId: (after || before)._id.toString(), action, before, after }
+  ]);
+}
+
+// GET / – rules of the current ledger in the order they are tried
+router.get('/', async (req, res) => {
+  try {
+    const rules = await categorizationRules.loadRules(rulesColl, req.ledgerId);
+    res.json({ rules: rules.map(categorizationRules.toRuleResponse) });
+  } catch (err) {
+    console.error('Failed to fetch rules:', err);
+    res.status(500).json({ error: 'failed to fetch rules' });
+  }
+});
+
+// POST / – create a rule
+// Expects: { pattern: "swiggy", code: "FOD-DEL", field?: "item" | "merchant" | "any" (default any),
+//            match?: "contains" | "equals" | "startsWith" (default contains), merchant?: "Swiggy" }
+// `merchant` is set on matching entries that have none.
+router.post('/', async (req, res) => {
+  const { field = 'any', match = 'contains', pattern, code, merchant = null } = req.body || {};
+
+  try {
+    const userId = req.ledgerId;
+    const invalid = categorizationRules.validateRule(
+      { field, match, pattern, code, merchant },
+      { codes: await ledgerCodes(req) }
+    );
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const now = new Date();
+    const rule = {
+      userId,
+      field,
+      match,
+      pattern: categorizationRules.normalizePattern(pattern, field),
+      code,
+      merchant: merchant ? merchant.trim() : null,
+      source: 'manual',
+      hits: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    const { insertedId } = await rulesColl.insertOne(rule);
+    await auditRule(req, 'create', null, rule);
+
+    res.status(201).json({ rule: categorizationRules.toRuleResponse({ _id: insertedId, ...rule }) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'a rule for this pattern already exists' });
+    console.error('Failed to create rule:', err);
+    res.status(500).json({ error: 'failed to create rule' });
+  }
+});
+
+// POST /test – which category would an entry get?
+// Expects: { item?: string, merchant?: string }
+// Returns: { code, confidence, rule, keyword } – rule first, then built-in keywords
+router.post('/test', async (req, res) => {
+  const { item, merchant } = req.body || {};
+  if ((item !== undefined && typeof item !== 'string') || (merchant !== undefined && typeof merchant !== 'string') ||
+      !(item || merchant)) {
+    return res.status(400).json({ error: 'item or merchant text is required' });
+  }
+
+  try {
+    const rules = await categorizationRules.loadRules(rulesColl, req.ledgerId);
+    const { code, confidence, rule, keyword } = categorizationRules.suggestCode(
+      rules,
+      { item, merchant },
+      await ledgerCodes(req)
+    );
+    res.json({ code, confidence, rule: rule && categorizationRules.toRuleResponse(rule), keyword });
+  } catch (err) {
+    console.error('Failed to test rules:', err);
+    res.status(500).json({ error: 'failed to test rules' });
+  }
+});
+
+// PATCH /:id – edit a rule; a learned rule edited by hand becomes manual
+// Expects any of: { field, match, pattern, code, merchant }
+router.patch('/:id', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'rule not found' });
+
+  const changes = {};
+  ['field', 'match', 'pattern', 'code', 'merchant'].forEach((key) => {
+    if (req.body?.[key] !== undefined) changes[key] = req.body[key];
+  });
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'at least one of field, match, pattern, code, merchant is required' });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const _id = new ObjectId(req.params.id);
+    const invalid = categorizationRules.validateRule(changes, { codes: await ledgerCodes(req), partial: true });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const current = await rulesColl.findOne({ _id, userId });
+    if (!current) return res.status(404).json({ error: 'rule not found' });
+
+    // the stored pattern depends on the field it is matched against
+    const field = changes.field || current.field;
+    if (changes.pattern !== undefined || changes.field !== undefined) {
+      changes.pattern = categorizationRules.normalizePattern(changes.pattern ?? current.pattern, field);
+    }
+    if (typeof changes.merchant === 'string') changes.merchant = changes.merchant.trim();
+
+    const updated = await rulesColl.findOneAndUpdate(
+      { _id, userId },
+      { $set: { ...changes, source: 'manual', updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'rule not found' });
+    await auditRule(req, 'update', current, updated);
+
+    res.json({ rule: categorizationRules.toRuleResponse(updated) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'a rule for this pattern already exists' });
+    console.error('Failed to update rule:', err);
+    res.status(500).json({ error: 'failed to update rule' });
+  }
+});
+
+// DELETE /:id – remove a rule (entries keep their categories)
+router.delete('/:id', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'rule not found' });
+
+  try {
+    const deleted = await rulesColl.findOneAndDelete({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+    if (!deleted) return res.status(404).json({ error: 'rule not found' });
+    await auditRule(req, 'delete', deleted, null);
+    res.json({ message: 'rule deleted' });
+  } catch (err) {
+    console.error('Failed to delete rule:', err);
+    res.status(500).json({ error: 'failed to delete rule' });
+  }
+});
+
+module.exports = router;
@@ -5,13 +5,16 @@ const express = require('express');
 const router = express.Router();
 const { MongoClient, ObjectId } = require('mongodb');
 const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const entryStore = require('../services/entryStore');
 
 const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 });
 let userIncome;
-let userEntries;
+let entriesColl;
 let dbReady = false;
 
 // MongoDB setup
@@ -20,13 +23,15 @@ async function initDb() {
     await client.connect();
     const db = client.db(process.env.MONGO_DB || 'pf_dev');
     userIncome = db.collection('user_income');
-    userEntries = db.collection('user_entries');
+    entriesColl = db.collection('entries');
     dbReady = true;
   }
 }
 initDb();
 
 router.use(requireAuth);
+router.use(scopeByMethod('savings'));
+router.use(resolveLedger);   // req.ledgerId: the user's own ledger or the X-Household-Id one
 
 // Middleware to ensure DB is ready before handling requests
 router.use(async (req, res, next) => {
@@ -41,29 +46,18 @@ router.use(async (req, res, next) => {
 
 /**
  * Calculate total expenses for a specific month
- * @param {ObjectId} userId - User ID
+ * @param {ObjectId} userId - Ledger ID (user or household)
  * @param {string} month - Month in YYYY-MM format
  * @returns {Promise<number>} Total expenses for the month
  */
 async function calculateMonthlyExpenses(userId, month) {
-  const entriesDoc = await userEntries.findOne({ userId });
-  const monthlyEntries = entriesDoc?.[month] || {};
-  
-  let totalExpenses = 0;
-  Object.values(monthlyEntries).forEach(dayData => {
-    if (dayData.entries) {
-      dayData.entries.forEach(entry => {
-        totalExpenses += entry.amount || 0;
-      });
-    }
-  });
-  
-  return totalExpenses;
+  const totals = await entryStore.sumByMonth(entriesColl, userId, entryStore.monthRange(month));
+  return totals[month] || 0;
 }
 
 /**
  * Get income for a specific month
- * @param {ObjectId} userId - User ID
+ * @param {ObjectId} userId - Ledger ID (user or household)
  * @param {string} month - Month in YYYY-MM format
  * @returns {Promise<number>} Total income for the month
  */
@@ -85,7 +79,7 @@ router.get('/:month/monthly', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     
     // Get income and expenses for the month
     const [totalIncome, totalExpenses] = await Promise.all([
@@ -119,7 +113,7 @@ router.get('/:year/yearly', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     
     // Generate all months for the year
     const months = [];
@@ -205,7 +199,7 @@ router.get('/summary/:year', async (req, res) => {
   }
 
   try {
-    const userId = new ObjectId(req.userId);
+    const userId = req.ledgerId;
     
     // Get current month for year-to-date calculations
     const currentDate = new Date();
@@ -3,10 +3,12 @@ const axios = require("axios");
 const cheerio = require("cheerio");
 const router = express.Router();
 const requireAuth = require("../middlewares/requireAuth");
+const { requireScope } = require("../middlewares/requireScope");
 const Together = require("together-ai");
 const VALIDATION_PROMPT = require("../prompts/shoppingValidationPrompt");
 
 router.use(requireAuth);
+router.use(requireScope("shopping"));
 
 const USER_AGENTS = [
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/61.0.3163.100 Safari/537.36",
@@ -0,0 +1,445 @@
+/**
+ * /api/v1/statements – bank statement import
+ * ------------------------------------------
+ * Two steps, so nothing is written before the user has seen it:
+ *   1. POST /            parse an OFX/QFX, QIF or bank CSV statement, categorize
+ *                        every line and stage it as a preview (kept 24 h)
+ *   2. POST /:id/commit  write the included lines – debits as expense entries,
+ *                        credits into the month's income sources
+ *
+ * Duplicates (lines already in the ledger) are flagged in the preview and
+ * checked again on commit, so committing twice never double-books.
+ * Lines are categorized by the ledger's categorization rules first, then by
+ * the built-in merchant keywords.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const { createHash } = require('crypto');
+const requireAuth = require('../middlewares/requireAuth');
+const { scopeByMethod } = require('../middlewares/requireScope');
+const resolveLedger = require('../middlewares/resolveLedger');
+const { validateEntry, buildEntry } = require('../services/entrySchema');
+const entryStore = require('../services/entryStore');
+const incomeStore = require('../services/incomeStore');
+const categoryService = require('../services/categoryService');
+const categorizer = require('../services/categorizer');
+const categorizationRules = require('../services/categorizationRules');
+const merchantStore = require('../services/merchantStore');
+const accountStore = require('../services/accountStore');
+const auditLog = require('../services/auditLog');
+const statementParsers = require('../services/statementParsers');
+
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_TRANSACTIONS = 5000;
+const OVERRIDE_FIELDS = ['line', 'include', 'kind', 'code', 'item', 'source'];
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let statementImports;
+let entriesColl;
+let userIncome;
+let userCategories;
+let rulesColl;
+let merchantsColl;
+let accountsColl;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    statementImports = db.collection('statement_imports');
+    entriesColl = db.collection('entries');
+    userIncome = db.collection('user_income');
+    userCategories = db.collection('user_categories');
+    rulesColl = db.collection('categorization_rules');
+    merchantsColl = db.collection('merchants');
+    accountsColl = db.collection('accounts');
+    auditColl = db.collection('audit_log');
+    // previews expire; committed imports drop expiresAt and are kept
+    await statementImports.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await statementImports.createIndex({ userId: 1, createdAt: -1 });
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(scopeByMethod('entries'));
+router.use(resolveLedger);   // import into the personal or the X-Household-Id ledger
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * Income marker of a credit line – derived from its content so the same
+ * credit imported from two overlapping statements is only counted once.
+ * @param {{date: string, amount: number, description: string}} line
+ * @returns {string}
+ */
+function incomeMarker({ date, amount, description }) {
+  const digest = createHash('sha256').update(`${date}|${amount}|${description}`).digest('hex').slice(0, 16);
+  return `statement.${digest}`;
+}
+
+/**
+ * Flags expense lines already in the ledger and income lines already counted.
+ * Identical lines within one statement are kept – two ₹20 teas on the same
+ * day are two real transactions.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object[]} lines - Staged lines; `duplicate` is set in place.
+ */
+async function markDuplicates(ledgerId, lines) {
+  const expenses = lines.filter(line => line.kind === 'expense');
+  const candidates = expenses.map(line => ({ date: line.date, entry: line }));
+  const existingKeys = await entryStore.findExistingKeys(entriesColl, ledgerId, candidates);
+
+  // OFX FITIDs identify a transaction across statements
+  const refs = expenses.map(line => line.externalId).filter(Boolean);
+  const existingRefs = new Set(refs.length === 0 ? [] : (await entriesColl
+    .find({ userId: ledgerId, externalId: { $in: refs } }, { projection: { externalId: 1 } })
+    .toArray()).map(doc => doc.externalId));
+
+  const incomeDoc = await userIncome.findOne({ userId: ledgerId }, { projection: { income: 1 } });
+
+  lines.forEach((line) => {
+    if (line.kind === 'income') {
+      const [group, key] = incomeMarker(line).split('.');
+      line.duplicate = Boolean(incomeDoc?.income?.[line.date.slice(0, 7)]?.[group]?.[key]);
+      return;
+    }
+    line.duplicate = existingKeys.has(entryStore.duplicateKey(line.date, line)) ||
+      existingRefs.has(line.externalId);
+  });
+}
+
+/**
+ * Public shape of a staged import.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toImportResponse(doc) {
+  const { _id, userId, ...fields } = doc;
+  const included = doc.lines.filter(line => line.include);
+  return {
+    id: _id.toString(),
+    ...fields,
+    counts: {
+      total: doc.lines.length,
+      included: included.length,
+      expenses: included.filter(line => line.kind === 'expense').length,
+      income: included.filter(line => line.kind === 'income').length,
+      duplicates: doc.lines.filter(line => line.duplicate).length
+    }
+  };
+}
+
+/**
+ * Loads an import of the current ledger from the :id param.
+ * @returns {Promise<object|null>}
+ */
+async function findImport(req) {
+  if (!ObjectId.isValid(req.params.id)) return null;
+  return statementImports.findOne({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+}
+
+// POST / – parse and stage a statement for preview
+// Expects: { format: "ofx" | "qfx" | "qif" | "csv", content: "<file text>",
+//            bank?: "hdfc" | "icici" | "sbi" | "axis" (csv), dateOrder?: "DMY" | "MDY" | "YMD" (qif),
+//            credits?: "income" | "ignore" }
+router.post('/', async (req, res) => {
+  const { format, content, bank, dateOrder = 'DMY', credits = 'income' } = req.body || {};
+
+  if (!statementParsers.FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${statementParsers.FORMATS.join(', ')}` });
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({ error: 'content (statement file text) is required' });
+  }
+  if (format === 'csv' && !statementParsers.BANKS.includes(bank)) {
+    return res.status(400).json({ error: `bank must be one of: ${statementParsers.BANKS.join(', ')}` });
+  }
+  if (!statementParsers.DATE_ORDERS.includes(dateOrder)) {
+    return res.status(400).json({ error: `dateOrder must be one of: ${statementParsers.DATE_ORDERS.join(', ')}` });
+  }
+  if (!['income', 'ignore'].includes(credits)) {
+    return res.status(400).json({ error: 'credits must be income or ignore' });
+  }
+
+  let parsed;
+  try {
+    parsed = statementParsers.parseStatement({ format, content, bank, dateOrder });
+  } catch (err) {
+    return res.status(400).json({ error: `could not parse statement: ${err.message}` });
+  }
+  if (parsed.transactions.length === 0) {
+    return res.status(400).json({ error: 'no transactions found in statement', errors: parsed.errors });
+  }
+  if (parsed.transactions.length > MAX_TRANSACTIONS) {
+    return res.status(400).json({ error: `at most ${MAX_TRANSACTIONS} transactions can be imported at once` });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const codes = categoryService.activeCodes(await categoryService.getCategories(userCategories, userId));
+    const rules = await categorizationRules.loadRules(rulesColl, userId);
+    const hasFitid = format === 'ofx' || format === 'qfx';
+
+    const lines = parsed.transactions.map((txn) => {
+      const base = {
+        line: txn.line,
+        date: txn.date,
+        amount: Math.abs(txn.amount),
+        description: txn.description,
+        reference: txn.reference
+      };
+      if (txn.amount > 0) {
+        const source = categorizer.incomeSource(txn.description);
+        // refunds and cashback give money back rather than earn it
+        return { ...base, kind: 'income', source, include: credits === 'income' && source !== 'refund' };
+      }
+      const suggested = categorizer.categorize(txn.description, { codes });
+      const rule = categorizationRules.matchRule(rules, { item: txn.description, merchant: suggested.merchant }, codes);
+      const merchant = rule?.merchant || suggested.merchant;
+      return {
+        ...base,
+        kind: 'expense',
+        code: rule ? rule.code : suggested.code,
+        confidence: rule ? 1 : suggested.confidence,
+        merchant,
+        ...(rule && { ruleId: rule._id }),
+        item: (merchant || txn.description).slice(0, 80) || 'Bank transaction',
+        externalId: hasFitid ? txn.reference : null,
+        include: true
+      };
+    });
+
+    await markDuplicates(userId, lines);
+    lines.forEach((line) => { if (line.duplicate) line.include = false; });
+
+    const now = new Date();
+    const doc = {
+      userId,
+      format,
+      bank: format === 'csv' ? bank : null,
+      status: 'preview',
+      lines,
+      errors: parsed.errors,
+      createdBy: new ObjectId(req.userId),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + PREVIEW_TTL_MS)
+    };
+    const { insertedId } = await statementImports.insertOne(doc);
+
+    res.status(201).json({ import: toImportResponse({ _id: insertedId, ...doc }) });
+  } catch (err) {
+    console.error('Failed to stage statement import:', err);
+    res.status(500).json({ error: 'failed to stage statement import' });
+  }
+});
+
+// GET / – recent statement imports (without their lines)
+router.get('/', async (req, res) => {
+  try {
+    const docs = await statementImports
+      .find({ userId: req.ledgerId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
+    res.json({
+      imports: docs.map((doc) => {
+        const { lines, errors, ...summary } = toImportResponse(doc);
+        return summary;
+      })
+    });
+  } catch (err) {
+    console.error('Failed to fetch statement imports:', err);
+    res.status(500).json({ error: 'failed to fetch statement imports' });
+  }
+});
+
+// GET /:id – a staged or committed import with all its lines
+router.get('/:id', async (req, res) => {
+  try {
+    const doc = await findImport(req);
+    if (!doc) return res.status(404).json({ error: 'statement import not found' });
+    res.json({ import: toImportResponse(doc) });
+  } catch (err) {
+    console.error('Failed to fetch statement import:', err);
+    res.status(500).json({ error: 'failed to fetch statement import' });
+  }
+});
+
+// POST /:id/commit – write the included lines
+// Expects (optional): { overrides: [{ line, include?, kind?: "expense" | "income", code?, item?, source? }],
+//                       account?: "<account name>" }
+// Lines that are already in the ledger are skipped even when included.
+// `account` is set on every expense, e.g. the bank account the statement is for,
+// and links the income sources credits are added to. A source is paid into one
+// account, so a credit to a source already linked to another account that month is a 409.
+router.post('/:id/commit', async (req, res) => {
+  const { overrides = [], account } = req.body || {};
+  if (!Array.isArray(overrides)) {
+    return res.status(400).json({ error: 'overrides must be an array' });
+  }
+  if (account !== undefined &&
+      (typeof account !== 'string' || account.trim() === '' || account.length > accountStore.MAX_NAME_LENGTH)) {
+    return res.status(400).json({ error: `account must be a non-empty string (max ${accountStore.MAX_NAME_LENGTH} chars)` });
+  }
+
+  try {
+    const userId = req.ledgerId;
+    const doc = await findImport(req);
+    if (!doc) return res.status(404).json({ error: 'statement import not found' });
+    if (doc.status !== 'preview') {
+      return res.status(409).json({ error: `statement import is already ${doc.status}` });
+    }
+
+    // apply the user's corrections on top of the suggestions
+    const lines = doc.lines.map(line => ({ ...line }));
+    const byLine = new Map(lines.map(line => [line.line, line]));
+    const codes = categoryService.activeCodes(await categoryService.getCategories(userCategories, userId));
+    for (const override of overrides) {
+      const unknown = Object.keys(override || {}).filter(key => !OVERRIDE_FIELDS.includes(key));
+      const line = byLine.get(override?.line);
+      if (!line) return res.status(400).json({ error: `unknown line: ${override?.line}` });
+      if (unknown.length > 0) return res.status(400).json({ error: `unknown override fields: ${unknown.join(', ')}` });
+      if (override.kind !== undefined && !['expense', 'income'].includes(override.kind)) {
+        return res.status(400).json({ error: `line ${line.line}: kind must be expense or income` });
+      }
+      if (override.source !== undefined && !/^[A-Za-z0-9_ -]{1,40}$/.test(override.source)) {
+        return res.status(400).json({ error: `line ${line.line}: source must be 1-40 letters, digits, spaces, "-" or "_"` });
+      }
+      Object.assign(line, override);
+      if (override.code !== undefined) delete line.ruleId;
+      if (line.kind === 'expense') {
+        line.code = line.code || categorizer.FALLBACK_CODE;
+        line.item = line.item || line.description.slice(0, 80);
+      } else {
+        line.source = line.source || 'other';
+      }
+    }
+
+    const included = lines.filter(line => line.include);
+    for (const line of included.filter(({ kind }) => kind === 'expense')) {
+      const invalid = validateEntry({ code: line.code, amount: line.amount, item: line.item }, { codes });
+      if (invalid) return res.status(400).json({ error: `line ${line.line}: ${invalid}` });
+    }
+    if (req.scopes && included.some(line => line.kind === 'income') && !req.scopes.includes('income:write')) {
+      return res.status(403).json({ error: 'insufficient scope', required: ['income:write'] });
+    }
+
+    let incomeAccount;
+    if (account) {
+      [{ account: incomeAccount }] = await accountStore.attachAccounts(accountsColl, userId, [{ account: account.trim() }]);
+      const incomeDoc = await userIncome.findOne({ userId }, { projection: { income: 1 } });
+      const linkedTo = line => incomeDoc?.income?.[line.date.slice(0, 7)]?.accounts?.[line.source];
+      const conflict = included
+        .filter(line => line.kind === 'income' && !line.duplicate)
+        .find(line => linkedTo(line) && accountStore.accountKey(linkedTo(line)) !== accountStore.accountKey(incomeAccount));
+      if (conflict) {
+        return res.status(409).json({
+          error: `income source "${conflict.source}" for ${conflict.date.slice(0, 7)} is already linked to account "${linkedTo(conflict)}"`
+        });
+      }
+    }
+
+    // claim the import so two concurrent commits can't both write
+    const claimed = await statementImports.updateOne(
+      { _id: doc._id, status: 'preview' },
+      { $set: { status: 'committing', lines } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ error: 'statement import is already being committed' });
+    }
+
+    try {
+      // the ledger may have changed since the preview
+      await markDuplicates(userId, included);
+      const addedBy = new ObjectId(req.userId);
+      const importId = doc._id.toString();
+
+      const expenses = included.filter(line => line.kind === 'expense' && !line.duplicate);
+      const dated = expenses.map(line => ({
+        date: line.date,
+        entry: {
+          ...buildEntry({
+            code: line.code, amount: line.amount, item: line.item, notes: line.description, ...(account && { account })
+          }, addedBy),
+          ...(line.merchant ? { merchant: line.merchant } : {}),
+          ...(line.externalId ? { externalId: line.externalId } : {}),
+          ...(line.ruleId ? { ruleId: line.ruleId } : {}),
+          importId
+        }
+      }));
+      await merchantStore.attachMerchants(merchantsColl, userId, dated.map(({ entry }) => entry));
+      await accountStore.attachAccounts(accountsColl, userId, dated.map(({ entry }) => entry));
+      const imported = await entryStore.insertDatedEntries(entriesColl, userId, dated);
+      const changes = dated.map(({ date, entry }) => ({
+        entity: 'entry', entityId: entry.id, action: 'create', after: { ...entry, date }
+      }));
+      await categorizationRules.recordHits(rulesColl, expenses.filter(line => line.ruleId).map(line => ({ _id: line.ruleId })));
+
+      let incomeAdded = 0;
+      for (const line of included.filter(({ kind }) => kind === 'income')) {
+        const month = line.date.slice(0, 7);
+        const added = await incomeStore.addToSource(userIncome, userId, {
+          month,
+          source: line.source,
+          amount: line.amount,
+          marker: incomeMarker(line),
+          account: incomeAccount
+        });
+        if (added) {
+          incomeAdded++;
+          changes.push({ entity: 'income', entityId: month, action: 'update', ...added });
+        }
+      }
+      await auditLog.record(auditColl, userId, auditLog.requestContext(req, 'statement'), changes);
+
+      const result = { expenses: imported, income: incomeAdded, skippedDuplicates: included.filter(line => line.duplicate).length };
+      await statementImports.updateOne(
+        { _id: doc._id },
+        { $set: { status: 'committed', committedAt: new Date(), result }, $unset: { expiresAt: '' } }
+      );
+
+      res.json({ message: 'statement imported', importId, ...result });
+    } catch (err) {
+      // release the claim – a retry re-checks duplicates, so partial writes aren't repeated
+      await statementImports.updateOne({ _id: doc._id }, { $set: { status: 'preview' } });
+      throw err;
+    }
+  } catch (err) {
+    console.error('Failed to commit statement import:', err);
+    res.status(500).json({ error: 'failed to commit statement import' });
+  }
+});
+
+// DELETE /:id – discard a preview
+router.delete('/:id', async (req, res) => {
+  try {
+    const doc = await findImport(req);
+    if (!doc || doc.status !== 'preview') return res.status(404).json({ error: 'statement preview not found' });
+
+    await statementImports.deleteOne({ _id: doc._id, status: 'preview' });
+    res.json({ message: 'statement preview discarded' });
+  } catch (err) {
+    console.error('Failed to discard statement import:', err);
+    res.status(500).json({ error: 'failed to discard statement import' });
+  }
+});
+
+module.exports = router;
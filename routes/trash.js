@@ -0,0 +1,203 @@
+/**
+ * /api/v1/trash – deleted entries, budgets and income
+ * ---------------------------------------------------
+ * Deletes in entries.js, budgets.js and income.js move data here instead of
+ * dropping it (see services/trashStore.js). Items are kept for 30 days and can
+ * be restored by id or with the undo token from the delete response.
+ * Seeing or restoring an item needs the scope of what it holds, e.g.
+ * budgets:write to restore a budget.
+ */
+const express = require('express');
+const router  = express.Router();
+const { MongoClient, ObjectId } = require('mongodb');
+const requireAuth = require('../middlewares/requireAuth');
+const resolveLedger = require('../middlewares/resolveLedger');
+const trashStore = require('../services/trashStore');
+const incomeStore = require('../services/incomeStore');
+const auditLog = require('../services/auditLog');
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+let trashColl;
+let entriesColl;
+let userBudgets;
+let userIncome;
+let auditColl;
+let dbReady = false;
+
+// MongoDB setup
+async function initDb() {
+  if (!dbReady) {
+    await client.connect();
+    const db = client.db(process.env.MONGO_DB || 'pf_dev');
+    trashColl = db.collection('trash');
+    entriesColl = db.collection('entries');
+    userBudgets = db.collection('user_budgets');
+    userIncome = db.collection('user_income');
+    auditColl = db.collection('audit_log');
+    await trashStore.ensureIndexes(trashColl);
+    dbReady = true;
+  }
+}
+initDb().catch(console.error);
+
+router.use(requireAuth);
+router.use(resolveLedger);   // the personal or the X-Household-Id ledger's trash
+
+// Middleware to ensure DB is ready before handling requests
+router.use(async (req, res, next) => {
+  if (!dbReady) {
+    await initDb().catch(console.error);
+    if (!dbReady) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+  }
+  next();
+});
+
+/**
+ * Trash kinds the request's token may access (all of them for session logins).
+ * @param {import('express').Request} req
+ * @param {'read'|'write'} access
+ * @returns {string[]}
+ */
+function allowedKinds(req, access) {
+  return Object.keys(trashStore.KINDS)
+    .filter(kind => !req.scopes || req.scopes.includes(`${trashStore.KINDS[kind]}:${access}`));
+}
+
+// month-keyed documents that budget / income items are restored into
+// (toResponse: the audited shape of a restored value)
+const MONTH_TARGETS = {
+  budget: { collection: () => userBudgets, field: 'budgets', entity: 'budget', toResponse: value => value },
+  income: { collection: () => userIncome, field: 'income', entity: 'income', toResponse: incomeStore.toMonthResponse }
+};
+
+/**
+ * Puts a trash item back and removes it from the trash.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} item - Trash document of req.ledgerId.
+ */
+async function restoreItem(req, res, item) {
+  if (!allowedKinds(req, 'write').includes(item.kind)) {
+    return res.status(403).json({ error: 'insufficient scope', required: [`${trashStore.KINDS[item.kind]}:write`] });
+  }
+  const userId = req.ledgerId;
+
+  const target = MONTH_TARGETS[item.kind];
+  if (target) {
+    // a budget / income set for the month since the delete is not overwritten
+    const path = `${target.field}.${item.payload.month}`;
+    const existing = await target.collection().findOne({ userId, [path]: { $exists: true } }, { projection: { _id: 1 } });
+    if (existing) {
+      return res.status(409).json({ error: `${item.label} already exists; delete it before restoring` });
+    }
+  }
+
+  // claim the item so two concurrent restores can't both write
+  const claimed = await trashColl.findOneAndDelete({ _id: item._id, userId });
+  if (!claimed) return res.status(404).json({ error: 'trash item not found' });
+
+  if (target) {
+    const { month, value } = claimed.payload;
+    await target.collection().updateOne(
+      { userId },
+      { $set: { [`${target.field}.${month}`]: value } },
+      { upsert: true }
+    );
+    await auditLog.record(auditColl, userId, auditLog.requestContext(req), [
+      { entity: target.entity, entityId: month, action: 'restore', after: target.toResponse(value) }
+    ]);
+    return res.json({ message: `${claimed.label} restored`, kind: claimed.kind, month });
+  }
+
+  // entries re-added since the delete (same id) are kept as they are
+  let restored;
+  try {
+    ({ insertedCount: restored } = await entriesColl.insertMany(claimed.payload, { ordered: false }));
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    restored = err.insertedCount ?? 0;
+  }
+  await auditLog.record(auditColl, userId, auditLog.requestContext(req), claimed.payload.map(after => ({
+    entity: 'entry', entityId: after.id, action: 'restore', after
+  })));
+  res.json({ message: `${claimed.label} restored`, kind: claimed.kind, restored });
+}
+
+// GET / – items in the trash, newest first
+// Query: kind=entries|budget|income (optional)
+router.get('/', async (req, res) => {
+  const { kind } = req.query;
+  if (kind !== undefined && !trashStore.KINDS[kind]) {
+    return res.status(400).json({ error: `kind must be one of: ${Object.keys(trashStore.KINDS).join(', ')}` });
+  }
+
+  try {
+    const kinds = allowedKinds(req, 'read').filter(allowed => !kind || allowed === kind);
+    const items = await trashColl
+      .find({ userId: req.ledgerId, kind: { $in: kinds } })
+      .sort({ deletedAt: -1 })
+      .toArray();
+    res.json({
+      retentionDays: trashStore.TRASH_RETENTION_DAYS,
+      items: items.map(item => trashStore.toTrashResponse(item))
+    });
+  } catch (err) {
+    console.error('Failed to fetch trash:', err);
+    res.status(500).json({ error: 'failed to fetch trash' });
+  }
+});
+
+// GET /:id – one trash item with the entries / budget / income it holds
+router.get('/:id', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'trash item not found' });
+
+  try {
+    const item = await trashColl.findOne({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+    if (!item || !allowedKinds(req, 'read').includes(item.kind)) {
+      return res.status(404).json({ error: 'trash item not found' });
+    }
+    res.json({ item: trashStore.toTrashResponse(item, { withPayload: true }) });
+  } catch (err) {
+    console.error('Failed to fetch trash item:', err);
+    res.status(500).json({ error: 'failed to fetch trash item' });
+  }
+});
+
+// POST /undo – restore what a delete removed
+// Expects: { token: "<undoToken from the delete response>" }
+router.post('/undo', async (req, res) => {
+  const { token } = req.body || {};
+  if (typeof token !== 'string' || !/^[0-9a-f]{32}$/.test(token)) {
+    return res.status(400).json({ error: 'a valid undo token is required' });
+  }
+
+  try {
+    const item = await trashColl.findOne({ undoToken: token, userId: req.ledgerId });
+    if (!item) return res.status(404).json({ error: 'nothing to undo for this token' });
+    await restoreItem(req, res, item);
+  } catch (err) {
+    console.error('Failed to undo delete:', err);
+    res.status(500).json({ error: 'failed to undo delete' });
+  }
+});
+
+// POST /:id/restore – put a trash item back
+router.post('/:id/restore', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'trash item not found' });
+
+  try {
+    const item = await trashColl.findOne({ _id: new ObjectId(req.params.id), userId: req.ledgerId });
+    if (!item) return res.status(404).json({ error: 'trash item not found' });
+    await restoreItem(req, res, item);
+  } catch (err) {
+    console.error('Failed to restore trash item:', err);
+    res.status(500).json({ error: 'failed to restore trash item' });
+  }
+});
+
+module.exports = router;
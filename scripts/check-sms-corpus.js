@@ -0,0 +1,40 @@
+/**
+ * Runs the SMS parser over the sample corpus in data/smsSamples.json
+ * ------------------------------------------------------------------
+ * Each sample lists the fields the parser must extract (`expected: null`
+ * means the message must be rejected). Run after changing
+ * services/smsParser.js or adding samples:
+ *
+ *   npm run check:sms
+ */
+const samples = require('../data/smsSamples.json');
+const { parseSms } = require('../services/smsParser');
+
+let failures = 0;
+
+samples.forEach(({ format, text, expected }) => {
+  const { transaction } = parseSms(text);
+  const problems = [];
+
+  if (expected === null) {
+    if (transaction) problems.push('expected no transaction');
+  } else if (!transaction) {
+    problems.push('no transaction parsed');
+  } else {
+    Object.entries(expected).forEach(([field, value]) => {
+      if (transaction[field] !== value) {
+        problems.push(`${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(transaction[field])}`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    failures++;
+    console.log(`✗ ${format}\n    ${problems.join('\n    ')}`);
+  } else {
+    console.log(`✓ ${format}`);
+  }
+});
+
+console.log(`\n${samples.length - failures}/${samples.length} samples parsed as expected`);
+process.exit(failures > 0 ? 1 : 0);
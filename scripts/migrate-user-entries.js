@@ -0,0 +1,127 @@
+/**
+ * Migrates legacy nested `user_entries` documents to the `entries` collection
+ * --------------------------------------------------------------------------
+ * Legacy shape (one document per ledger):
+ *   { userId, "2024-05": { "03": { entries: [ { id, code, amount, item, ... } ] } } }
+ * New shape (one document per entry):
+ *   { userId, id, date: "2024-05-03", code, amount, item, ..., createdAt, updatedAt }
+ *
+ * Idempotent: entries are upserted on (userId, id), so the script can be
+ * re-run after a partial failure. Entries without an id (e.g. added via
+ * chat before ids were server-generated) or with a repeated one get an id
+ * derived from their position in the legacy document, so a re-run assigns
+ * the same id again instead of inserting a second copy.
+ *
+ * USAGE
+ *   node scripts/migrate-user-entries.js            # migrate, keep user_entries
+ *   node scripts/migrate-user-entries.js --dry-run  # only report counts
+ *   node scripts/migrate-user-entries.js --drop     # delete each legacy doc once migrated
+ */
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { createHash } = require('crypto');
+const entryStore = require('../services/entryStore');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const DROP = process.argv.includes('--drop');
+const BATCH_SIZE = 500;
+
+/**
+ * Stable UUID-shaped id for a legacy entry that has no usable id of its own.
+ * @param {object} legacy - Document from `user_entries`.
+ * @param {string} month - YYYY-MM key.
+ * @param {string} day - Day key.
+ * @param {number} index - Position in the day's entries array.
+ * @param {any} originalId - The entry's own (missing or repeated) id.
+ * @returns {string}
+ */
+function derivedId(legacy, month, day, index, originalId) {
+  const hex = createHash('sha256')
+    .update(`${legacy.userId}|${month}|${day}|${index}|${originalId ?? ''}`)
+    .digest('hex');
+  // name-based layout: version 5, RFC 4122 variant
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+/**
+ * Flattens one legacy document into per-entry documents.
+ * @param {object} legacy - Document from `user_entries`.
+ * @param {Date} migratedAt - Fallback timestamp for entries without one.
+ * @returns {object[]}
+ */
+function flattenLegacyDoc(legacy, migratedAt) {
+  const docs = [];
+  const seenIds = new Set();
+
+  Object.entries(legacy)
+    .filter(([key]) => /^\d{4}-\d{2}$/.test(key))
+    .forEach(([month, days]) => {
+      Object.entries(days || {}).forEach(([day, dayData]) => {
+        (dayData?.entries || []).forEach((entry, index) => {
+          // legacy ids came from clients and may be missing or repeated
+          const id = entry.id && !seenIds.has(entry.id) ? entry.id : derivedId(legacy, month, day, index, entry.id);
+          seenIds.add(id);
+          docs.push({
+            ...entry,
+            id,
+            userId: legacy.userId,
+            date: `${month}-${day.padStart(2, '0')}`,
+            createdAt: entry.createdAt || migratedAt,
+            updatedAt: entry.updatedAt || migratedAt
+          });
+        });
+      });
+    });
+
+  return docs;
+}
+
+async function main() {
+  const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017');
+  await client.connect();
+  const db = client.db(process.env.MONGO_DB || 'pf_dev');
+  const legacyColl = db.collection('user_entries');
+  const entriesColl = db.collection('entries');
+
+  if (!DRY_RUN) await entryStore.ensureIndexes(entriesColl);
+
+  const migratedAt = new Date();
+  let ledgers = 0;
+  let migrated = 0;
+
+  for await (const legacy of legacyColl.find({})) {
+    const docs = flattenLegacyDoc(legacy, migratedAt);
+    ledgers++;
+
+    if (!DRY_RUN) {
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = docs.slice(i, i + BATCH_SIZE).map((doc) => ({
+          updateOne: {
+            filter: { userId: doc.userId, id: doc.id },
+            update: { $setOnInsert: doc },
+            upsert: true
+          }
+        }));
+        await entriesColl.bulkWrite(batch, { ordered: false });
+      }
+      if (DROP) await legacyColl.deleteOne({ _id: legacy._id });
+    }
+
+    migrated += docs.length;
+    console.log(`${DRY_RUN ? '[dry-run] ' : ''}ledger ${legacy.userId}: ${docs.length} entries`);
+  }
+
+  console.log(`${DRY_RUN ? '[dry-run] ' : ''}Done – ${migrated} entries from ${ledgers} ledger(s)${DROP && !DRY_RUN ? ', legacy documents dropped' : ''}.`);
+  await client.close();
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,311 @@
+/**
+ * Account store – bank, cash, wallet and credit card balances
+ * -----------------------------------------------------------
+ * Each ledger keeps one `accounts` document per place money sits:
+ *
+ *   { _id, userId, name, key, type: "bank" | "cash" | "wallet" | "credit_card",
+ *     openingBalance, openingDate, creditLimit?, archived,
+ *     lastReconciled?: { date, statementBalance, difference },
+ *     createdBy, createdAt, updatedAt }
+ *
+ * Entries and income link to an account through their `account` name (income
+ * per month or per source, see services/incomeStore.js; names are matched
+ * ignoring case and spacing, see accountKey()), so every insert path
+ * – chat, SMS, imports, recurring rules – can name one. Money moved between
+ * accounts lives in `account_transfers` and statement checks in
+ * `account_reconciliations`; neither touches entries or income, so transfers
+ * never count as spending or income.
+ *
+ * Balances are "money you have": a credit card's is negative while something
+ * is owed. From the start of openingDate on, an account's balance is
+ *
+ *   openingBalance + income − entries + transfers in − transfers out + adjustments
+ *
+ * where a month's income counts on its first day and adjustments are the
+ * differences booked by reconciliations made with `adjust`.
+ *
+ * Like services/entryStore.js, functions take their collection(s) as first argument.
+ */
+
+const { incomeByAccount } = require('./incomeStore');
+
+const ACCOUNT_TYPES = ['bank', 'cash', 'wallet', 'credit_card'];
+const MAX_NAME_LENGTH = 80;
+
+const round = value => Math.round(value * 100) / 100;
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Creates the indexes used below. Safe to call repeatedly.
+ * @param {{accounts: Collection, transfers: Collection, reconciliations: Collection}} colls
+ */
+async function ensureIndexes({ accounts, transfers, reconciliations }) {
+  await accounts.createIndex({ userId: 1, key: 1 }, { unique: true });
+  await transfers.createIndex({ userId: 1, date: -1 });
+  await transfers.createIndex({ userId: 1, fromAccountId: 1 });
+  await transfers.createIndex({ userId: 1, toAccountId: 1 });
+  await reconciliations.createIndex({ userId: 1, accountId: 1, date: -1 });
+}
+
+/**
+ * Lookup key of an account name: "HDFC  Credit card " → "hdfc credit card".
+ * @param {string} name
+ * @returns {string}
+ */
+function accountKey(name) {
+  return name.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Display name from free text: trimmed and single-spaced.
+ * @param {string} name
+ * @returns {string}
+ */
+function displayName(name) {
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Regex matching the `account` field of entries / income linked to an account.
+ * @param {string} name
+ * @returns {RegExp}
+ */
+function namePattern(name) {
+  return new RegExp(`^\\s*${accountKey(name).split(' ').map(escapeRegex).join('\\s+')}\\s*$`, 'i');
+}
+
+/**
+ * The day before a YYYY-MM-DD date.
+ * @param {string} date
+ * @returns {string}
+ */
+function previousDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Public shape of an account, with its balance when given.
+ * @param {object} doc
+ * @param {{balance: number}} [balance] - From computeBalances().
+ * @returns {object}
+ */
+function toAccountResponse({ _id, userId, key, ...account }, balance) {
+  return {
+    id: _id.toString(),
+    ...account,
+    ...(balance && {
+      balance: balance.balance,
+      ...(account.creditLimit !== undefined && { availableCredit: round(account.creditLimit + balance.balance) })
+    })
+  };
+}
+
+/**
+ * Public shape of a transfer.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toTransferResponse({ _id, userId, fromAccountId, toAccountId, ...transfer }) {
+  return { id: _id.toString(), fromAccountId: fromAccountId.toString(), toAccountId: toAccountId.toString(), ...transfer };
+}
+
+/**
+ * Public shape of a reconciliation.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toReconciliationResponse({ _id, userId, accountId, ...reconciliation }) {
+  return { id: _id.toString(), accountId: accountId.toString(), ...reconciliation };
+}
+
+/**
+ * Replaces each item's `account` with the linked account's exact name, so
+ * "hdfc savings" is stored as "HDFC Savings". Names without an account stay
+ * as they are (a plain label until an account of that name exists).
+ * @param {import('mongodb').Collection} accounts
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object[]} items - Entries or income months; mutated in place.
+ * @returns {Promise<object[]>} The same items.
+ */
+async function attachAccounts(accounts, ledgerId, items) {
+  const keys = [...new Set(items
+    .filter(item => typeof item.account === 'string' && item.account.trim())
+    .map(item => accountKey(item.account)))];
+  if (keys.length === 0) return items;
+
+  const docs = await accounts.find({ userId: ledgerId, key: { $in: keys } }, { projection: { key: 1, name: 1 } }).toArray();
+  const names = new Map(docs.map(doc => [doc.key, doc.name]));
+  items.forEach((item) => {
+    if (typeof item.account !== 'string') return;
+    const name = names.get(accountKey(item.account));
+    if (name) item.account = name;
+  });
+  return items;
+}
+
+/**
+ * Balances of accounts at the end of `asOf`, with what makes them up.
+ * @param {{entries: Collection, income: Collection, transfers: Collection, reconciliations: Collection}} colls
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object[]} accountDocs - Account documents of the ledger.
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {Promise<Map<string, {opening: number, income: number, spending: number, transfersIn: number,
+ *   transfersOut: number, adjustments: number, balance: number}>>} Keyed by account id.
+ */
+async function computeBalances({ entries, income, transfers, reconciliations }, ledgerId, accountDocs, asOf) {
+  const balances = new Map();
+  const active = accountDocs.filter(doc => doc.openingDate <= asOf);
+  accountDocs.forEach((doc) => {
+    balances.set(doc._id.toString(), {
+      opening: doc.openingDate <= asOf ? doc.openingBalance : 0,
+      income: 0, spending: 0, transfersIn: 0, transfersOut: 0, adjustments: 0
+    });
+  });
+  if (active.length > 0) {
+    const byKey = new Map(active.map(doc => [doc.key, balances.get(doc._id.toString())]));
+    const window = doc => ({ $gte: doc.openingDate, $lte: asOf });
+
+    const spent = await entries.aggregate([
+      { $match: { userId: ledgerId, $or: active.map(doc => ({ account: namePattern(doc.name), date: window(doc) })) } },
+      { $group: { _id: { $toLower: { $trim: { input: '$account' } } }, total: { $sum: '$amount' } } }
+    ]).toArray();
+    spent.forEach((row) => {
+      const balance = byKey.get(accountKey(row._id));
+      if (balance) balance.spending += row.total;
+    });
+
+    const incomeDoc = await income.findOne({ userId: ledgerId }, { projection: { income: 1 } });
+    Object.entries(incomeDoc?.income || {}).forEach(([month, record]) => {
+      const date = `${month}-01`;
+      incomeByAccount(record).forEach((amount, name) => {
+        const doc = active.find(({ key }) => key === accountKey(name));
+        if (doc && date >= doc.openingDate && date <= asOf) balances.get(doc._id.toString()).income += amount;
+      });
+    });
+
+    const moved = await transfers.find({
+      userId: ledgerId,
+      date: { $lte: asOf },
+      $or: [{ fromAccountId: { $in: active.map(doc => doc._id) } }, { toAccountId: { $in: active.map(doc => doc._id) } }]
+    }).toArray();
+    moved.forEach((transfer) => {
+      const from = active.find(doc => doc._id.equals(transfer.fromAccountId));
+      const to = active.find(doc => doc._id.equals(transfer.toAccountId));
+      if (from && transfer.date >= from.openingDate) balances.get(from._id.toString()).transfersOut += transfer.amount;
+      if (to && transfer.date >= to.openingDate) balances.get(to._id.toString()).transfersIn += transfer.amount;
+    });
+
+    const adjusted = await reconciliations.find({
+      userId: ledgerId,
+      accountId: { $in: active.map(doc => doc._id) },
+      adjustment: { $ne: 0 },
+      date: { $lte: asOf }
+    }).toArray();
+    adjusted.forEach((reconciliation) => {
+      const doc = active.find(({ _id }) => _id.equals(reconciliation.accountId));
+      if (reconciliation.date >= doc.openingDate) balances.get(doc._id.toString()).adjustments += reconciliation.adjustment;
+    });
+  }
+
+  balances.forEach((balance) => {
+    Object.keys(balance).forEach((key) => { balance[key] = round(balance[key]); });
+    balance.balance = round(balance.opening + balance.income - balance.spending +
+      balance.transfersIn - balance.transfersOut + balance.adjustments);
+  });
+  return balances;
+}
+
+/**
+ * Everything that moved an account's balance between two dates, oldest
+ * first, each with the running balance after it.
+ * @param {{entries: Collection, income: Collection, transfers: Collection, reconciliations: Collection}} colls
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} account - Account document.
+ * @param {object[]} accountDocs - All accounts of the ledger (transfer counterparts).
+ * @param {{from: string, to: string}} range - Inclusive YYYY-MM-DD.
+ * @returns {Promise<{openingBalance: number, closingBalance: number, transactions: object[]}>}
+ *   openingBalance is the balance at the start of `from`.
+ */
+async function accountLedger(colls, ledgerId, account, accountDocs, { from, to }) {
+  const start = from > account.openingDate ? from : account.openingDate;
+  const before = start > account.openingDate
+    ? (await computeBalances(colls, ledgerId, [account], previousDay(start))).get(account._id.toString()).balance
+    : account.openingBalance;
+  if (start > to) return { openingBalance: before, closingBalance: before, transactions: [] };
+
+  const names = new Map(accountDocs.map(doc => [doc._id.toString(), doc.name]));
+  const items = [];
+
+  const spent = await colls.entries
+    .find({ userId: ledgerId, account: namePattern(account.name), date: { $gte: start, $lte: to } })
+    .sort({ date: 1, createdAt: 1 })
+    .toArray();
+  spent.forEach((entry) => {
+    items.push({ date: entry.date, type: 'expense', amount: -entry.amount, description: entry.item, entryId: entry.id });
+  });
+
+  const incomeDoc = await colls.income.findOne({ userId: ledgerId }, { projection: { income: 1 } });
+  Object.entries(incomeDoc?.income || {}).forEach(([month, record]) => {
+    const date = `${month}-01`;
+    if (date < start || date > to) return;
+    const amount = [...incomeByAccount(record)]
+      .filter(([name]) => accountKey(name) === account.key)
+      .reduce((sum, [, part]) => sum + part, 0);
+    if (amount > 0) items.push({ date, type: 'income', amount: round(amount), description: `income for ${month}`, month });
+  });
+
+  const moved = await colls.transfers
+    .find({ userId: ledgerId, date: { $gte: start, $lte: to }, $or: [{ fromAccountId: account._id }, { toAccountId: account._id }] })
+    .sort({ date: 1, createdAt: 1 })
+    .toArray();
+  moved.forEach((transfer) => {
+    const outgoing = transfer.fromAccountId.equals(account._id);
+    const other = names.get((outgoing ? transfer.toAccountId : transfer.fromAccountId).toString()) || 'deleted account';
+    items.push({
+      date: transfer.date,
+      type: outgoing ? 'transfer_out' : 'transfer_in',
+      amount: outgoing ? -transfer.amount : transfer.amount,
+      description: transfer.notes || `${outgoing ? 'to' : 'from'} ${other}`,
+      transferId: transfer._id.toString()
+    });
+  });
+
+  const adjusted = await colls.reconciliations
+    .find({ userId: ledgerId, accountId: account._id, adjustment: { $ne: 0 }, date: { $gte: start, $lte: to } })
+    .toArray();
+  adjusted.forEach((reconciliation) => {
+    items.push({
+      date: reconciliation.date,
+      type: 'adjustment',
+      amount: reconciliation.adjustment,
+      description: 'reconciliation adjustment',
+      reconciliationId: reconciliation._id.toString()
+    });
+  });
+
+  // stable sort keeps entries and transfers of one day in creation order
+  items.sort((a, b) => a.date.localeCompare(b.date));
+  let balance = before;
+  const transactions = items.map((item) => {
+    balance = round(balance + item.amount);
+    return { ...item, balance };
+  });
+  return { openingBalance: before, closingBalance: balance, transactions };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  MAX_NAME_LENGTH,
+  ensureIndexes,
+  accountKey,
+  displayName,
+  namePattern,
+  previousDay,
+  toAccountResponse,
+  toTransferResponse,
+  toReconciliationResponse,
+  attachAccounts,
+  computeBalances,
+  accountLedger
+};
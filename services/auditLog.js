@@ -0,0 +1,179 @@
+/**
+ * Audit log – who changed what, when and from where
+ * -------------------------------------------------
+ * Every route that writes ledger data appends one record per changed record
+ * to the `audit_log` collection:
+ *
+ *   { _id, userId, entity, entityId, action, changes: { field: { from, to } },
+ *     actor: { userId, tokenId? }, source, message?, at }
+ *
+ * `userId` is the ledger id (personal or household), `entityId` the record's
+ * own id: the entry UUID, "YYYY-MM" for budgets and income, the code for
+ * categories and the ObjectId string otherwise. Creates have only `to` values,
+ * deletes only `from` values.
+ *
+ * `source` is the channel: the server sets `import`, `statement` and
+ * `recurring`; clients may declare `chat`, `receipt` or `sms` with an
+ * X-Request-Source header (the chat route forwards the user's message in
+ * X-Source-Message), everything else is `api`.
+ *
+ * Records are only ever inserted. Writing them must never fail the request
+ * that made the change, so errors are logged and swallowed.
+ */
+const { ObjectId } = require('mongodb');
+
+const ENTITIES = [
+  'entry', 'budget', 'income', 'category', 'recurring_rule', 'categorization_rule', 'merchant', 'account', 'transfer'
+];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'merge'];
+const SOURCES = ['api', 'chat', 'receipt', 'sms', 'import', 'statement', 'recurring'];
+// the ones a client may declare with X-Request-Source
+const CLIENT_SOURCES = ['api', 'chat', 'receipt', 'sms'];
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_PAGE_SIZE = 500;
+// bookkeeping that changes on every write and says nothing about the record
+const IGNORED_FIELDS = ['_id', 'userId', 'createdAt', 'updatedAt', 'updatedBy'];
+
+/**
+ * Creates the indexes used by GET /audit. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} audit
+ */
+async function ensureIndexes(audit) {
+  await audit.createIndex({ userId: 1, _id: -1 });
+  await audit.createIndex({ userId: 1, entity: 1, entityId: 1, _id: -1 });
+}
+
+/**
+ * Field-level differences between two versions of a record.
+ * @param {object|null} before - null for a create.
+ * @param {object|null} after - null for a delete.
+ * @returns {Object<string, {from?: any, to?: any}>}
+ */
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes[key] = {
+      ...(from !== undefined && { from }),
+      ...(to !== undefined && { to })
+    };
+  });
+  return changes;
+}
+
+/**
+ * Who is making the change and through which channel.
+ * @param {import('express').Request} req
+ * @param {string} [source] - Server-side channel (import, statement…); overrides the header.
+ * @returns {{actor: object, source: string, message?: string}}
+ */
+function requestContext(req, source) {
+  const declared = req.get('x-request-source');
+  const context = {
+    actor: {
+      userId: new ObjectId(req.userId),
+      ...(req.tokenId && { tokenId: new ObjectId(req.tokenId) })
+    },
+    source: source || (CLIENT_SOURCES.includes(declared) ? declared : 'api')
+  };
+  const message = req.get('x-source-message');
+  if (message) {
+    try {
+      context.message = decodeURIComponent(message).slice(0, MAX_MESSAGE_LENGTH);
+    } catch {
+      context.message = message.slice(0, MAX_MESSAGE_LENGTH);
+    }
+  }
+  return context;
+}
+
+/**
+ * Appends audit records. Updates that changed nothing are skipped.
+ * @param {import('mongodb').Collection} audit
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{actor: object|null, source: string, message?: string}} context - From requestContext().
+ * @param {{entity: string, entityId: string, action: string, before?: object|null, after?: object|null}[]} changes
+ */
+async function record(audit, ledgerId, context, changes) {
+  try {
+    const at = new Date();
+    const records = changes
+      .map(({ entity, entityId, action, before = null, after = null }) => ({
+        userId: ledgerId,
+        entity,
+        entityId: String(entityId),
+        action,
+        changes: diff(before, after),
+        ...context,
+        at
+      }))
+      .filter(doc => doc.action !== 'update' || Object.keys(doc.changes).length > 0);
+    if (records.length > 0) await audit.insertMany(records, { ordered: false });
+  } catch (err) {
+    console.error('Failed to write audit log:', err);
+  }
+}
+
+/**
+ * One page of a ledger's audit records, newest first.
+ * @param {import('mongodb').Collection} audit
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} filters
+ * @param {string} [filters.entity]
+ * @param {string} [filters.entityId]
+ * @param {string} [filters.source]
+ * @param {string} [filters.from] - YYYY-MM-DD, inclusive (UTC).
+ * @param {string} [filters.to] - YYYY-MM-DD, inclusive (UTC).
+ * @param {object} [opts]
+ * @param {number} [opts.limit]
+ * @param {import('mongodb').ObjectId} [opts.before] - Continue after this record (nextCursor).
+ * @returns {Promise<{records: object[], nextCursor: string|null}>}
+ */
+async function findPage(audit, ledgerId, { entity, entityId, source, from, to } = {}, { limit = 100, before } = {}) {
+  const filter = { userId: ledgerId };
+  if (entity) filter.entity = entity;
+  if (entityId) filter.entityId = entityId;
+  if (source) filter.source = source;
+  if (from || to) {
+    filter.at = {
+      ...(from && { $gte: new Date(`${from}T00:00:00.000Z`) }),
+      ...(to && { $lt: new Date(new Date(`${to}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000) })
+    };
+  }
+  if (before) filter._id = { $lt: before };
+
+  // ObjectIds grow with insertion time, so _id order is `at` order
+  const docs = await audit.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+  const hasMore = docs.length > limit;
+  const pageDocs = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    records: pageDocs.map(toAuditResponse),
+    nextCursor: hasMore ? pageDocs[pageDocs.length - 1]._id.toString() : null
+  };
+}
+
+/**
+ * Public shape of an audit record.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toAuditResponse({ _id, userId, ...doc }) {
+  return { id: _id.toString(), ...doc };
+}
+
+module.exports = {
+  ENTITIES,
+  ACTIONS,
+  SOURCES,
+  MAX_PAGE_SIZE,
+  ensureIndexes,
+  diff,
+  requestContext,
+  record,
+  findPage,
+  toAuditResponse
+};
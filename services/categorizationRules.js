@@ -0,0 +1,236 @@
+/**
+ * Categorization rules – user-editable "item contains SWIGGY → FOD-DEL"
+ * ---------------------------------------------------------------------
+ * Per-ledger rules in `categorization_rules`:
+ *
+ *   { _id, userId, field: "item" | "merchant" | "any",
+ *     match: "contains" | "equals" | "startsWith", pattern, code,
+ *     merchant?, source: "manual" | "learned", hits, lastMatchedAt?,
+ *     createdAt, updatedAt }
+ *
+ * Patterns are stored normalized and match whole words, like the built-in
+ * keyword categorizer. Every insert path runs entries through applyRules()
+ * before validation, so repeat merchants are categorized without an LLM call:
+ * manual rules win over learned ones, then the longest pattern.
+ * Learned rules come from entries added or corrected by hand (learnRule()).
+ *
+ * Like services/entryStore.js, functions take the collection as first argument.
+ */
+const { normalizeText, categorize } = require('./categorizer');
+const { merchantKey } = require('./merchantStore');
+
+const FIELDS = ['item', 'merchant', 'any'];
+const MATCHES = ['contains', 'equals', 'startsWith'];
+// how applyRules() treats an entry that already has a code
+const MODES = ['missing', 'override', 'off'];
+const MAX_PATTERN_LENGTH = 80;
+
+/**
+ * Creates the indexes used below. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} rules
+ */
+async function ensureIndexes(rules) {
+  await rules.createIndex({ userId: 1, field: 1, match: 1, pattern: 1 }, { unique: true });
+}
+
+/**
+ * Stored form of a pattern. Merchant patterns use the merchant key so that
+ * "Swiggy Ltd" and "SWIGGY" are the same rule.
+ * @param {string} pattern
+ * @param {string} field
+ * @returns {string}
+ */
+function normalizePattern(pattern, field) {
+  return field === 'merchant' ? merchantKey(pattern) : normalizeText(pattern);
+}
+
+/**
+ * Validates rule fields from a client.
+ * @param {object} body
+ * @param {object} opts
+ * @param {Set<string>} opts.codes - Allowed category codes.
+ * @param {boolean} [opts.partial] - Only validate the fields present (PATCH).
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateRule({ field, match, pattern, code, merchant }, { codes, partial = false }) {
+  if ((!partial || field !== undefined) && !FIELDS.includes(field)) {
+    return `field must be one of: ${FIELDS.join(', ')}`;
+  }
+  if ((!partial || match !== undefined) && !MATCHES.includes(match)) {
+    return `match must be one of: ${MATCHES.join(', ')}`;
+  }
+  if (!partial || pattern !== undefined) {
+    if (typeof pattern !== 'string' || !normalizeText(pattern) || pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern must contain letters or digits (max ${MAX_PATTERN_LENGTH} chars)`;
+    }
+  }
+  if ((!partial || code !== undefined) && (typeof code !== 'string' || !codes.has(code))) {
+    return `unknown category code: ${code}`;
+  }
+  if (merchant !== undefined && merchant !== null &&
+      (typeof merchant !== 'string' || !merchant.trim() || merchant.length > MAX_PATTERN_LENGTH)) {
+    return `merchant must be a non-empty string (max ${MAX_PATTERN_LENGTH} chars)`;
+  }
+  return null;
+}
+
+/**
+ * Public shape of a rule.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toRuleResponse({ _id, userId, ...rule }) {
+  return { id: _id.toString(), ...rule };
+}
+
+/**
+ * Rules of a ledger in matching order.
+ * @param {import('mongodb').Collection} rules
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @returns {Promise<object[]>}
+ */
+async function loadRules(rules, ledgerId) {
+  const docs = await rules.find({ userId: ledgerId }).toArray();
+  return docs.sort((a, b) =>
+    (a.source === 'manual' ? 0 : 1) - (b.source === 'manual' ? 0 : 1) ||
+    b.pattern.length - a.pattern.length ||
+    b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Whether `text` matches a normalized pattern on whole words.
+ * @param {string} text - Normalized.
+ * @param {string} match
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesText(text, match, pattern) {
+  if (!text) return false;
+  if (match === 'equals') return text === pattern;
+  if (match === 'startsWith') return `${text} `.startsWith(`${pattern} `);
+  return ` ${text} `.includes(` ${pattern} `);
+}
+
+/**
+ * First rule matching an entry's item / merchant.
+ * @param {object[]} rules - Output of loadRules().
+ * @param {{item?: string, merchant?: string}} entry
+ * @param {Set<string>} [codes] - Rules pointing at other codes are skipped.
+ * @returns {object|null}
+ */
+function matchRule(rules, { item, merchant }, codes) {
+  const texts = {
+    item: normalizeText(item),
+    merchant: merchant ? merchantKey(merchant) : ''
+  };
+  return rules.find(rule => (!codes || codes.has(rule.code)) && (
+    rule.field === 'any'
+      ? matchesText(texts.item, rule.match, rule.pattern) || matchesText(normalizeText(merchant), rule.match, rule.pattern)
+      : matchesText(texts[rule.field], rule.match, rule.pattern)
+  )) || null;
+}
+
+/**
+ * Fills in (or overrides) an entry's code and merchant from the rules.
+ * Split entries keep their allocations.
+ * @param {object[]} rules - Output of loadRules().
+ * @param {object} entry - Client entry; not mutated.
+ * @param {object} opts
+ * @param {'missing'|'override'|'off'} [opts.mode] - missing: only entries without a code.
+ * @param {Set<string>} opts.codes - Allowed category codes.
+ * @returns {{entry: object, rule: object|null}}
+ */
+function applyRules(rules, entry, { mode = 'missing', codes }) {
+  if (mode === 'off' || !entry || typeof entry !== 'object' || Array.isArray(entry.splits)) {
+    return { entry, rule: null };
+  }
+  if (mode === 'missing' && entry.code !== undefined) return { entry, rule: null };
+
+  const rule = matchRule(rules, entry, codes);
+  if (!rule) return { entry, rule: null };
+  return {
+    entry: {
+      ...entry,
+      code: rule.code,
+      ...(rule.merchant && !entry.merchant && { merchant: rule.merchant }),
+      // a user rule is certain; drop a classifier's guess
+      ...(entry.confidence !== undefined && { confidence: 1 })
+    },
+    rule
+  };
+}
+
+/**
+ * Suggested category for a payee: ledger rules first, then the built-in
+ * keyword list (services/categorizer.js).
+ * @param {object[]} rules - Output of loadRules().
+ * @param {{item?: string, merchant?: string}} entry
+ * @param {Set<string>} codes
+ * @returns {{code: string, confidence: number, rule: object|null, keyword: string|null}}
+ */
+function suggestCode(rules, entry, codes) {
+  const rule = matchRule(rules, entry, codes);
+  if (rule) return { code: rule.code, confidence: 1, rule, keyword: null };
+  const { code, confidence, keyword } = categorize([entry.merchant, entry.item].filter(Boolean).join(' '), { codes });
+  return { code, confidence, rule: null, keyword };
+}
+
+/**
+ * Counts rule matches (shown in GET /rules so stale rules can be pruned).
+ * @param {import('mongodb').Collection} rules
+ * @param {object[]} matched - Rules that were applied, repeats allowed.
+ */
+async function recordHits(rules, matched) {
+  const counts = new Map();
+  matched.filter(Boolean).forEach((rule) => {
+    const id = rule._id.toString();
+    counts.set(id, { _id: rule._id, hits: (counts.get(id)?.hits || 0) + 1 });
+  });
+  if (counts.size === 0) return;
+  const now = new Date();
+  await rules.bulkWrite([...counts.values()].map(({ _id, hits }) => ({
+    updateOne: { filter: { _id }, update: { $inc: { hits }, $set: { lastMatchedAt: now } } }
+  })), { ordered: false });
+}
+
+/**
+ * Remembers a hand-picked category: "merchant equals X → code", or
+ * "item equals X → code" when the entry has no merchant. An existing rule
+ * for the same pattern is re-pointed at the new code.
+ * @param {import('mongodb').Collection} rules
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{item?: string, merchant?: string, code: string}} entry
+ * @returns {Promise<boolean>} false when the entry has nothing to match on.
+ */
+async function learnRule(rules, ledgerId, { item, merchant, code }) {
+  const field = merchant ? 'merchant' : 'item';
+  const pattern = normalizePattern(merchant || item || '', field);
+  if (!pattern || pattern.length > MAX_PATTERN_LENGTH) return false;
+
+  const now = new Date();
+  await rules.updateOne(
+    { userId: ledgerId, field, match: 'equals', pattern },
+    {
+      $set: { code, updatedAt: now },
+      $setOnInsert: { userId: ledgerId, field, match: 'equals', pattern, source: 'learned', hits: 0, createdAt: now }
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+module.exports = {
+  FIELDS,
+  MATCHES,
+  MODES,
+  ensureIndexes,
+  normalizePattern,
+  validateRule,
+  toRuleResponse,
+  loadRules,
+  matchRule,
+  applyRules,
+  suggestCode,
+  recordHits,
+  learnRule
+};
@@ -0,0 +1,81 @@
+/**
+ * Categorizer – bank narration → merchant & category code
+ * -------------------------------------------------------
+ * Keyword based and deterministic, so statement imports can be previewed
+ * without an LLM round trip. Keywords live in data/merchantKeywords.json and
+ * match whole words only ("ola" matches "OLA CABS", not "COCA COLA"); the
+ * longest matching keyword wins.
+ */
+const merchantKeywords = require('../data/merchantKeywords.json');
+
+const FALLBACK_CODE = 'MIS';
+
+/**
+ * Lower-cases and reduces text to space-separated alphanumeric words.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const KEYWORDS = merchantKeywords
+  .flatMap(({ code, keywords }) => keywords.map(keyword => ({ code, keyword: normalizeText(keyword) })))
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+// UPI narrations: "UPI/DR/412345678901/SWIGGY/YESB/…", "UPI-ZOMATO LTD-zomato@hdfcbank-…",
+// "TO TRANSFER-UPI/DR/413…/UBER/…"
+const UPI_RE = /\bUPI[/-](?:(?:DR|CR)[/-])?(?:\d{3,}[/-])?([^/@-]+)/i;
+// card spends: "POS 416021XXXXXX1234 AMAZON PAY INDIA", "ECOM PUR/FLIPKART/BANGALORE"
+const CARD_RE = /^(?:POS|ECOM PUR|ECOM)[\s/]+(?:\d+X+\d+\s+)?([^/]+)/i;
+
+/**
+ * Best-effort merchant name from a narration, e.g. "Swiggy" from a UPI line.
+ * @param {string} description
+ * @returns {string|null}
+ */
+function extractMerchant(description) {
+  const match = UPI_RE.exec(description) || CARD_RE.exec(description);
+  if (!match) return null;
+  const name = match[1].replace(/\s+/g, ' ').trim();
+  if (!name || /^\d+$/.test(name)) return null;
+  return name.toLowerCase().replace(/\b[a-z]/g, ch => ch.toUpperCase());
+}
+
+/**
+ * Suggests a category for a spend.
+ * @param {string} description - Bank narration / payee.
+ * @param {object} [opts]
+ * @param {Set<string>} [opts.codes] - Allowed codes; suggestions outside it fall back to MIS.
+ * @returns {{code: string, confidence: number, merchant: string|null, keyword: string|null}}
+ */
+function categorize(description, { codes } = {}) {
+  const merchant = extractMerchant(description);
+  const text = ` ${normalizeText(description)} `;
+  const hit = KEYWORDS.find(({ code, keyword }) =>
+    text.includes(` ${keyword} `) && (!codes || codes.has(code)));
+
+  if (!hit) return { code: FALLBACK_CODE, confidence: 0, merchant, keyword: null };
+  return { code: hit.code, confidence: 0.8, merchant, keyword: hit.keyword };
+}
+
+/**
+ * Suggests the income source a credit belongs to.
+ * @param {string} description
+ * @returns {'salary'|'interest'|'refund'|'other'}
+ */
+function incomeSource(description) {
+  const text = ` ${normalizeText(description)} `;
+  if (/ (salary|sal|payroll) /.test(text)) return 'salary';
+  if (/ (interest|int pd|int credit) /.test(text)) return 'interest';
+  if (/ (refund|reversal|rev|cashback) /.test(text)) return 'refund';
+  return 'other';
+}
+
+module.exports = {
+  FALLBACK_CODE,
+  normalizeText,
+  extractMerchant,
+  categorize,
+  incomeSource
+};
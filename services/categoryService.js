@@ -0,0 +1,84 @@
+/**
+ * Category service – built-in taxonomy merged with per-ledger custom categories
+ * -----------------------------------------------------------------------------
+ * Built-ins come from data/categories.json; custom ones live in
+ * `user_categories` keyed by ledger id (user or household), so everyone on a
+ * household ledger shares them. Custom categories are archived, never
+ * deleted, so old entries keep resolving their names and parents.
+ *
+ * Like services/entryStore.js, functions take the collection as first argument.
+ */
+const builtinCategories = require('../data/categories.json');
+
+/**
+ * Creates the indexes used below. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} userCategories
+ */
+async function ensureIndexes(userCategories) {
+  await userCategories.createIndex({ userId: 1, code: 1 }, { unique: true });
+}
+
+/**
+ * Built-in plus custom categories of a ledger.
+ * @param {import('mongodb').Collection} userCategories
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{includeArchived?: boolean}} [opts] - Archived ones are hidden by default.
+ * @returns {Promise<object[]>} [{ code, name, parent, is_builtin, icon?, color?, archived? }]
+ */
+async function getCategories(userCategories, ledgerId, { includeArchived = false } = {}) {
+  const filter = { userId: ledgerId };
+  if (!includeArchived) filter.archived = { $ne: true };
+
+  const custom = await userCategories
+    .find(filter, { projection: { _id: 0, userId: 0 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  return [...builtinCategories, ...custom.map(cat => ({ ...cat, is_builtin: false }))];
+}
+
+/**
+ * Codes new entries may use (archived categories excluded).
+ * @param {object[]} list - Output of getCategories().
+ * @returns {Set<string>}
+ */
+function activeCodes(list) {
+  return new Set(list.filter(cat => !cat.archived).map(cat => cat.code));
+}
+
+/**
+ * @param {object[]} list - Output of getCategories().
+ * @returns {Object<string, string|null>} { [code]: parentCode }
+ */
+function parentMap(list) {
+  return Object.fromEntries(list.map(cat => [cat.code, cat.parent]));
+}
+
+/**
+ * @param {object[]} list - Output of getCategories().
+ * @returns {Object<string, string>} { [code]: name }
+ */
+function nameMap(list) {
+  return Object.fromEntries(list.map(cat => [cat.code, cat.name]));
+}
+
+/**
+ * Prompt lines describing the custom categories to an LLM, or '' when there are none.
+ * @param {object[]} list - Output of getCategories().
+ * @returns {string}
+ */
+function describeCustomCategories(list) {
+  const custom = list.filter(cat => !cat.is_builtin && !cat.archived);
+  if (custom.length === 0) return '';
+  return custom
+    .map(cat => `- ${cat.code} – ${cat.name}${cat.parent ? ` (under ${cat.parent})` : ''}`)
+    .join('\n');
+}
+
+module.exports = {
+  ensureIndexes,
+  getCategories,
+  activeCodes,
+  parentMap,
+  nameMap,
+  describeCustomCategories
+};
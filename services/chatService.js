@@ -3,6 +3,7 @@
  */
 const Together = require('together-ai');
 const INTENT_PROMPT = require('../prompts/chatIntentPrompt');
+const { describeCustomCategories } = require('./categoryService');
 
 // Initialize Together AI client
 const together = new Together({ apiKey: process.env.TOGETHER_API_KEY });
@@ -53,10 +54,17 @@ function cleanThinkingTags(text) {
 /**
  * Extracts intent from user message using Together AI
  * @param {string} message - User's message
+ * @param {object} [options]
+ * @param {Array} [options.customCategories] - The ledger's custom categories, added to the valid codes
  * @returns {Promise<object>} - Object containing array of intent data with parameters
  */
-async function extractIntent(message) {
+async function extractIntent(message, { customCategories = [] } = {}) {
   try {
+    const customCodes = describeCustomCategories(customCategories);
+    const systemPrompt = customCodes
+      ? `${INTENT_PROMPT}\n\nCUSTOM CATEGORY CODES (also valid, prefer them when they match):\n${customCodes}`
+      : INTENT_PROMPT;
+
     const currentDate = new Date();
     const currentMonth = `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}`;
     const currentYear = String(currentDate.getFullYear());
@@ -70,7 +78,7 @@ User message: ${message}`;
       temperature: 0,
       max_tokens: 1024,
       messages: [
-        { role: 'system', content: INTENT_PROMPT + "\nIMPORTANT: Output JSON only. Do not include any explanation text or markdown code block markers." },
+        { role: 'system', content: systemPrompt + "\nIMPORTANT: Output JSON only. Do not include any explanation text or markdown code block markers." },
         { role: 'user', content: contextMessage }
       ]
     });
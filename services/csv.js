@@ -0,0 +1,83 @@
+/**
+ * Minimal RFC 4180 CSV reader / writer
+ * ------------------------------------
+ * Handles quoted fields (embedded delimiters, quotes and newlines), CRLF/LF
+ * line endings and a UTF-8 BOM – enough for spreadsheet and bank exports
+ * without pulling in a dependency.
+ */
+
+// leading characters a spreadsheet treats as the start of a formula
+const FORMULA_RE = /^[=+\-@]/;
+
+/**
+ * Parses CSV text into rows of cells. Blank lines are dropped.
+ * @param {string} text
+ * @param {{delimiter?: string}} [opts] - Single character, default ",".
+ * @returns {string[][]}
+ * @throws {Error} On an unterminated quoted field.
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;   // skip BOM
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (inQuotes) throw new Error('unterminated quoted field');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Formats one CSV line (without line break). Text that a spreadsheet would
+ * run as a formula (=, +, -, @) is prefixed with a quote character; see
+ * unguardCell() for reading it back.
+ * @param {Array<string|number|null|undefined>} values
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  return values.map((value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (FORMULA_RE.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Removes the quote character toCsvLine() puts before formula-like text, so
+ * exported files import back unchanged ("'-ve balance" → "-ve balance").
+ * @param {string} text - One parsed cell.
+ * @returns {string}
+ */
+function unguardCell(text) {
+  return text.startsWith("'") && FORMULA_RE.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+module.exports = { parseCsv, toCsvLine, unguardCell };
@@ -0,0 +1,190 @@
+/**
+ * Duplicate detector – the same purchase recorded twice
+ * -----------------------------------------------------
+ * Receipts, chat and manual adds often store one purchase twice with slightly
+ * different text ("Swiggy" vs "Swiggy dinner order") or on neighbouring days.
+ * Two entries count as likely duplicates when they have the same amount, fall
+ * within `windowDays` of each other and their item/merchant text is similar.
+ *
+ * Entries the user has reviewed carry `notDuplicateOf: [id]` and are never
+ * paired again; entries stored with onDuplicate=flag carry
+ * `possibleDuplicateOf: [id]` until they are merged or dismissed.
+ */
+const { normalizeText } = require('./categorizer');
+const { buildFilter } = require('./entryStore');
+
+const ON_DUPLICATE = ['reject', 'flag', 'allow'];
+const MAX_WINDOW_DAYS = 30;
+const DEFAULT_WINDOW_DAYS = Math.min(
+  MAX_WINDOW_DAYS,
+  Math.max(0, parseInt(process.env.DUPLICATE_WINDOW_DAYS ?? '2', 10) || 0)
+);
+// GET /entries/duplicates scans at most this many entries per request
+const MAX_SCAN = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shifts a YYYY-MM-DD date by whole days.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days between two YYYY-MM-DD dates (absolute).
+ * @returns {number}
+ */
+function dayDiff(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS;
+}
+
+/**
+ * Words describing what was bought / where.
+ * @param {{item?: string, merchant?: string}} entry
+ * @returns {string[]}
+ */
+function entryWords(entry) {
+  return normalizeText([entry.merchant, entry.item].filter(Boolean).join(' ')).split(' ').filter(Boolean);
+}
+
+/**
+ * True when two descriptions plausibly name the same purchase: one contains
+ * the other (spaces ignored, so "D Mart" ~ "DMart") or at least half of the
+ * shorter one's words appear in the other.
+ * @param {object} a - Entry.
+ * @param {object} b - Entry.
+ * @returns {boolean}
+ */
+function isSimilarText(a, b) {
+  const wordsA = entryWords(a);
+  const wordsB = entryWords(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return wordsA.length === wordsB.length;
+
+  const compactA = wordsA.join('');
+  const compactB = wordsB.join('');
+  if (compactA.includes(compactB) || compactB.includes(compactA)) return true;
+
+  const setB = new Set(wordsB);
+  const shared = new Set(wordsA.filter(word => setB.has(word))).size;
+  return shared / Math.min(new Set(wordsA).size, setB.size) >= 0.5;
+}
+
+/**
+ * Whether two stored or candidate entries look like the same purchase.
+ * @param {{date: string, amount: number, id?: string}} a
+ * @param {{date: string, amount: number, id?: string}} b
+ * @param {number} windowDays
+ * @returns {boolean}
+ */
+function isLikelyDuplicate(a, b, windowDays) {
+  if (a.id && a.id === b.id) return false;
+  if (Math.abs(a.amount - b.amount) >= 0.005) return false;
+  if (dayDiff(a.date, b.date) > windowDays) return false;
+  if ((a.notDuplicateOf || []).includes(b.id) || (b.notDuplicateOf || []).includes(a.id)) return false;
+  return isSimilarText(a, b);
+}
+
+/**
+ * Groups entries into clusters of likely duplicates (connected pairs).
+ * @param {object[]} docs - Entries with date, amount, item.
+ * @param {number} windowDays
+ * @returns {object[][]} Clusters of two or more entries, oldest first.
+ */
+function groupDuplicates(docs, windowDays) {
+  const parent = docs.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  // only entries with the same amount can pair up
+  const byAmount = new Map();
+  docs.forEach((doc, index) => {
+    const key = Number(doc.amount).toFixed(2);
+    if (!byAmount.has(key)) byAmount.set(key, []);
+    byAmount.get(key).push(index);
+  });
+  byAmount.forEach((indexes) => {
+    indexes.sort((a, b) => docs[a].date.localeCompare(docs[b].date));
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        // dates ascend, so nothing further along is inside the window
+        if (dayDiff(docs[indexes[i]].date, docs[indexes[j]].date) > windowDays) break;
+        if (isLikelyDuplicate(docs[indexes[i]], docs[indexes[j]], windowDays)) {
+          parent[find(indexes[i])] = find(indexes[j]);
+        }
+      }
+    }
+  });
+
+  const clusters = new Map();
+  docs.forEach((doc, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(doc);
+  });
+  return [...clusters.values()]
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => cluster.sort((a, b) => a.date.localeCompare(b.date)));
+}
+
+/**
+ * Likely duplicate clusters among a ledger's entries.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} filters - See entryStore.buildFilter().
+ * @param {number} windowDays
+ * @returns {Promise<{groups: object[][], truncated: boolean}>}
+ */
+async function findDuplicateGroups(entries, ledgerId, filters, windowDays) {
+  const docs = await entries
+    .find(buildFilter(ledgerId, filters))
+    .sort({ amount: 1, date: 1 })
+    .limit(MAX_SCAN + 1)
+    .toArray();
+  const truncated = docs.length > MAX_SCAN;
+  return { groups: groupDuplicates(docs.slice(0, MAX_SCAN), windowDays), truncated };
+}
+
+/**
+ * Stored entries that each candidate would duplicate.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{date: string, entry: object}[]} candidates
+ * @param {number} windowDays
+ * @returns {Promise<object[][]>} Matches per candidate, in candidate order.
+ */
+async function findMatches(entries, ledgerId, candidates, windowDays) {
+  if (candidates.length === 0) return [];
+  const dates = candidates.map(({ date }) => date).sort();
+  const docs = await entries.find(
+    {
+      userId: ledgerId,
+      date: { $gte: addDays(dates[0], -windowDays), $lte: addDays(dates[dates.length - 1], windowDays) },
+      amount: { $in: [...new Set(candidates.map(({ entry }) => entry.amount))] }
+    },
+    { projection: { _id: 0, id: 1, date: 1, amount: 1, item: 1, merchant: 1, code: 1, notDuplicateOf: 1 } }
+  ).toArray();
+
+  const byAmount = new Map();
+  docs.forEach((doc) => {
+    const key = Number(doc.amount).toFixed(2);
+    if (!byAmount.has(key)) byAmount.set(key, []);
+    byAmount.get(key).push(doc);
+  });
+
+  return candidates.map(({ date, entry }) => (byAmount.get(Number(entry.amount).toFixed(2)) || [])
+    .filter(doc => isLikelyDuplicate({ ...entry, date }, doc, windowDays))
+    .map(({ notDuplicateOf, ...doc }) => doc));
+}
+
+module.exports = {
+  ON_DUPLICATE,
+  MAX_WINDOW_DAYS,
+  DEFAULT_WINDOW_DAYS,
+  isSimilarText,
+  isLikelyDuplicate,
+  groupDuplicates,
+  findDuplicateGroups,
+  findMatches
+};
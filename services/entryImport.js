@@ -0,0 +1,229 @@
+/**
+ * Entry import – turns spreadsheet rows into validated entries
+ * ------------------------------------------------------------
+ * Used by POST /entries/import. A column mapping says which column holds
+ * which entry field; each column is named by its header (case-insensitive)
+ * or by its 0-based index:
+ *
+ *   { date: "Txn Date", amount: "Debit", code: "Category", item: 2, notes: "Remarks" }
+ *
+ * Without a mapping, headers named like the fields are used (also `category`
+ * for code and `description` for item), so files from GET /entries/export
+ * import back unchanged. Row results are validated with services/entrySchema.
+ * The export writes a split entry as one row per allocation sharing the
+ * entry's `id`; mergeSplitRows() joins such rows back into one split entry.
+ */
+const { isValidDate, validateEntry } = require('./entrySchema');
+const { unguardCell } = require('./csv');
+
+const IMPORT_FIELDS = [
+  'date', 'amount', 'code', 'item', 'merchant', 'name', 'notes', 'tags', 'paymentMethod', 'account', 'id', 'splitItem'
+];
+const REQUIRED_FIELDS = ['date', 'amount', 'item'];
+const HEADER_ALIASES = {
+  code: ['code', 'category'],
+  item: ['item', 'description'],
+  merchant: ['merchant', 'payee'],
+  paymentMethod: ['paymentmethod', 'payment method'],
+  splitItem: ['splititem', 'split item']
+};
+
+// day / month / year positions of the supported date layouts
+const DATE_FORMATS = {
+  'YYYY-MM-DD': /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})$/,
+  'DD/MM/YYYY': /^(?<d>\d{1,2})\/(?<m>\d{1,2})\/(?<y>\d{4})$/,
+  'MM/DD/YYYY': /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})$/,
+  'DD-MM-YYYY': /^(?<d>\d{1,2})-(?<m>\d{1,2})-(?<y>\d{4})$/,
+  'DD.MM.YYYY': /^(?<d>\d{1,2})\.(?<m>\d{1,2})\.(?<y>\d{4})$/
+};
+
+/**
+ * Normalizes a date cell to YYYY-MM-DD.
+ * @param {string} value
+ * @param {string} format - Key of DATE_FORMATS.
+ * @returns {string|null} null when it doesn't match the format.
+ */
+function parseDateValue(value, format) {
+  const match = DATE_FORMATS[format].exec(String(value).trim());
+  if (!match) return null;
+  const { y, m, d } = match.groups;
+  return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+}
+
+/**
+ * Parses an amount cell such as "1234.5", "₹1,234.50" or "Rs. 99".
+ * Accounting negatives "(120.00)" and a leading minus become negative numbers;
+ * a sign anywhere else ("12-34") is not a number.
+ * @param {string} value
+ * @returns {number} NaN when not a number.
+ */
+function parseAmount(value) {
+  let text = String(value).replace(/[\s,]|₹|Rs\.?|INR/gi, '');
+  const parens = /^\((.*)\)$/.exec(text);
+  const sign = parens ? '' : /^[-+]?/.exec(text)[0];
+  text = parens ? parens[1] : text.slice(sign.length);
+  if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+  return parens || sign === '-' ? -Number(text) : Number(text);
+}
+
+/**
+ * Resolves a mapping of field → header name / index into field → column index.
+ * @param {string[]} header - First CSV row.
+ * @param {object} [mapping]
+ * @returns {{columns?: Object<string, number>, error?: string}}
+ */
+function resolveMapping(header, mapping) {
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+
+  if (mapping === undefined) {
+    IMPORT_FIELDS.forEach((field) => {
+      const index = names.findIndex(name => (HEADER_ALIASES[field] || [field]).includes(name));
+      if (index !== -1) columns[field] = index;
+    });
+  } else {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { error: 'mapping must be an object of field → column header or index' };
+    }
+    for (const [field, column] of Object.entries(mapping)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        return { error: `unknown mapping field: ${field} (allowed: ${IMPORT_FIELDS.join(', ')})` };
+      }
+      const index = typeof column === 'number' ? column : names.indexOf(String(column).trim().toLowerCase());
+      if (!Number.isInteger(index) || index < 0 || index >= header.length) {
+        return { error: `column not found for ${field}: ${column}` };
+      }
+      columns[field] = index;
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) return { error: `no column mapped for: ${missing.join(', ')}` };
+  return { columns };
+}
+
+/**
+ * Builds a category lookup accepting codes and (case-insensitive) names.
+ * @param {object[]} categories - Active categories (services/categoryService.getCategories).
+ * @returns {function(string): string|null}
+ */
+function categoryResolver(categories) {
+  const byKey = new Map();
+  categories.forEach((cat) => {
+    byKey.set(cat.code.toLowerCase(), cat.code);
+    if (!byKey.has(cat.name.toLowerCase())) byKey.set(cat.name.toLowerCase(), cat.code);
+  });
+  return value => byKey.get(String(value).trim().toLowerCase()) || null;
+}
+
+/**
+ * Converts one CSV row into a dated, validated client entry.
+ * @param {string[]} cells
+ * @param {Object<string, number>} columns - From resolveMapping().
+ * @param {object} opts
+ * @param {string} opts.dateFormat
+ * @param {function(string): string|null} opts.resolveCode - From categoryResolver().
+ * @param {function(object): object|null} [opts.matchRule] - Categorization rule for rows
+ *   without a category (services/categorizationRules.matchRule).
+ * @param {string} opts.defaultCode - Used when there is no code column or the cell is
+ *   empty and no rule matches.
+ * @param {Set<string>} opts.codes - Allowed category codes.
+ * @returns {{date?: string, entry?: object, rule?: object, sourceId?: string, splitItem?: string, error?: string}}
+ *   sourceId / splitItem: the `id` and `splitItem` cells, used by mergeSplitRows().
+ */
+function rowToEntry(cells, columns, { dateFormat, resolveCode, matchRule, defaultCode, codes }) {
+  const cell = field => (columns[field] === undefined ? '' : unguardCell((cells[columns[field]] ?? '').trim()));
+
+  const date = parseDateValue(cell('date'), dateFormat);
+  if (!date || !isValidDate(date)) return { error: `date "${cell('date')}" is not a valid ${dateFormat} date` };
+
+  const amount = parseAmount(cell('amount'));
+  if (Number.isNaN(amount)) return { error: `amount "${cell('amount')}" is not a number` };
+
+  let code = defaultCode;
+  let rule = null;
+  if (cell('code')) {
+    code = resolveCode(cell('code'));
+    if (!code) return { error: `unknown category: ${cell('code')}` };
+  } else if (matchRule) {
+    rule = matchRule({ item: cell('item'), merchant: cell('merchant') });
+    if (rule) code = rule.code;
+  }
+
+  const entry = { code, amount, item: cell('item') };
+  if (cell('merchant')) entry.merchant = cell('merchant');
+  else if (rule?.merchant) entry.merchant = rule.merchant;
+  if (cell('name')) entry.name = cell('name');
+  if (cell('notes')) entry.notes = cell('notes');
+  // tags are space, comma or semicolon separated; "Net Banking" reads as netbanking
+  if (cell('tags')) entry.tags = cell('tags').split(/[\s,;]+/).filter(Boolean);
+  if (cell('paymentMethod')) entry.paymentMethod = cell('paymentMethod').toLowerCase().replace(/[\s-]/g, '');
+  if (cell('account')) entry.account = cell('account');
+
+  const invalid = validateEntry(entry, { codes });
+  if (invalid) return { error: invalid, ...(cell('id') && { sourceId: cell('id') }) };
+  return {
+    date,
+    entry,
+    ...(rule && { rule }),
+    ...(cell('id') && { sourceId: cell('id') }),
+    ...(cell('splitItem') && { splitItem: cell('splitItem') })
+  };
+}
+
+/**
+ * Joins rows sharing an `id` (the allocations of one exported split entry)
+ * into a single split entry. Rows with a unique or no id are left as they are.
+ * @param {object[]} results - rowToEntry() results, each with its `row` number.
+ * @param {object} opts
+ * @param {Set<string>} opts.codes - Allowed category codes.
+ * @returns {object[]} One result per entry; a merged one lists its `rows` and
+ *   takes the place of its first row.
+ */
+function mergeSplitRows(results, { codes }) {
+  const groups = new Map();
+  results.filter(result => result.sourceId).forEach((result) => {
+    groups.set(result.sourceId, [...(groups.get(result.sourceId) || []), result]);
+  });
+
+  const replaced = new Map();
+  groups.forEach((rows, sourceId) => {
+    if (rows.length < 2) return;
+    const [first] = rows;
+    const base = { row: first.row, rows: rows.map(({ row }) => row) };
+    const broken = rows.find(({ error }) => error);
+    let merged;
+    if (broken) {
+      merged = { ...base, error: `row ${broken.row}: ${broken.error}` };
+    } else if (rows.some(({ date }) => date !== first.date)) {
+      merged = { ...base, error: `rows of split entry ${sourceId} have different dates` };
+    } else {
+      const splits = rows.map(({ entry, splitItem }) => ({
+        code: entry.code, amount: entry.amount, ...(splitItem && { item: splitItem })
+      }));
+      const { code, ...fields } = first.entry;
+      const entry = {
+        ...fields,
+        amount: Math.round(splits.reduce((sum, split) => sum + split.amount, 0) * 100) / 100,
+        splits
+      };
+      const invalid = validateEntry(entry, { codes });
+      merged = invalid ? { ...base, error: invalid } : { ...base, date: first.date, entry };
+    }
+    replaced.set(first, merged);
+    rows.slice(1).forEach(row => replaced.set(row, null));
+  });
+
+  return results.map(result => (replaced.has(result) ? replaced.get(result) : result)).filter(Boolean);
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  parseDateValue,
+  parseAmount,
+  resolveMapping,
+  categoryResolver,
+  rowToEntry,
+  mergeSplitRows
+};
@@ -0,0 +1,263 @@
+/**
+ * Expense entry schema – validation and normalization
+ * ---------------------------------------------------
+ * Shared by every path that writes entries (add-user-entries, PATCH, chat,
+ * imports) so they all accept and store the same shape:
+ *
+ *   id         – server-generated UUID
+ *   code       – built-in (data/categories.json) or active custom category code;
+ *                for split entries the primary (largest) allocation's code
+ *   amount     – positive number, INR (the transaction total for split entries)
+ *   item       – free text
+ *   name       – optional "<YYYY-MM> <Keyword>" label (receipt classifier)
+ *   merchant   – optional payee; normalized to the ledger's merchant table
+ *                (services/merchantStore.js), which also sets `merchantId`
+ *   notes      – optional free text
+ *   tags       – optional labels such as "goa-trip"; stored lowercased with
+ *                spaces as dashes, without repeats (at most 20)
+ *   paymentMethod – optional cash | upi | card | netbanking | wallet
+ *   account    – optional account the money came from ("HDFC credit card")
+ *   confidence – optional 0-1 classifier confidence
+ *   splits     – optional [{ code, amount, item? }] allocations of one transaction
+ *                across categories (2-20, adding up to `amount`)
+ *   addedBy / createdAt / updatedAt – set by the server
+ *   ruleId     – categorization rule that picked the code, if any
+ *   possibleDuplicateOf / notDuplicateOf / mergedFrom – entry ids kept by the
+ *                duplicate handling in services/duplicateDetector.js
+ */
+const { randomUUID } = require('crypto');
+const categories = require('../data/categories.json');
+
+const BUILTIN_CODES = new Set(categories.map(cat => cat.code));
+
+// fields a client may send; `id` is accepted but always replaced
+const CLIENT_FIELDS = [
+  'id', 'code', 'amount', 'item', 'merchant', 'name', 'notes', 'tags', 'paymentMethod', 'account', 'confidence', 'splits'
+];
+const EDITABLE_FIELDS = ['amount', 'code', 'item', 'merchant', 'name', 'notes', 'tags', 'paymentMethod', 'account', 'splits'];
+// fields PATCH may clear by sending null
+const CLEARABLE_FIELDS = ['merchant', 'tags', 'paymentMethod', 'account', 'splits'];
+const MAX_MERCHANT_LENGTH = 80;
+const MAX_ACCOUNT_LENGTH = 80;
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'netbanking', 'wallet'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const SPLIT_FIELDS = ['code', 'amount', 'item'];
+const MAX_SPLITS = 20;
+
+/**
+ * True for a real calendar date in YYYY-MM-DD form (rejects 2024-02-31).
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+}
+
+/**
+ * Stored form of one tag: lowercased, spaces as dashes ("Goa Trip" → "goa-trip").
+ * @param {string} tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Stored form of validated tags, without repeats.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag))];
+}
+
+/**
+ * Validates a tag list.
+ * @param {any} tags
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    return `tags must be an array of at most ${MAX_TAGS} strings`;
+  }
+  const valid = (tag) => typeof tag === 'string' && normalizeTag(tag) !== '' && normalizeTag(tag).length <= MAX_TAG_LENGTH;
+  if (!tags.every(valid)) return `tags must be non-empty strings of at most ${MAX_TAG_LENGTH} chars`;
+  return null;
+}
+
+/**
+ * Validates the allocations of a split entry.
+ * @param {any} splits
+ * @param {object} [opts]
+ * @param {number} [opts.amount] - Transaction total the splits must add up to.
+ * @param {Set<string>} [opts.codes] - Allowed category codes.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateSplits(splits, { amount, codes = BUILTIN_CODES } = {}) {
+  if (!Array.isArray(splits) || splits.length < 2 || splits.length > MAX_SPLITS) {
+    return `splits must be an array of 2 to ${MAX_SPLITS} allocations`;
+  }
+  for (const [index, split] of splits.entries()) {
+    if (!split || typeof split !== 'object' || Array.isArray(split)) return `split ${index} must be an object`;
+    const unknown = Object.keys(split).filter(key => !SPLIT_FIELDS.includes(key));
+    if (unknown.length > 0) return `split ${index} has unknown fields: ${unknown.join(', ')}`;
+    if (typeof split.code !== 'string' || !codes.has(split.code)) {
+      return `split ${index} has unknown category code: ${split.code}`;
+    }
+    if (typeof split.amount !== 'number' || !Number.isFinite(split.amount) || split.amount <= 0) {
+      return `split ${index} amount must be a positive number`;
+    }
+    if (split.item !== undefined && typeof split.item !== 'string') return `split ${index} item must be a string`;
+  }
+  return amount === undefined ? null : splitsTotalError(splits, amount);
+}
+
+/**
+ * Checks that allocations add up to the entry amount.
+ * @param {{amount: number}[]} splits
+ * @param {number} amount
+ * @returns {string|null} Error message, or null when they match.
+ */
+function splitsTotalError(splits, amount) {
+  // compare in paise so 0.1 + 0.2 style float noise does not fail a valid bill
+  const total = splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+  if (total !== Math.round(amount * 100)) {
+    return `splits add up to ${total / 100}, not the entry amount ${amount}`;
+  }
+  return null;
+}
+
+/**
+ * Stored form of validated allocations (trimmed item, no empty fields).
+ * @param {{code: string, amount: number, item?: string}[]} splits
+ * @returns {object[]}
+ */
+function normalizeSplits(splits) {
+  return splits.map(({ code, amount, item }) => ({
+    code,
+    amount,
+    ...(item && item.trim() && { item: item.trim() })
+  }));
+}
+
+/**
+ * Code of the largest allocation, used as the entry's own `code`.
+ * @param {{code: string, amount: number}[]} splits
+ * @returns {string}
+ */
+function primarySplitCode(splits) {
+  return splits.reduce((best, split) => (split.amount > best.amount ? split : best)).code;
+}
+
+/**
+ * Validates one entry coming from a client.
+ * @param {object} entry
+ * @param {object} [opts]
+ * @param {boolean} [opts.partial] - Only validate the fields present (PATCH).
+ * @param {Set<string>} [opts.codes] - Allowed category codes.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateEntry(entry, { partial = false, codes = BUILTIN_CODES } = {}) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'entry must be an object';
+
+  const allowed = partial ? EDITABLE_FIELDS : CLIENT_FIELDS;
+  const unknown = Object.keys(entry).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) return `unknown fields: ${unknown.join(', ')}`;
+
+  const has = (key) => entry[key] !== undefined;
+
+  // a split entry's code defaults to its largest allocation
+  const split = Array.isArray(entry.splits);
+  if ((!partial && !(split && !has('code'))) || has('code')) {
+    if (typeof entry.code !== 'string' || !codes.has(entry.code)) {
+      return `unknown category code: ${entry.code}`;
+    }
+  }
+  if (!partial || has('amount')) {
+    if (typeof entry.amount !== 'number' || !Number.isFinite(entry.amount) || entry.amount <= 0) {
+      return 'amount must be a positive number';
+    }
+  }
+  if (!partial || has('item')) {
+    if (typeof entry.item !== 'string' || entry.item.trim() === '') return 'item must be a non-empty string';
+  }
+  if (has('name') && typeof entry.name !== 'string') return 'name must be a string';
+  // PATCH may send null to clear an optional field
+  const set = (key) => has(key) && !(partial && entry[key] === null && CLEARABLE_FIELDS.includes(key));
+  if (set('merchant') && (typeof entry.merchant !== 'string' || entry.merchant.length > MAX_MERCHANT_LENGTH)) {
+    return `merchant must be a string (max ${MAX_MERCHANT_LENGTH} chars)`;
+  }
+  if (has('notes') && typeof entry.notes !== 'string') return 'notes must be a string';
+  if (set('tags')) {
+    const invalid = validateTags(entry.tags);
+    if (invalid) return invalid;
+  }
+  if (set('paymentMethod') && !PAYMENT_METHODS.includes(entry.paymentMethod)) {
+    return `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`;
+  }
+  if (set('account') &&
+      (typeof entry.account !== 'string' || entry.account.trim() === '' || entry.account.length > MAX_ACCOUNT_LENGTH)) {
+    return `account must be a non-empty string (max ${MAX_ACCOUNT_LENGTH} chars)`;
+  }
+  if (has('confidence') &&
+      (typeof entry.confidence !== 'number' || entry.confidence < 0 || entry.confidence > 1)) {
+    return 'confidence must be a number between 0 and 1';
+  }
+  // `splits: null` turns a split entry back into a plain one;
+  // on PATCH the caller checks the sum against the stored or new amount
+  if (set('splits')) {
+    const invalid = validateSplits(entry.splits, { amount: partial ? undefined : entry.amount, codes });
+    if (invalid) return invalid;
+    if (has('code') && !entry.splits.some(alloc => alloc.code === entry.code)) {
+      return 'code must be one of the split codes';
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the stored form of a validated client entry.
+ * @param {object} entry - Output of a successful validateEntry().
+ * @param {import('mongodb').ObjectId} addedBy - User creating the entry.
+ * @returns {object} Entry with server-side id and timestamps.
+ */
+function buildEntry(entry, addedBy) {
+  const now = new Date();
+  const { id, ...fields } = entry;   // client ids are never trusted
+  if (fields.splits) {
+    fields.splits = normalizeSplits(fields.splits);
+    fields.code = fields.code || primarySplitCode(fields.splits);
+  }
+  if (fields.tags) fields.tags = normalizeTags(fields.tags);
+  if (fields.tags?.length === 0) delete fields.tags;
+  if (fields.account) fields.account = fields.account.trim();
+  return {
+    id: randomUUID(),
+    ...fields,
+    item: fields.item.trim(),
+    addedBy,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+module.exports = {
+  BUILTIN_CODES,
+  EDITABLE_FIELDS,
+  MAX_SPLITS,
+  PAYMENT_METHODS,
+  isValidDate,
+  normalizeTags,
+  validateSplits,
+  splitsTotalError,
+  normalizeSplits,
+  primarySplitCode,
+  validateEntry,
+  buildEntry
+};
@@ -0,0 +1,398 @@
+/**
+ * Entry store – queries on the normalized `entries` collection
+ * ------------------------------------------------------------
+ * One document per expense:
+ *   { _id, id, userId, date: "YYYY-MM-DD", code, amount, item, ...schema fields }
+ * `userId` holds the ledger id (user or household). Dates are stored as
+ * ISO strings so month/year ranges are plain indexed string ranges.
+ * A split entry keeps its total in `amount` and its per-category allocations
+ * in `splits`; per-category totals count the allocations, not the entry.
+ *
+ * Every function takes the `entries` collection as its first argument so
+ * each router keeps owning its own Mongo connection.
+ */
+
+const { ObjectId } = require('mongodb');
+
+const SORT_FIELDS = ['date', 'amount'];
+const GROUP_BY = ['category', 'parent', 'day', 'week', 'month', 'merchant', 'tag', 'paymentMethod', 'account'];
+
+// $group keys for summarize(); `parent` is rolled up from `category` by the caller
+const GROUP_KEYS = {
+  category: '$code',
+  day: '$date',
+  week: { $dateToString: { format: '%G-W%V', date: { $dateFromString: { dateString: '$date' } } } },
+  month: { $substrBytes: ['$date', 0, 7] },
+  // merchant names differ only in case/spacing between receipts, chat and imports
+  merchant: { $toLower: { $trim: { input: { $ifNull: ['$merchant', '$item'] } } } },
+  // entries without one group under null; an entry counts once for each of its tags
+  tag: '$tags',
+  paymentMethod: '$paymentMethod',
+  account: '$account'
+};
+// groupings ordered by total rather than by key
+const RANKED_GROUPS = ['merchant', 'tag', 'paymentMethod', 'account'];
+const MAX_PAGE_SIZE = 500;
+
+// one row per allocation: split entries contribute each split's code and amount
+const ALLOCATION_STAGES = [
+  { $unwind: { path: '$splits', preserveNullAndEmptyArrays: true } },
+  { $set: { code: { $ifNull: ['$splits.code', '$code'] }, amount: { $ifNull: ['$splits.amount', '$amount'] } } }
+];
+
+/**
+ * Creates the indexes the queries below rely on. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} entries
+ */
+async function ensureIndexes(entries) {
+  await entries.createIndex({ userId: 1, date: 1, code: 1 });
+  await entries.createIndex({ userId: 1, id: 1 }, { unique: true });
+  await entries.createIndex({ userId: 1, amount: 1 });
+  await entries.createIndex({ userId: 1, 'splits.code': 1 }, { sparse: true });
+  await entries.createIndex({ userId: 1, tags: 1 }, { sparse: true });
+  // one entry per occurrence of a recurring rule (see services/recurringRules.js)
+  await entries.createIndex(
+    { userId: 1, recurringRuleId: 1, date: 1 },
+    { unique: true, partialFilterExpression: { recurringRuleId: { $exists: true } } }
+  );
+}
+
+/**
+ * Inclusive date range covering one month.
+ * @param {string} month - YYYY-MM
+ * @returns {{from: string, to: string}}
+ */
+function monthRange(month) {
+  return { from: `${month}-01`, to: `${month}-31` };
+}
+
+/**
+ * Inclusive date range covering one year.
+ * @param {string} year - YYYY
+ * @returns {{from: string, to: string}}
+ */
+function yearRange(year) {
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the Mongo filter for a ledger and optional criteria.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} [opts]
+ * @param {string} [opts.from] - Inclusive YYYY-MM-DD.
+ * @param {string} [opts.to] - Inclusive YYYY-MM-DD.
+ * @param {string[]} [opts.months] - Only these YYYY-MM months.
+ * @param {string[]} [opts.codes] - Only these category codes (split entries match on any allocation).
+ * @param {number} [opts.minAmount]
+ * @param {number} [opts.maxAmount]
+ * @param {string} [opts.search] - Case-insensitive substring of item or name.
+ * @param {string[]} [opts.tags] - Entries carrying any of these (normalized) tags.
+ * @param {string[]} [opts.paymentMethods]
+ * @param {string[]} [opts.accounts] - Account names, case-insensitive.
+ * @returns {object}
+ */
+function buildFilter(ledgerId, {
+  from, to, months, codes, minAmount, maxAmount, search, tags, paymentMethods, accounts
+} = {}) {
+  const filter = { userId: ledgerId };
+  const and = [];
+
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  if (months?.length) {
+    and.push({ $or: months.map(month => ({ date: { $gte: `${month}-01`, $lte: `${month}-31` } })) });
+  }
+  if (codes?.length) {
+    and.push({ $or: [{ code: { $in: codes } }, { 'splits.code': { $in: codes } }] });
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = minAmount;
+    if (maxAmount !== undefined) filter.amount.$lte = maxAmount;
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    and.push({ $or: [{ item: pattern }, { name: pattern }] });
+  }
+  if (tags?.length) filter.tags = { $in: tags };
+  if (paymentMethods?.length) filter.paymentMethod = { $in: paymentMethods };
+  if (accounts?.length) {
+    filter.account = { $in: accounts.map(account => new RegExp(`^${escapeRegex(account)}$`, 'i')) };
+  }
+
+  if (and.length) filter.$and = and;
+  return filter;
+}
+
+/**
+ * Aggregation stages matching a ledger's entries, expanded to one row per
+ * allocation and narrowed again to the requested codes.
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} [filters] - See buildFilter().
+ * @returns {object[]}
+ */
+function allocationPipeline(ledgerId, filters = {}) {
+  return [
+    { $match: buildFilter(ledgerId, filters) },
+    ...ALLOCATION_STAGES,
+    ...(filters.codes?.length ? [{ $match: { code: { $in: filters.codes } } }] : [])
+  ];
+}
+
+/**
+ * Encodes the position after `doc` for the given sort field.
+ * @returns {string} Opaque base64url cursor.
+ */
+function encodeCursor(doc, sort) {
+  return Buffer.from(JSON.stringify({ v: doc[sort], id: doc._id.toString() })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @returns {{v: any, id: ObjectId}|null} null when malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || !ObjectId.isValid(id)) return null;
+    return { v, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Public shape of a stored entry (drops Mongo/ledger internals).
+ * @param {object} doc
+ * @returns {object}
+ */
+function toEntryResponse(doc) {
+  const { _id, userId, ...entry } = doc;
+  return entry;
+}
+
+/**
+ * Entries of a ledger in date order.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{from?: string, to?: string, codes?: string[]}} [opts]
+ * @returns {Promise<object[]>}
+ */
+async function findEntries(entries, ledgerId, opts) {
+  const docs = await entries.find(buildFilter(ledgerId, opts)).sort({ date: 1, createdAt: 1 }).toArray();
+  return docs.map(toEntryResponse);
+}
+
+/**
+ * One page of entries with keyset (cursor) pagination.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} filters - See buildFilter().
+ * @param {object} page
+ * @param {'date'|'amount'} [page.sort]
+ * @param {'asc'|'desc'} [page.order]
+ * @param {number} [page.limit]
+ * @param {{v: any, id: ObjectId}} [page.after] - Decoded cursor.
+ * @returns {Promise<{entries: object[], nextCursor: string|null}>}
+ */
+async function findEntriesPage(entries, ledgerId, filters, { sort = 'date', order = 'desc', limit = 100, after } = {}) {
+  const filter = buildFilter(ledgerId, filters);
+  const dir = order === 'asc' ? 1 : -1;
+  const cmp = dir === 1 ? '$gt' : '$lt';
+
+  if (after) {
+    // continue strictly after the last (sort value, _id) pair of the previous page
+    filter.$and = [
+      ...(filter.$and || []),
+      { $or: [{ [sort]: { [cmp]: after.v } }, { [sort]: after.v, _id: { [cmp]: after.id } }] }
+    ];
+  }
+
+  const docs = await entries
+    .find(filter)
+    .sort({ [sort]: dir, _id: dir })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = docs.length > limit;
+  const pageDocs = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    entries: pageDocs.map(toEntryResponse),
+    nextCursor: hasMore ? encodeCursor(pageDocs[pageDocs.length - 1], sort) : null
+  };
+}
+
+/**
+ * Total spent per category code.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{from?: string, to?: string}} range
+ * @returns {Promise<Object<string, number>>} { [code]: total }
+ */
+async function sumByCode(entries, ledgerId, range) {
+  const rows = await entries.aggregate([
+    ...allocationPipeline(ledgerId, range),
+    { $group: { _id: '$code', total: { $sum: '$amount' } } }
+  ]).toArray();
+  return Object.fromEntries(rows.map(row => [row._id, row.total]));
+}
+
+/**
+ * Total spent per month (YYYY-MM). A split entry's amount already is the sum
+ * of its allocations, so entries are counted whole.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{from?: string, to?: string}} range
+ * @returns {Promise<Object<string, number>>} { [month]: total }
+ */
+async function sumByMonth(entries, ledgerId, range) {
+  const rows = await entries.aggregate([
+    { $match: buildFilter(ledgerId, range) },
+    { $group: { _id: { $substrBytes: ['$date', 0, 7] }, total: { $sum: '$amount' } } }
+  ]).toArray();
+  return Object.fromEntries(rows.map(row => [row._id, row.total]));
+}
+
+/**
+ * Leading stages shared by summarize() and summaryTotals().
+ * @returns {object[]}
+ */
+function summaryMatch(ledgerId, filters, groupBy) {
+  // split entries are expanded when categories matter; otherwise they count once, whole
+  const byAllocation = groupBy === 'category' || filters.codes?.length > 0;
+  return byAllocation ? allocationPipeline(ledgerId, filters) : [{ $match: buildFilter(ledgerId, filters) }];
+}
+
+/**
+ * Totals, counts, averages and extremes per group.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} filters - See buildFilter().
+ * @param {'category'|'day'|'week'|'month'|'merchant'|'tag'|'paymentMethod'|'account'} groupBy
+ * @returns {Promise<object[]>} [{ key, total, count, average, min, max }] – time groups in ascending order
+ */
+async function summarize(entries, ledgerId, filters, groupBy) {
+  const rows = await entries.aggregate([
+    ...summaryMatch(ledgerId, filters, groupBy),
+    ...(groupBy === 'tag' ? [{ $unwind: { path: '$tags', preserveNullAndEmptyArrays: true } }] : []),
+    {
+      $group: {
+        _id: GROUP_KEYS[groupBy],
+        total: { $sum: '$amount' },
+        count: { $sum: 1 },
+        average: { $avg: '$amount' },
+        min: { $min: '$amount' },
+        max: { $max: '$amount' }
+      }
+    },
+    { $sort: RANKED_GROUPS.includes(groupBy) ? { total: -1 } : { _id: 1 } }
+  ]).toArray();
+  return rows.map(({ _id, ...row }) => ({ key: _id, ...row }));
+}
+
+/**
+ * Overall total and count of the entries summarize() groups. Computed on its
+ * own because tag groups overlap: an entry with several tags is in each of them.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} filters - See buildFilter().
+ * @param {string} groupBy - As passed to summarize().
+ * @returns {Promise<{total: number, count: number}>}
+ */
+async function summaryTotals(entries, ledgerId, filters, groupBy) {
+  const [row] = await entries.aggregate([
+    ...summaryMatch(ledgerId, filters, groupBy),
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).toArray();
+  return { total: row?.total || 0, count: row?.count || 0 };
+}
+
+/**
+ * Key under which two entries count as the same expense: date, amount and item
+ * text (case and surrounding spaces ignored).
+ * @param {string} date - YYYY-MM-DD
+ * @param {{amount: number, item?: string}} entry
+ * @returns {string}
+ */
+function duplicateKey(date, { amount, item }) {
+  return `${date}|${Number(amount).toFixed(2)}|${(item || '').trim().toLowerCase()}`;
+}
+
+/**
+ * duplicateKey()s of stored entries that match any of the candidates.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{date: string, entry: object}[]} candidates
+ * @returns {Promise<Set<string>>}
+ */
+async function findExistingKeys(entries, ledgerId, candidates) {
+  if (candidates.length === 0) return new Set();
+  const dates = candidates.map(({ date }) => date).sort();
+  const docs = await entries.find(
+    {
+      userId: ledgerId,
+      date: { $gte: dates[0], $lte: dates[dates.length - 1] },
+      amount: { $in: [...new Set(candidates.map(({ entry }) => entry.amount))] }
+    },
+    { projection: { date: 1, amount: 1, item: 1 } }
+  ).toArray();
+  return new Set(docs.map(doc => duplicateKey(doc.date, doc)));
+}
+
+/**
+ * Inserts already-built entries (see services/entrySchema.buildEntry) for one date.
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {string} date - YYYY-MM-DD
+ * @param {object[]} built
+ * @returns {Promise<object[]>} The stored entries in response shape.
+ */
+async function insertEntries(entries, ledgerId, date, built) {
+  const docs = built.map(entry => ({ ...entry, userId: ledgerId, date }));
+  await entries.insertMany(docs);
+  return docs.map(toEntryResponse);
+}
+
+/**
+ * Inserts already-built entries that each carry their own date (imports).
+ * @param {import('mongodb').Collection} entries
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {{date: string, entry: object}[]} dated
+ * @returns {Promise<number>} Number of inserted entries.
+ */
+async function insertDatedEntries(entries, ledgerId, dated) {
+  if (dated.length === 0) return 0;
+  const { insertedCount } = await entries.insertMany(
+    dated.map(({ date, entry }) => ({ ...entry, userId: ledgerId, date })),
+    { ordered: false }
+  );
+  return insertedCount;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  GROUP_BY,
+  MAX_PAGE_SIZE,
+  ensureIndexes,
+  monthRange,
+  yearRange,
+  buildFilter,
+  toEntryResponse,
+  findEntries,
+  findEntriesPage,
+  decodeCursor,
+  sumByCode,
+  sumByMonth,
+  summarize,
+  summaryTotals,
+  duplicateKey,
+  findExistingKeys,
+  insertEntries,
+  insertDatedEntries
+};
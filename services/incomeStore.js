@@ -0,0 +1,111 @@
+/**
+ * Income store – writes on `user_income` from automated sources
+ * -------------------------------------------------------------
+ * Income is one document per ledger with a month map (see routes/income.js):
+ *   { userId, income: { "2024-05": { total, sources: { salary: 50000 }, account?, accounts?, updatedAt } } }
+ *
+ * `accounts` links single sources to the account they were paid into
+ * ({ salary: "HDFC Savings" }); `account` covers the sources without a link
+ * of their own, so one month's income can be spread over several accounts.
+ *
+ * Recurring rules and statement imports add to a month's source instead of
+ * overwriting it. Each addition carries a marker key so repeating it (a crash,
+ * a retried request) is a no-op. Markers are stored inside the month record
+ * under one of MARKER_GROUPS; toMonthResponse() leaves them out of API output.
+ */
+
+// top-level keys of a month record that hold addToSource() markers
+const MARKER_GROUPS = ['recurring', 'statement'];
+
+/**
+ * A month record without its addition markers – the shape the API returns,
+ * audits and shows in the trash.
+ * @param {object|null} record - `income.<month>` value.
+ * @returns {object|null}
+ */
+function toMonthResponse(record) {
+  if (!record) return record;
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !MARKER_GROUPS.includes(key)));
+}
+
+/**
+ * Adds `amount` to a source of a month, at most once per marker.
+ * @param {import('mongodb').Collection} income
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} addition
+ * @param {string} addition.month - YYYY-MM
+ * @param {string} addition.source - Source name (no "." or "$").
+ * @param {number} addition.amount
+ * @param {string} addition.marker - Unique key of this addition under one of MARKER_GROUPS,
+ *   e.g. "recurring.<ruleId>_<date>".
+ * @param {string} [addition.account] - Account the money was paid into. A source
+ *   is paid into one account, so it only links a source that has none yet.
+ * @returns {Promise<{before: object, after: object}|null>} The month's total and
+ *   this source before and after the addition (for the audit log), or null when
+ *   the marker was already applied.
+ */
+async function addToSource(income, ledgerId, { month, source, amount, marker, account }) {
+  if (!MARKER_GROUPS.includes(marker.split('.')[0])) throw new Error(`Unknown income marker group: ${marker}`);
+  const markerPath = `income.${month}.${marker}`;
+
+  // make sure the ledger document exists so the guarded update below never upserts a duplicate
+  await income.updateOne({ userId: ledgerId }, { $setOnInsert: { income: {} } }, { upsert: true });
+  const updated = await income.findOneAndUpdate(
+    { userId: ledgerId, [markerPath]: { $exists: false } },
+    {
+      $inc: {
+        [`income.${month}.total`]: amount,
+        [`income.${month}.sources.${source}`]: amount
+      },
+      $set: { [markerPath]: amount, [`income.${month}.updatedAt`]: new Date() }
+    },
+    {
+      returnDocument: 'after',
+      projection: {
+        [`income.${month}.total`]: 1,
+        [`income.${month}.sources.${source}`]: 1,
+        [`income.${month}.accounts.${source}`]: 1
+      }
+    }
+  );
+  if (!updated) return null;
+
+  const { total, sources, accounts: linked } = updated.income[month];
+  let linkedNow = false;
+  if (account && !linked?.[source]) {
+    const accountPath = `income.${month}.accounts.${source}`;
+    const { modifiedCount } = await income.updateOne(
+      { userId: ledgerId, [accountPath]: { $exists: false } },
+      { $set: { [accountPath]: account } }
+    );
+    linkedNow = modifiedCount > 0;
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const previous = round(sources[source] - amount);
+  return {
+    before: { total: round(total - amount), sources: previous > 0 ? { [source]: previous } : {} },
+    after: { total, sources: { [source]: sources[source] }, ...(linkedNow && { accounts: { [source]: account } }) }
+  };
+}
+
+/**
+ * How much of a month's income went into each account: a source counts
+ * towards its own account, else the month's `account`, as does any part of
+ * the total not broken down into sources.
+ * @param {object|null} record - `income.<month>` value.
+ * @returns {Map<string, number>} Amount per account name as stored.
+ */
+function incomeByAccount(record) {
+  const byAccount = new Map();
+  const add = (account, amount) => {
+    if (typeof account === 'string' && amount > 0) byAccount.set(account, (byAccount.get(account) || 0) + amount);
+  };
+  const sources = Object.entries(record?.sources || {});
+  sources.forEach(([source, amount]) => add(record.accounts?.[source] || record.account, amount));
+  const unlisted = (record?.total || 0) - sources.reduce((sum, [, amount]) => sum + amount, 0);
+  add(record?.account, Math.round(unlisted * 100) / 100);
+  return byAccount;
+}
+
+module.exports = { addToSource, toMonthResponse, incomeByAccount };
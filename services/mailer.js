@@ -0,0 +1,76 @@
+/**
+ * Mailer – transport-agnostic outgoing mail
+ * -----------------------------------------
+ * ENV VARS
+ *   MAIL_TRANSPORT   console (default outside production) | file – required when
+ *                    NODE_ENV=production, where console is refused because it
+ *                    would print reset and verification tokens to the logs
+ *   MAIL_DIR         directory for the file transport (default ./tmp/mail)
+ *   MAIL_FROM        sender address (default "Vylo <no-reply@vylo.app>")
+ *
+ * Route code only calls sendMail(). Real providers plug in through
+ * registerTransport(name, fn) and are selected with MAIL_TRANSPORT.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_FROM = 'Vylo <no-reply@vylo.app>';
+
+const transports = {
+  /**
+   * Prints the message to stdout – handy for local development.
+   * @param {object} message - { from, to, subject, text }
+   */
+  async console(message) {
+    console.log(`✉️  Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  /**
+   * Writes each message as a JSON file so tests and developers can pick it up.
+   * @param {object} message - { from, to, subject, text }
+   */
+  async file(message) {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+};
+
+/**
+ * Registers (or replaces) a transport.
+ * @param {string} name - Value used in MAIL_TRANSPORT.
+ * @param {(message: object) => Promise<void>} send - Delivers one message.
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Sends a plain-text mail through the configured transport.
+ * @param {{to: string, subject: string, text: string}} message
+ * @returns {Promise<void>}
+ * @throws {Error} If the configured transport does not exist, or is missing or
+ *   console in production.
+ */
+async function sendMail({ to, subject, text }) {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? undefined : 'console');
+  if (!name) throw new Error('MAIL_TRANSPORT must be set in production');
+  if (production && name === 'console') throw new Error('The console mail transport is disabled in production');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+
+  await transport({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,144 @@
+/**
+ * Merchant store – per-ledger merchant table
+ * ------------------------------------------
+ * Entries name where money was spent in `merchant`; the spelling varies
+ * between receipts, chat, SMS and statements ("SWIGGY", "Swiggy Ltd",
+ * "swiggy.in"). Each ledger keeps one `merchants` document per merchant:
+ *
+ *   { _id, userId, name, key, aliases: [key], createdAt, updatedAt }
+ *
+ * `key` and `aliases` are normalized (see merchantKey()), so every spelling
+ * resolves to the same merchant and entries store its display `name` and
+ * `merchantId`. Unknown merchants are created on first use.
+ *
+ * Like services/entryStore.js, functions take the collection as first argument.
+ */
+const { normalizeText } = require('./categorizer');
+
+// trailing legal / regional words that do not distinguish merchants
+const SUFFIXES = new Set(['pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'india', 'in', 'com', 'online']);
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Creates the indexes used below. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} merchants
+ */
+async function ensureIndexes(merchants) {
+  await merchants.createIndex({ userId: 1, key: 1 }, { unique: true });
+  await merchants.createIndex({ userId: 1, aliases: 1 });
+}
+
+/**
+ * Normalized lookup key: "Swiggy Pvt. Ltd." → "swiggy", "AMAZON.IN" → "amazon".
+ * @param {string} name
+ * @returns {string}
+ */
+function merchantKey(name) {
+  const words = normalizeText(name).split(' ').filter(Boolean);
+  while (words.length > 1 && SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+/**
+ * Display name from free text: trimmed, single-spaced and capped.
+ * @param {string} name
+ * @returns {string}
+ */
+function displayName(name) {
+  return name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Public shape of a merchant.
+ * @param {object} doc
+ * @returns {object}
+ */
+function toMerchantResponse({ _id, userId, ...merchant }) {
+  return { id: _id.toString(), ...merchant };
+}
+
+/**
+ * Finds or creates the merchants named in `names`.
+ * @param {import('mongodb').Collection} merchants
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {string[]} names - Free-text merchant names (blank ones are skipped).
+ * @returns {Promise<Map<string, {id: import('mongodb').ObjectId, name: string}>>}
+ *   Keyed by merchantKey() of each name.
+ */
+async function resolveMerchants(merchants, ledgerId, names) {
+  const wanted = new Map();
+  names
+    .filter(name => typeof name === 'string' && name.trim())
+    .forEach((name) => {
+      const key = merchantKey(name);
+      if (key && !wanted.has(key)) wanted.set(key, displayName(name));
+    });
+  if (wanted.size === 0) return new Map();
+
+  const keys = [...wanted.keys()];
+  const lookup = async () => merchants
+    .find({ userId: ledgerId, $or: [{ key: { $in: keys } }, { aliases: { $in: keys } }] })
+    .toArray();
+
+  let docs = await lookup();
+  const known = new Set(docs.flatMap(doc => [doc.key, ...(doc.aliases || [])]));
+  const missing = keys.filter(key => !known.has(key));
+  if (missing.length > 0) {
+    const now = new Date();
+    // upserts, so concurrent inserts of the same new merchant end up with one
+    // document; a racing upsert may still lose on the unique index
+    await merchants.bulkWrite(missing.map(key => ({
+      updateOne: {
+        filter: { userId: ledgerId, key },
+        update: { $setOnInsert: { userId: ledgerId, key, name: wanted.get(key), aliases: [], createdAt: now, updatedAt: now } },
+        upsert: true
+      }
+    })), { ordered: false }).catch((err) => {
+      if (err.code !== 11000) throw err;
+    });
+    docs = await lookup();
+  }
+
+  const resolved = new Map();
+  docs.forEach((doc) => {
+    [doc.key, ...(doc.aliases || [])]
+      .filter(key => wanted.has(key))
+      .forEach(key => resolved.set(key, { id: doc._id, name: doc.name }));
+  });
+  return resolved;
+}
+
+/**
+ * Replaces each entry's free-text `merchant` with the merchant table's name
+ * and sets `merchantId`. Blank merchants are dropped; entries without one
+ * are left alone.
+ * @param {import('mongodb').Collection} merchants
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object[]} entries - Mutated in place.
+ * @returns {Promise<object[]>} The same entries.
+ */
+async function attachMerchants(merchants, ledgerId, entries) {
+  const resolved = await resolveMerchants(merchants, ledgerId, entries.map(entry => entry.merchant));
+  entries.forEach((entry) => {
+    if (typeof entry.merchant !== 'string') return;
+    if (!entry.merchant.trim()) {
+      delete entry.merchant;
+      return;
+    }
+    const merchant = resolved.get(merchantKey(entry.merchant));
+    if (!merchant) return;
+    entry.merchant = merchant.name;
+    entry.merchantId = merchant.id;
+  });
+  return entries;
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  ensureIndexes,
+  merchantKey,
+  displayName,
+  toMerchantResponse,
+  resolveMerchants,
+  attachMerchants
+};
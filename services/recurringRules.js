@@ -0,0 +1,288 @@
+/**
+ * Recurring rules – schedule math and idempotent materialization
+ * --------------------------------------------------------------
+ * A rule lives in `recurring_rules`, keyed by ledger id like the other
+ * financial collections:
+ *
+ *   { _id, userId, kind: "expense" | "income",
+ *     template,                      expense: { code, amount, item, name?, notes?, account?, … }
+ *                                    income:  { source, amount, account? }
+ *     frequency, interval,           daily | weekly | monthly | yearly, every N
+ *     startDate, endDate?, count?,   YYYY-MM-DD anchor, inclusive end / max occurrences
+ *     nextIndex, nextDate,           next occurrence to materialize (nextDate null = finished)
+ *     paused, skipped: [date],
+ *     createdBy, createdAt, updatedAt }
+ *
+ * Occurrence N falls on startDate + N × interval units. Monthly and yearly
+ * rules keep the anchor's day and clamp it to short months (31st → 28/29 Feb).
+ *
+ * Materializing an occurrence is idempotent, so a crash or two overlapping
+ * scheduler runs never double-book:
+ *   expense – upsert on the unique (userId, recurringRuleId, date) entry index
+ *   income  – services/incomeStore.addToSource with a per-occurrence marker
+ *
+ * Written occurrences are recorded in the audit log (source "recurring",
+ * acting as the rule's creator) when an `audit` collection is passed.
+ *
+ * Like services/entryStore.js, functions take their collections as arguments.
+ */
+const { buildEntry } = require('./entrySchema');
+const { MAX_NAME_LENGTH: MAX_ACCOUNT_LENGTH } = require('./accountStore');
+const incomeStore = require('./incomeStore');
+const auditLog = require('./auditLog');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const KINDS = ['expense', 'income'];
+
+// upper bound of occurrences written for one rule in one run (e.g. a daily rule started years ago)
+const MAX_CATCH_UP = 400;
+
+/**
+ * Creates the indexes used by the scheduler and the API. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} rules
+ */
+async function ensureIndexes(rules) {
+  await rules.createIndex({ paused: 1, nextDate: 1 });
+  await rules.createIndex({ userId: 1, createdAt: 1 });
+}
+
+/**
+ * Today's date in UTC as YYYY-MM-DD.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function todayString(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * UTC date with the day clamped to the length of the (possibly overflowed) month.
+ * @returns {Date}
+ */
+function clampedDate(year, monthIndex, day) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay)));
+}
+
+/**
+ * Date of occurrence `index` of a rule, ignoring end date and count.
+ * @param {{frequency: string, interval?: number, startDate: string}} rule
+ * @param {number} index - 0 for the start date.
+ * @returns {string} YYYY-MM-DD
+ */
+function occurrenceDate(rule, index) {
+  const [year, month, day] = rule.startDate.split('-').map(Number);
+  const steps = index * (rule.interval || 1);
+  let date;
+  switch (rule.frequency) {
+    case 'daily':   date = new Date(Date.UTC(year, month - 1, day + steps)); break;
+    case 'weekly':  date = new Date(Date.UTC(year, month - 1, day + 7 * steps)); break;
+    case 'monthly': date = clampedDate(year, month - 1 + steps, day); break;
+    case 'yearly':  date = clampedDate(year + steps, month - 1, day); break;
+    default: throw new Error(`unknown frequency: ${rule.frequency}`);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date of occurrence `index`, or null once the rule has ended.
+ * @param {object} rule
+ * @param {number} index
+ * @returns {string|null}
+ */
+function dateAt(rule, index) {
+  if (rule.count && index >= rule.count) return null;
+  const date = occurrenceDate(rule, index);
+  if (rule.endDate && date > rule.endDate) return null;
+  return date;
+}
+
+/**
+ * The next `limit` occurrence dates starting at the rule's nextIndex.
+ * @param {object} rule
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function upcoming(rule, limit = 5) {
+  const dates = [];
+  for (let index = rule.nextIndex; dates.length < limit; index++) {
+    const date = dateAt(rule, index);
+    if (!date) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Index of the first occurrence on or after `date`.
+ * @param {object} rule
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} [fromIndex]
+ * @returns {number}
+ */
+function firstIndexOnOrAfter(rule, date, fromIndex = 0) {
+  let index = fromIndex;
+  while (occurrenceDate(rule, index) < date) index++;
+  return index;
+}
+
+/**
+ * Validates the schedule part of a rule.
+ * @param {object} schedule - { frequency, interval?, startDate, endDate?, count? }
+ * @param {function(string): boolean} isValidDate
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateSchedule({ frequency, interval, startDate, endDate, count }, isValidDate) {
+  if (!FREQUENCIES.includes(frequency)) return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 366)) {
+    return 'interval must be an integer between 1 and 366';
+  }
+  if (!isValidDate(startDate)) return 'startDate must be a valid YYYY-MM-DD date';
+  if (endDate !== undefined && endDate !== null) {
+    if (!isValidDate(endDate)) return 'endDate must be a valid YYYY-MM-DD date';
+    if (endDate < startDate) return 'endDate must not be before startDate';
+  }
+  if (count !== undefined && count !== null && (!Number.isInteger(count) || count < 1)) {
+    return 'count must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Validates an income template.
+ * @param {object} template - { source, amount, account? }
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validateIncomeTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return 'template must be an object';
+  const unknown = Object.keys(template).filter(key => !['source', 'amount', 'account'].includes(key));
+  if (unknown.length > 0) return `unknown fields: ${unknown.join(', ')}`;
+  // the source becomes a key of income.<month>.sources
+  if (typeof template.source !== 'string' || !/^[A-Za-z0-9_ -]{1,40}$/.test(template.source)) {
+    return 'source must be 1-40 letters, digits, spaces, "-" or "_"';
+  }
+  if (typeof template.amount !== 'number' || !Number.isFinite(template.amount) || template.amount <= 0) {
+    return 'amount must be a positive number';
+  }
+  if (template.account !== undefined && (typeof template.account !== 'string' ||
+      template.account.trim() === '' || template.account.length > MAX_ACCOUNT_LENGTH)) {
+    return `account must be a non-empty string (max ${MAX_ACCOUNT_LENGTH} chars)`;
+  }
+  return null;
+}
+
+/**
+ * Writes one expense occurrence as an entry (no-op if it already exists).
+ * @returns {Promise<object|null>} Audit change for a new entry.
+ */
+async function materializeExpense(entries, rule, date) {
+  const entry = buildEntry(rule.template, rule.createdBy);
+  const { upsertedCount } = await entries.updateOne(
+    { userId: rule.userId, recurringRuleId: rule._id, date },
+    { $setOnInsert: entry },
+    { upsert: true }
+  );
+  if (upsertedCount === 0) return null;
+  return { entity: 'entry', entityId: entry.id, action: 'create', after: { ...entry, recurringRuleId: rule._id, date } };
+}
+
+/**
+ * Adds one income occurrence to its month (no-op if already applied). The
+ * template's account links the source unless it is already linked.
+ * @returns {Promise<object|null>} Audit change when the income was added.
+ */
+async function materializeIncome(income, rule, date) {
+  const month = date.slice(0, 7);
+  const added = await incomeStore.addToSource(income, rule.userId, {
+    month,
+    source: rule.template.source,
+    amount: rule.template.amount,
+    marker: `recurring.${rule._id}_${date}`,
+    account: rule.template.account
+  });
+  if (!added) return null;
+  return { entity: 'income', entityId: month, action: 'update', ...added };
+}
+
+/**
+ * Materializes every occurrence of a rule due on or before `today` and
+ * advances the rule. The advance is conditional on the nextIndex read, so a
+ * concurrent edit or run is never rewound.
+ * @param {{rules: Collection, entries: Collection, income: Collection, audit?: Collection}} colls
+ * @param {object} rule - Rule document.
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Promise<number>} Occurrences written.
+ */
+async function materializeRule({ rules, entries, income, audit }, rule, today = todayString()) {
+  if (rule.paused) return 0;
+
+  let index = rule.nextIndex;
+  let written = 0;
+  const changes = [];
+  for (let date = dateAt(rule, index); date && date <= today && written < MAX_CATCH_UP; date = dateAt(rule, index)) {
+    const change = rule.kind === 'income'
+      ? await materializeIncome(income, rule, date)
+      : await materializeExpense(entries, rule, date);
+    if (change) changes.push(change);
+    index++;
+    written++;
+  }
+  if (audit && changes.length > 0) {
+    await auditLog.record(audit, rule.userId, { actor: { userId: rule.createdBy }, source: 'recurring' }, changes);
+  }
+
+  if (index !== rule.nextIndex) {
+    await rules.updateOne(
+      { _id: rule._id, nextIndex: rule.nextIndex },
+      { $set: { nextIndex: index, nextDate: dateAt(rule, index), lastRunAt: new Date() } }
+    );
+  }
+  return written;
+}
+
+/**
+ * Materializes all due, unpaused rules.
+ * @param {{rules: Collection, entries: Collection, income: Collection, audit?: Collection}} colls
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Promise<{rules: number, occurrences: number}>}
+ */
+async function materializeDue(colls, today = todayString()) {
+  let ruleCount = 0;
+  let occurrences = 0;
+  for await (const rule of colls.rules.find({ paused: false, nextDate: { $ne: null, $lte: today } })) {
+    try {
+      occurrences += await materializeRule(colls, rule, today);
+      ruleCount++;
+    } catch (err) {
+      // one broken rule must not hold up the others
+      console.error(`Failed to materialize recurring rule ${rule._id}:`, err);
+    }
+  }
+  return { rules: ruleCount, occurrences };
+}
+
+/**
+ * Public shape of a rule.
+ * @param {object} rule
+ * @returns {object}
+ */
+function toRuleResponse(rule) {
+  const { _id, userId, ...fields } = rule;
+  return { id: _id.toString(), ...fields, upcoming: upcoming(rule) };
+}
+
+module.exports = {
+  FREQUENCIES,
+  KINDS,
+  ensureIndexes,
+  todayString,
+  occurrenceDate,
+  dateAt,
+  upcoming,
+  firstIndexOnOrAfter,
+  validateSchedule,
+  validateIncomeTemplate,
+  materializeRule,
+  materializeDue,
+  toRuleResponse
+};
@@ -0,0 +1,77 @@
+/**
+ * In-process scheduler for recurring rules
+ * ----------------------------------------
+ * Every RECURRING_INTERVAL_MINUTES (default 60) materializes the occurrences
+ * of all unpaused rules that are due (see services/recurringRules.js). Runs
+ * never overlap within a process, and materialization is idempotent, so
+ * several API instances may run the scheduler side by side.
+ *
+ * Set RECURRING_SCHEDULER=off to disable it (e.g. on secondary instances).
+ */
+const { MongoClient } = require('mongodb');
+const recurringRules = require('./recurringRules');
+const entryStore = require('./entryStore');
+
+const INTERVAL_MS = (Number(process.env.RECURRING_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const client = new MongoClient(process.env.MONGO_URI || 'mongodb://localhost:27017');
+let colls;
+let timer = null;
+let running = false;
+
+async function connect() {
+  if (colls) return colls;
+  await client.connect();
+  const db = client.db(process.env.MONGO_DB || 'pf_dev');
+  colls = {
+    rules: db.collection('recurring_rules'),
+    entries: db.collection('entries'),
+    income: db.collection('user_income'),
+    audit: db.collection('audit_log')
+  };
+  // the expense upsert relies on the unique occurrence index
+  await recurringRules.ensureIndexes(colls.rules);
+  await entryStore.ensureIndexes(colls.entries);
+  return colls;
+}
+
+/**
+ * Materializes everything due now. Skipped if a run is still in progress.
+ * @returns {Promise<{rules: number, occurrences: number}|null>}
+ */
+async function runOnce() {
+  if (running) return null;
+  running = true;
+  try {
+    const result = await recurringRules.materializeDue(await connect());
+    if (result.occurrences > 0) {
+      console.log(`Recurring scheduler: ${result.occurrences} occurrence(s) from ${result.rules} rule(s)`);
+    }
+    return result;
+  } catch (err) {
+    console.error('Recurring scheduler run failed:', err);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts the periodic runs (first one immediately). No-op when disabled or already started.
+ */
+function start() {
+  if (timer || process.env.RECURRING_SCHEDULER === 'off') return;
+  runOnce();
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref();   // never keeps the process alive on its own
+}
+
+/**
+ * Stops the periodic runs.
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
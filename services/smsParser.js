@@ -0,0 +1,205 @@
+/**
+ * Transaction SMS parser – bank / UPI / card alerts → structured transactions
+ * ---------------------------------------------------------------------------
+ * Rule based, no LLM: amount, direction, counterparty (merchant name and/or
+ * VPA), account tail, payment method, date and reference are pulled out with patterns that
+ * cover the alert formats of the major Indian banks and UPI apps. The sample
+ * corpus in data/smsSamples.json documents the supported formats and is
+ * checked by `npm run check:sms`.
+ */
+const { parseStatementDate } = require('./statementParsers');
+
+const CURRENCY = String.raw`(?:rs\.?|inr|₹)`;
+const AMOUNT_RE = new RegExp(String.raw`${CURRENCY}\s*([\d,]+(?:\.\d{1,2})?)`, 'gi');
+// some alerts omit the currency: "A/C X4567 debited by 89.0 on date …"
+const BARE_AMOUNT_RE = /\b(?:debited|credited)\s+(?:by|with|for)\s+([\d,]+(?:\.\d{1,2})?)\b/i;
+// amounts preceded by these words are balances / limits, not the transaction
+const BALANCE_RE = /(?:bal(?:ance)?|avl|available|limit|outstanding)[\s:.a-z]{0,12}$/i;
+
+const DEBIT_RE = /\b(debited|debit|spent|paid|sent|withdrawn|withdrawal|purchase|dr)\b/i;
+const CREDIT_RE = /\b(credited|credit|received|deposited|refund(?:ed)?|cr)\b/i;
+const NON_TXN_RE = /\b(otp|one time password|verification code|will be debited|is due|due on|requested money|collect request)\b/i;
+
+const ACCOUNT_RE = /\b(?:a\/c|acct|account|card|ac)\s*(?:no\.?\s*)?(?:ending\s*(?:with\s*)?)?[x*]*\s?(\d{3,4})\b/i;
+const VPA_RE = /\b([a-z0-9][a-z0-9._-]{1,}@[a-z][a-z0-9]{1,})\b/i;
+// the reference must contain a digit so "UPI user" is not read as one
+const REF_RE = /\b(?:upi(?:\s*ref(?:\s*no)?)?|ref(?:erence)?(?:\s*no)?|rrn|txn\s*(?:id|no)|utr)\b[.:\s#-]*((?=[a-z]*\d)[a-z0-9]{6,})/i;
+const DATE_RES = [
+  /\b(\d{4}-\d{2}-\d{2})\b/,
+  /\b(\d{1,2}[-/.](?:\d{1,2}|[a-z]{3})[-/.]\d{2,4})\b/i,
+  /\b(\d{1,2}\s?[a-z]{3}\s?\d{2,4})\b/i
+];
+// the counterparty follows "at"/"to" (debits) or "from"/"by" (credits) and ends
+// before the next clause; "from" on a debit names the payer's own account
+const STOP = String.raw`(?=\s+(?:on|ref(?:no)?|upi|via|using|avl|bal|info|for|and|from|thru|through|txn|if|not)\b|[.,;(]|\s*$)`;
+const NOT_NAME = String.raw`(?!(?:a\/c|ac|acct|account|your|vpa|upi|card|on)\b|(?:rs|inr)\.?\s*\d)`;
+const AT_RE = new RegExp(String.raw`\bat\s+${NOT_NAME}([a-z0-9][\w&'* -]{1,40}?)${STOP}`, 'i');
+const INFO_RE = /\binfo[:\s]+(?:upi\/|pos\/|ecom\/)?([a-z][\w&'. -]{1,40}?)(?=[/.,]|\s*$)/i;
+// "UPI/P2M/412377778888/NETFLIX"
+const UPI_PATH_RE = /\bupi\/(?:p2[am]\/)?\d{6,}\/([a-z][\w&'. -]{1,40}?)(?=[/.,]|\s*$)/i;
+const MERCHANT_RES = {
+  debit: [
+    AT_RE,
+    new RegExp(String.raw`\b(?:paid to|sent to|transfer(?:red)? to|trf to|to)\s+${NOT_NAME}([a-z][\w&'. -]{1,40}?)${STOP}`, 'i'),
+    // ICICI: "debited for Rs 320.00 on 05-May-24; UBER INDIA credited"
+    /;\s*([a-z][\w&'. -]{1,40}?)\s+credited\b/i,
+    UPI_PATH_RE,
+    INFO_RE
+  ],
+  credit: [
+    AT_RE,
+    new RegExp(String.raw`\b(?:from|by)\s+${NOT_NAME}([a-z][\w&'. -]{1,40}?)${STOP}`, 'i'),
+    UPI_PATH_RE,
+    INFO_RE
+  ]
+};
+// checked in order: an ATM withdrawal is cash even when made with a card,
+// and a "UPI … card" alert is a UPI payment
+const PAYMENT_METHOD_RES = [
+  ['cash', /\b(?:atm|cash\s+withdrawal)\b/i],
+  ['wallet', /\bwallet\b/i],
+  ['upi', /\bupi\b/i],
+  ['card', /\bcard\b/i],
+  ['netbanking', /\b(?:neft|imps|rtgs|net\s?banking)\b/i]
+];
+const BANKS = ['HDFC', 'ICICI', 'SBI', 'Axis', 'Kotak', 'Yes Bank', 'IDFC', 'PNB', 'Canara', 'Bank of Baroda', 'IndusInd', 'Paytm', 'AU'];
+
+/**
+ * Title-cases a counterparty name.
+ * @param {string} name
+ * @returns {string}
+ */
+function titleCase(name) {
+  return name.toLowerCase().replace(/\s+/g, ' ').trim().replace(/\b[a-z]/g, ch => ch.toUpperCase());
+}
+
+/**
+ * Readable name from a VPA handle: "swiggy@icici" → "Swiggy",
+ * "paytm-zomato.rzp@paytm" → "Zomato".
+ * @param {string} vpa
+ * @returns {string|null}
+ */
+function nameFromVpa(vpa) {
+  const local = vpa.split('@')[0]
+    .replace(/^(paytm|bharatpe|gpay|phonepe|pay|q\d+)[-.]?/i, '')
+    .replace(/\.(rzp|payu|cashfree|ccavenue)$/i, '')
+    .replace(/[._-]?\d+$/, '');
+  if (local.length < 2 || /^\d+$/.test(local)) return null;
+  return titleCase(local.replace(/[._-]+/g, ' '));
+}
+
+/**
+ * First transaction amount, skipping balances and limits.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function findAmount(text) {
+  for (const match of text.matchAll(AMOUNT_RE)) {
+    if (BALANCE_RE.test(text.slice(Math.max(0, match.index - 20), match.index))) continue;
+    const amount = Number(match[1].replace(/,/g, ''));
+    if (amount > 0) return amount;
+  }
+  const bare = BARE_AMOUNT_RE.exec(text);
+  const amount = bare ? Number(bare[1].replace(/,/g, '')) : 0;
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Debit or credit, decided by whichever keyword comes first
+ * ("debited from A/c … credited to VPA …" is a debit for the account holder).
+ * @param {string} text
+ * @returns {'debit'|'credit'|null}
+ */
+function findDirection(text) {
+  const debit = DEBIT_RE.exec(text);
+  const credit = CREDIT_RE.exec(text);
+  if (debit && (!credit || debit.index < credit.index)) return 'debit';
+  if (credit) return 'credit';
+  return null;
+}
+
+/**
+ * Transaction date in the message, if any.
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD
+ */
+function findDate(text) {
+  for (const re of DATE_RES) {
+    const match = re.exec(text);
+    if (!match) continue;
+    // "03Jan24" → "03 Jan 24" so the parts can be split
+    const spaced = match[1].replace(/(\d)([a-z])/gi, '$1 $2').replace(/([a-z])(\d)/gi, '$1 $2');
+    const date = parseStatementDate(spaced, 'DMY');
+    if (date) return date;
+  }
+  return null;
+}
+
+/**
+ * The text with the matched VPA blanked out, so the payee's handle
+ * ("swiggy@icici") is not read as a name or as the payer's bank.
+ * @param {string} text
+ * @param {string|null} vpa
+ * @returns {string}
+ */
+function stripVpa(text, vpa) {
+  return vpa ? text.replace(new RegExp(vpa.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), ' ') : text;
+}
+
+/**
+ * Counterparty name from the text, ignoring the matched VPA itself.
+ * @param {string} text
+ * @param {string|null} vpa
+ * @param {'debit'|'credit'} direction
+ * @returns {string|null}
+ */
+function findMerchant(text, vpa, direction) {
+  const withoutVpa = stripVpa(text, vpa);
+  for (const re of MERCHANT_RES[direction]) {
+    const match = re.exec(withoutVpa);
+    if (!match) continue;
+    const name = match[1].replace(/\bvpa\b/i, '').trim();
+    // skip masked numbers ("to XX1234") and bare words left over from the template
+    if (name.length >= 2 && !/^[x*\d\s]+$/i.test(name) && !/^(vpa|upi|mobile|beneficiary)$/i.test(name)) {
+      return titleCase(name);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses one SMS.
+ * @param {string} text - SMS body.
+ * @returns {{transaction?: object, error?: string}}
+ *   transaction: { amount, direction, merchant, vpa, account, paymentMethod, date, reference, bank }
+ */
+function parseSms(text) {
+  if (typeof text !== 'string' || text.trim() === '') return { error: 'empty message' };
+  const body = text.replace(/\s+/g, ' ').trim();
+
+  if (NON_TXN_RE.test(body)) return { error: 'not a transaction alert' };
+  const amount = findAmount(body);
+  const direction = findDirection(body);
+  if (!amount || !direction) return { error: 'not a transaction alert' };
+
+  const vpa = VPA_RE.exec(body)?.[1].toLowerCase() || null;
+  const merchant = findMerchant(body, vpa, direction) || (vpa && nameFromVpa(vpa)) || null;
+  const paymentMethod = vpa ? 'upi' : PAYMENT_METHOD_RES.find(([, re]) => re.test(body))?.[0] || null;
+  const bank = BANKS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(stripVpa(body, vpa))) || null;
+
+  return {
+    transaction: {
+      amount,
+      direction,
+      merchant,
+      vpa,
+      account: ACCOUNT_RE.exec(body)?.[1] || null,
+      paymentMethod,
+      date: findDate(body),
+      reference: REF_RE.exec(body)?.[1] || null,
+      bank
+    }
+  };
+}
+
+module.exports = { parseSms, nameFromVpa };
@@ -0,0 +1,246 @@
+/**
+ * Bank statement parsers – OFX/QFX, QIF and Indian bank CSV presets
+ * -----------------------------------------------------------------
+ * Every parser returns the same normalized shape:
+ *
+ *   { transactions: [{ line, date: "YYYY-MM-DD", amount, description, reference }],
+ *     errors: [{ line, error }] }
+ *
+ * `amount` is signed from the account holder's view: negative = money out
+ * (debit), positive = money in (credit). `line` points back into the file
+ * (record number for OFX/QIF, row number for CSV) for error reporting.
+ */
+const { parseCsv } = require('./csv');
+const { parseAmount } = require('./entryImport');
+const { isValidDate } = require('./entrySchema');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Column layouts of the CSV / XLS-as-CSV statements offered by net banking.
+ * Header labels are compared without case, spaces or punctuation.
+ */
+const CSV_PRESETS = {
+  hdfc: {
+    date: 'Date', description: 'Narration', reference: 'Chq./Ref.No.',
+    debit: 'Withdrawal Amt.', credit: 'Deposit Amt.', order: 'DMY'
+  },
+  icici: {
+    date: 'Transaction Date', description: 'Transaction Remarks', reference: 'Cheque Number',
+    debit: 'Withdrawal Amount (INR )', credit: 'Deposit Amount (INR )', order: 'DMY'
+  },
+  sbi: {
+    date: 'Txn Date', description: 'Description', reference: 'Ref No./Cheque No.',
+    debit: 'Debit', credit: 'Credit', order: 'DMY'
+  },
+  axis: {
+    date: 'Tran Date', description: 'PARTICULARS', reference: 'CHQNO',
+    debit: 'DR', credit: 'CR', order: 'DMY'
+  }
+};
+
+const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
+const headerKey = label => String(label).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parses the many date spellings found in statements: 03/01/2024, 03-01-24,
+ * 3 Jan 2024, 03-JAN-2024, 2024-01-03, QIF's 1/ 3'24 …
+ * @param {string} value
+ * @param {'DMY'|'MDY'|'YMD'} order - Position of day, month and year for numeric dates.
+ * @returns {string|null} YYYY-MM-DD, or null when not a real date.
+ */
+function parseStatementDate(value, order) {
+  const parts = String(value).trim().split(/[^A-Za-z0-9]+/).filter(Boolean);
+  if (parts.length !== 3) return null;
+
+  let day;
+  let month;
+  let year;
+  const named = parts.findIndex(part => /^[a-z]{3,}$/i.test(part));
+  if (named !== -1) {
+    // a month name fixes the month; the 4-digit (or last) part is the year
+    month = MONTHS.indexOf(parts[named].slice(0, 3).toLowerCase()) + 1;
+    const rest = parts.filter((_, index) => index !== named);
+    [day, year] = rest[0].length === 4 ? [rest[1], rest[0]] : rest;
+  } else if (/^\d{4}$/.test(parts[0]) || order === 'YMD') {
+    [year, month, day] = parts;
+  } else {
+    [day, month, year] = order === 'MDY' ? [parts[1], parts[0], parts[2]] : parts;
+  }
+
+  year = String(year);
+  if (year.length === 2) year = `20${year}`;
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return isValidDate(date) ? date : null;
+}
+
+/**
+ * OFX 1.x (SGML) and 2.x (XML) / QFX bank and card statements.
+ * @param {string} text
+ * @returns {{transactions: object[], errors: object[]}}
+ */
+function parseOfx(text) {
+  const transactions = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  blocks.forEach((block, index) => {
+    // SGML OFX leaves leaf elements unclosed, so read up to the next tag or line end
+    const field = (tag) => {
+      const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+      return match ? match[1].trim() : '';
+    };
+    const line = index + 1;
+    const posted = field('DTPOSTED');
+    const date = /^\d{8}/.test(posted)
+      ? parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YMD')
+      : null;
+    const amount = Number(field('TRNAMT').replace(/,/g, ''));
+
+    if (!date) return errors.push({ line, error: `invalid DTPOSTED: ${posted}` });
+    if (!field('TRNAMT') || !Number.isFinite(amount)) return errors.push({ line, error: `invalid TRNAMT: ${field('TRNAMT')}` });
+
+    const name = field('NAME');
+    const memo = field('MEMO');
+    transactions.push({
+      line,
+      date,
+      amount,
+      description: [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' – ') || field('TRNTYPE'),
+      reference: field('FITID') || null
+    });
+  });
+
+  if (blocks.length === 0) errors.push({ line: 0, error: 'no <STMTTRN> transactions found' });
+  return { transactions, errors };
+}
+
+/**
+ * QIF (Quicken Interchange Format) bank / card accounts.
+ * @param {string} text
+ * @param {{order?: 'DMY'|'MDY'|'YMD'}} [opts] - Date order; QIF doesn't record it.
+ * @returns {{transactions: object[], errors: object[]}}
+ */
+function parseQif(text, { order = 'DMY' } = {}) {
+  const transactions = [];
+  const errors = [];
+  let record = {};
+  let line = 0;
+
+  const flush = () => {
+    if (Object.keys(record).length === 0) return;
+    line++;
+    const date = parseStatementDate(record.D || '', order);
+    const amount = parseAmount(record.T || record.U || '');
+    if (!date) errors.push({ line, error: `invalid date: ${record.D}` });
+    else if (Number.isNaN(amount)) errors.push({ line, error: `invalid amount: ${record.T || record.U}` });
+    else {
+      transactions.push({
+        line,
+        date,
+        amount,
+        description: [record.P, record.M && record.M !== record.P ? record.M : ''].filter(Boolean).join(' – '),
+        reference: record.N || null
+      });
+    }
+    record = {};
+  };
+
+  text.split(/\r?\n/).forEach((raw) => {
+    const row = raw.trim();
+    if (!row || row.startsWith('!')) return;   // blank lines and !Type: headers
+    if (row === '^') return flush();
+    const code = row[0];
+    if (!(code in record)) record[code] = row.slice(1).trim();
+  });
+  flush();   // tolerate a missing final "^"
+
+  return { transactions, errors };
+}
+
+/**
+ * CSV statement in one of the CSV_PRESETS layouts. Banner lines above the
+ * header, separator rows and the totals footer are skipped.
+ * @param {string} text
+ * @param {string} bank - Key of CSV_PRESETS.
+ * @returns {{transactions: object[], errors: object[]}}
+ */
+function parseBankCsv(text, bank) {
+  const preset = CSV_PRESETS[bank];
+  const rows = parseCsv(text);
+  const wanted = ['date', 'description', 'reference', 'debit', 'credit'];
+
+  const headerIndex = rows.findIndex((row) => {
+    const keys = row.map(headerKey);
+    return keys.includes(headerKey(preset.date)) && keys.includes(headerKey(preset.description));
+  });
+  if (headerIndex === -1) {
+    return { transactions: [], errors: [{ line: 0, error: `no ${bank.toUpperCase()} statement header found` }] };
+  }
+
+  const keys = rows[headerIndex].map(headerKey);
+  const columns = Object.fromEntries(wanted.map(field => [field, keys.indexOf(headerKey(preset[field]))]));
+  const missing = wanted.filter(field => field !== 'reference' && columns[field] === -1);
+  if (missing.length > 0) {
+    return { transactions: [], errors: [{ line: headerIndex + 1, error: `missing columns: ${missing.join(', ')}` }] };
+  }
+
+  const transactions = [];
+  const errors = [];
+  rows.slice(headerIndex + 1).forEach((cells, index) => {
+    const line = headerIndex + index + 2;
+    const cell = field => (columns[field] === -1 ? '' : (cells[columns[field]] || '').trim());
+
+    const date = parseStatementDate(cell('date'), preset.order);
+    if (!date) return;   // "*****" separators, opening balance and totals lines
+
+    const debit = cell('debit') ? parseAmount(cell('debit')) : 0;
+    const credit = cell('credit') ? parseAmount(cell('credit')) : 0;
+    if (Number.isNaN(debit) || Number.isNaN(credit)) {
+      return errors.push({ line, error: `invalid amount: ${cell('debit') || cell('credit')}` });
+    }
+    const amount = credit - debit;
+    if (amount === 0) return;
+
+    transactions.push({
+      line,
+      date,
+      amount,
+      description: cell('description').replace(/\s+/g, ' '),
+      reference: cell('reference') && !/^0+$/.test(cell('reference')) ? cell('reference') : null
+    });
+  });
+
+  return { transactions, errors };
+}
+
+/**
+ * Dispatches to the parser for a statement format.
+ * @param {object} statement
+ * @param {'ofx'|'qfx'|'qif'|'csv'} statement.format
+ * @param {string} statement.content
+ * @param {string} [statement.bank] - CSV preset, required for csv.
+ * @param {'DMY'|'MDY'|'YMD'} [statement.dateOrder] - For QIF.
+ * @returns {{transactions: object[], errors: object[]}}
+ */
+function parseStatement({ format, content, bank, dateOrder }) {
+  switch (format) {
+    case 'ofx':
+    case 'qfx': return parseOfx(content);
+    case 'qif': return parseQif(content, { order: dateOrder });
+    case 'csv': return parseBankCsv(content, bank);
+    default: throw new Error(`unsupported format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS: ['ofx', 'qfx', 'qif', 'csv'],
+  BANKS: Object.keys(CSV_PRESETS),
+  DATE_ORDERS,
+  parseStatementDate,
+  parseOfx,
+  parseQif,
+  parseBankCsv,
+  parseStatement
+};
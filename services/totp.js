@@ -0,0 +1,126 @@
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication
+ * -----------------------------------------------------
+ * 30-second steps, 6 digits, HMAC-SHA1 – the defaults every authenticator
+ * app (Google Authenticator, Authy, 1Password…) understands.
+ */
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes a buffer as unpadded RFC 4648 base32.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decodes RFC 4648 base32 (case-insensitive, padding and spaces ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet.
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random 160-bit secret.
+ * @returns {string} Base32 secret to store and show to the user.
+ */
+function generateSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Computes the code for a given time step.
+ * @param {string} secret - Base32 secret.
+ * @param {number} step - Counter (seconds since epoch / 30).
+ * @returns {string} Zero-padded 6-digit code.
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a user-supplied code, tolerating one step of clock drift either way.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code typed by the user.
+ * @param {object} [opts]
+ * @param {number} [opts.afterStep] - Reject steps ≤ this one (replay protection).
+ * @param {number} [opts.now] - Current time in ms (for tests).
+ * @returns {number|null} The matching step, or null when the code is invalid.
+ */
+function verifyCode(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {string} secret - Base32 secret.
+ * @param {string} accountName - Usually the user's email.
+ * @param {string} [issuer] - App name shown in the authenticator.
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'Vylo') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri
+};
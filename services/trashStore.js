@@ -0,0 +1,90 @@
+/**
+ * Trash store – soft deletes for entries, budgets and income
+ * ----------------------------------------------------------
+ * Deletes move the removed data into the `trash` collection instead of
+ * dropping it, so a misread chat command or a wrong tap can be undone:
+ *
+ *   { _id, userId, kind: "entries" | "budget" | "income", label,
+ *     payload, undoToken, deletedBy, deletedAt, expiresAt }
+ *
+ * `payload` is whatever the restore needs: the entry documents, or
+ * `{ month, value }` for a month's budget / income. Items expire after
+ * TRASH_RETENTION_DAYS through a TTL index. Every delete response carries the
+ * item's `undoToken`, which restores it without listing the trash first.
+ *
+ * Like services/entryStore.js, functions take the collection as first argument.
+ */
+const { randomBytes } = require('crypto');
+const { toMonthResponse } = require('./incomeStore');
+
+const TRASH_RETENTION_DAYS = 30;
+// trash kind → scope resource (requireScope) needed to see / restore it
+const KINDS = { entries: 'entries', budget: 'budgets', income: 'income' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the indexes used below. Safe to call repeatedly.
+ * @param {import('mongodb').Collection} trash
+ */
+async function ensureIndexes(trash) {
+  await trash.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await trash.createIndex({ userId: 1, deletedAt: -1 });
+  await trash.createIndex({ undoToken: 1 }, { unique: true });
+}
+
+/**
+ * Stores deleted data in the trash.
+ * @param {import('mongodb').Collection} trash
+ * @param {import('mongodb').ObjectId} ledgerId
+ * @param {object} item
+ * @param {'entries'|'budget'|'income'} item.kind
+ * @param {string} item.label - Human-readable description ("entries for 2024-05").
+ * @param {any} item.payload - What restoring puts back.
+ * @param {import('mongodb').ObjectId} item.deletedBy - Acting user.
+ * @returns {Promise<{trashId: string, undoToken: string, expiresAt: Date}>}
+ *   Spread into the delete response.
+ */
+async function moveToTrash(trash, ledgerId, { kind, label, payload, deletedBy }) {
+  const now = new Date();
+  const doc = {
+    userId: ledgerId,
+    kind,
+    label,
+    payload,
+    undoToken: randomBytes(16).toString('hex'),
+    deletedBy,
+    deletedAt: now,
+    expiresAt: new Date(now.getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+  };
+  const { insertedId } = await trash.insertOne(doc);
+  return { trashId: insertedId.toString(), undoToken: doc.undoToken, expiresAt: doc.expiresAt };
+}
+
+/**
+ * Public shape of a trash item; entry payloads are summarized unless
+ * `withPayload` is set.
+ * @param {object} doc
+ * @param {object} [opts]
+ * @param {boolean} [opts.withPayload]
+ * @returns {object}
+ */
+function toTrashResponse({ _id, userId, undoToken, payload, ...item }, { withPayload = false } = {}) {
+  const summary = item.kind === 'entries'
+    ? {
+      count: payload.length,
+      total: Math.round(payload.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0) * 100) / 100
+    }
+    : { month: payload.month };
+  const details = item.kind === 'entries'
+    ? { entries: payload.map(({ _id: entryId, userId: ledgerId, ...entry }) => entry) }
+    : { value: item.kind === 'income' ? toMonthResponse(payload.value) : payload.value };
+  return { id: _id.toString(), ...item, ...summary, ...(withPayload && details) };
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  KINDS,
+  ensureIndexes,
+  moveToTrash,
+  toTrashResponse
+};
@@ -0,0 +1,131 @@
+/**
+ * Registry of every collection that stores per-user data
+ * ------------------------------------------------------
+ * Account deletion and the data export both walk these lists, so a new
+ * collection holding user data only has to be registered here.
+ *
+ *   name    – collection name
+ *   key     – field holding the user's ObjectId
+ *   export  – include in GET /auth/export (credentials are never exported)
+ *   omit    – fields stripped from exported documents
+ *
+ * LEDGER_COLLECTIONS hold financial data keyed by ledger id – a user id for
+ * the personal ledger or a household id (see middlewares/resolveLedger.js).
+ */
+const LEDGER_COLLECTIONS = [
+  { name: 'entries',                key: 'userId', export: true },
+  { name: 'user_entries',           key: 'userId', export: true },   // legacy, pre-migration
+  { name: 'user_budgets',           key: 'userId', export: true },
+  { name: 'user_income',            key: 'userId', export: true },
+  { name: 'budget_reassignments',   key: 'userId', export: true },
+  { name: 'user_categories',        key: 'userId', export: true },
+  { name: 'recurring_rules',        key: 'userId', export: true },
+  { name: 'statement_imports',      key: 'userId', export: true },
+  { name: 'categorization_rules',   key: 'userId', export: true },
+  { name: 'merchants',              key: 'userId', export: true },
+  { name: 'trash',                  key: 'userId', export: true },
+  { name: 'accounts',               key: 'userId', export: true },
+  { name: 'account_transfers',      key: 'userId', export: true },
+  { name: 'account_reconciliations', key: 'userId', export: true },
+  { name: 'audit_log',              key: 'userId', export: true }
+];
+
+const USER_COLLECTIONS = [
+  ...LEDGER_COLLECTIONS,
+  { name: 'sessions',               key: 'userId', export: true },
+  { name: 'refresh_tokens',         key: 'userId', export: false },
+  { name: 'one_time_tokens',        key: 'userId', export: false },
+  { name: 'personal_access_tokens', key: 'userId', export: true, omit: ['tokenHash'] }
+];
+
+// never leave the server, not even in the user's own export
+const USER_DOC_OMIT = ['passwordHash', 'mfa'];
+
+/**
+ * Removes the given top-level fields from a document.
+ * @param {object} doc
+ * @param {string[]} fields
+ * @returns {object}
+ */
+function omitFields(doc, fields = []) {
+  const copy = { ...doc };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Deletes every ledger document stored under a ledger id.
+ * @param {import('mongodb').Db} db
+ * @param {import('mongodb').ObjectId} ledgerId - User id or household id.
+ * @returns {Promise<object>} Deleted document count per collection.
+ */
+async function deleteLedgerData(db, ledgerId) {
+  const deleted = {};
+  for (const { name, key } of LEDGER_COLLECTIONS) {
+    const { deletedCount } = await db.collection(name).deleteMany({ [key]: ledgerId });
+    deleted[name] = deletedCount;
+  }
+  return deleted;
+}
+
+/**
+ * Collects everything stored for a user into one JSON-serialisable archive.
+ * @param {import('mongodb').Db} db
+ * @param {import('mongodb').ObjectId} userId
+ * @returns {Promise<object>} { exportedAt, user, collections: { [name]: doc[] } }
+ */
+async function exportUserData(db, userId) {
+  const user = await db.collection('users').findOne({ _id: userId });
+
+  const collections = {};
+  for (const { name, key, omit } of USER_COLLECTIONS.filter((c) => c.export)) {
+    const docs = await db.collection(name).find({ [key]: userId }).toArray();
+    collections[name] = docs.map((doc) => omitFields(doc, omit));
+  }
+  collections.households = await db.collection('households').find({ 'members.userId': userId }).toArray();
+
+  return {
+    exportedAt: new Date(),
+    user: user ? { ...omitFields(user, USER_DOC_OMIT), mfaEnabled: user.mfa?.enabled === true } : null,
+    collections
+  };
+}
+
+/**
+ * Deletes the user document and every registered per-user collection.
+ * @param {import('mongodb').Db} db
+ * @param {import('mongodb').ObjectId} userId
+ * @returns {Promise<object>} Deleted document count per collection.
+ */
+async function deleteUserData(db, userId) {
+  const deleted = {};
+  for (const { name, key } of USER_COLLECTIONS) {
+    const { deletedCount } = await db.collection(name).deleteMany({ [key]: userId });
+    deleted[name] = deletedCount;
+  }
+
+  // households the user owns go away with their ledgers; elsewhere they just leave
+  const owned = await db.collection('households').find({ ownerId: userId }, { projection: { _id: 1 } }).toArray();
+  for (const { _id } of owned) {
+    await deleteLedgerData(db, _id);
+    await db.collection('household_invitations').deleteMany({ householdId: _id });
+  }
+  deleted.households = (await db.collection('households').deleteMany({ ownerId: userId })).deletedCount;
+  await db.collection('households').updateMany(
+    { 'members.userId': userId },
+    { $pull: { members: { userId } } }
+  );
+
+  // the user document goes last so a failure above can be retried by the user
+  const { deletedCount } = await db.collection('users').deleteOne({ _id: userId });
+  deleted.users = deletedCount;
+  return deleted;
+}
+
+module.exports = {
+  USER_COLLECTIONS,
+  LEDGER_COLLECTIONS,
+  exportUserData,
+  deleteUserData,
+  deleteLedgerData
+};
@@ -0,0 +1,216 @@
+/**
+ * Login throttling with MFA – routes/auth.js against an in-memory stand-in
+ * for MongoDB, so it runs without a database.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongodb = require('mongodb');
+
+const { ObjectId } = mongodb;
+
+/**
+ * Value at a dotted path.
+ * @param {object} doc
+ * @param {string} path
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+  parent[last] = value;
+}
+
+function equal(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) return String(a) === String(b);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * The filter subset routes/auth.js uses: equality, $in, $gt, $exists, $not.
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, cond]) => matchesValue(getPath(doc, path), cond));
+}
+
+function matchesValue(value, cond) {
+  const isOperator = cond && typeof cond === 'object' && !(cond instanceof ObjectId) && !(cond instanceof Date) &&
+    Object.keys(cond).every(key => key.startsWith('$'));
+  if (!isOperator) return equal(value, cond);
+  return Object.entries(cond).every(([op, arg]) => {
+    if (op === '$in') return arg.some(item => equal(value, item));
+    if (op === '$gt') return value != null && value > arg;
+    if (op === '$exists') return (value !== undefined) === arg;
+    if (op === '$not') return !matchesValue(value, arg);
+    throw new Error(`unsupported operator ${op}`);
+  });
+}
+
+class FakeCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  async createIndex() {}
+
+  async findOne(filter) {
+    return this.docs.find(doc => matches(doc, filter)) || null;
+  }
+
+  find(filter) {
+    const found = this.docs.filter(doc => matches(doc, filter));
+    return { sort() { return this; }, toArray: async () => found };
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: new ObjectId(), ...doc };
+    this.docs.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+    let doc = this.docs.find(candidate => matches(candidate, filter));
+    if (!doc) {
+      if (!upsert) return null;
+      doc = { _id: new ObjectId() };
+      Object.entries(filter).forEach(([path, value]) => setPath(doc, path, value));
+      Object.entries(update.$setOnInsert || {}).forEach(([path, value]) => setPath(doc, path, value));
+      this.docs.push(doc);
+    }
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+    Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+    return doc;
+  }
+
+  async updateOne(filter, update, opts) {
+    const existed = this.docs.some(doc => matches(doc, filter));
+    const doc = await this.findOneAndUpdate(filter, update, opts);
+    return { modifiedCount: existed ? 1 : 0, upsertedCount: !existed && doc ? 1 : 0 };
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+}
+
+const collections = new Map();
+class FakeMongoClient {
+  async connect() {}
+  db() {
+    return {
+      collection(name) {
+        if (!collections.has(name)) collections.set(name, new FakeCollection());
+        return collections.get(name);
+      }
+    };
+  }
+}
+
+// must be in place before the routes load and destructure MongoClient
+require.cache[require.resolve('mongodb')].exports = { ...mongodb, MongoClient: FakeMongoClient };
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const totp = require('../services/totp');
+const authRoutes = require('../routes/auth');
+
+const PASSWORD = 'correct horse battery';
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/auth', authRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/auth`;
+  await new Promise(resolve => setImmediate(resolve));   // let the routers' DB setup finish
+});
+
+after(() => server.close());
+
+async function post(path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function createUser(email, mfaSecret) {
+  await collections.get('users').insertOne({
+    email,
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+    emailVerified: true,
+    ...(mfaSecret && { mfa: { enabled: true, secret: mfaSecret, recoveryCodeHashes: [] } })
+  });
+}
+
+function failures(email) {
+  return collections.get('login_attempts').docs.find(doc => doc.key === `email:${email}`)?.failures || 0;
+}
+
+/**
+ * A 6-digit code that is not valid for the secret right now.
+ */
+function wrongCode(secret) {
+  for (let n = 0; ; n++) {
+    const code = String(n).padStart(6, '0');
+    if (totp.verifyCode(secret, code) === null) return code;
+  }
+}
+
+test('re-entering the password does not reset the MFA failure count', async () => {
+  const email = 'mfa@example.com';
+  const secret = totp.generateSecret();
+  await createUser(email, secret);
+
+  let login = await post('/login', { email, password: PASSWORD });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.mfaRequired, true);
+  for (let i = 0; i < 2; i++) {
+    const attempt = await post('/login/mfa', { challengeToken: login.body.challengeToken, code: wrongCode(secret) });
+    assert.equal(attempt.status, 401);
+  }
+  assert.equal(failures(email), 2);
+
+  login = await post('/login', { email, password: PASSWORD });
+  assert.equal(login.status, 200);
+  assert.equal(failures(email), 2);
+
+  const third = await post('/login/mfa', { challengeToken: login.body.challengeToken, code: wrongCode(secret) });
+  assert.equal(third.status, 401);
+  assert.equal(failures(email), 3);
+
+  // past the backoff threshold the account is delayed, password or not
+  const blocked = await post('/login', { email, password: PASSWORD });
+  assert.equal(blocked.status, 429);
+});
+
+test('a password login without MFA clears the email failure count', async () => {
+  const email = 'plain@example.com';
+  await createUser(email);
+
+  const wrong = await post('/login', { email, password: 'not the password' });
+  assert.equal(wrong.status, 401);
+  assert.equal(failures(email), 1);
+
+  const ok = await post('/login', { email, password: PASSWORD });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.accessToken);
+  assert.equal(failures(email), 0);
+});